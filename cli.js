@@ -0,0 +1,630 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from "fs";
+import * as vt from "./view-technical.js";
+
+const USAGE = `usage: view-technical <indicator|tool|expression> [params...] [options]
+
+  view-technical rsi --window 14 --input btc.csv --out rsi.csv
+  view-technical macd 12 26 9 < candles.jsonl
+  view-technical "ema(rsi(close,14),9)" --input btc.csv
+  view-technical sharpe --riskFree 0.0001 --input equity.csv
+  view-technical crossOver "ema(close,12)" "ema(close,26)" --input btc.csv
+  view-technical fibRetracement 100 150
+
+Parameters are given in order or as --name value. Results that are not series aligned to the
+bars, such as sharpe or pivots, are written as JSON lines. Options:
+  --input <file>         read candles from a file instead of stdin
+  --out <file>           write to a file instead of stdout
+  --format <csv|jsonl>   the output format (default: from --out, else the input format)
+  --source <column>      the column read by single-input indicators, or the column or expression
+                         read by the statistics, metrics and signals (default close)
+  --pad <nan|null|trim|partial>, --mode <strict|lenient>, --gaps <propagate|fill>
+  --ma-type <type>, --signal-ma-type <type>
+  --time-format <auto|ms|s|iso|pattern>   how input times are written (default auto)
+  --timezone <zone>      the timezone of input times without one (default UTC)
+  --output-time <ms|s|iso>                how output times are written (default ms)
+  --columns <column=field,...>            map input fields, e.g. time=Date,close="Adj Close"
+
+  view-technical list           lists the indicators and tools
+  view-technical help <name>    describes an indicator or tool`;
+
+const OPTIONS = {
+  input: "input",
+  out: "out",
+  format: "format",
+  source: "source",
+  pad: "pad",
+  mode: "mode",
+  gaps: "gaps",
+  "ma-type": "maType",
+  "signal-ma-type": "signalMaType",
+  "time-format": "timeFormat",
+  timezone: "timezone",
+  "output-time": "outputTime",
+  columns: "columns",
+};
+
+/**
+ * Looks up an own key of a table, so names such as "toString" or "constructor" given on the
+ * command line are unknown instead of reaching Object.prototype.
+ * @param {Object} table - The table, such as OPTIONS, TOOLS or the indicator descriptions.
+ * @param {string} name - The name.
+ * @returns {*} - The entry, or undefined.
+ */
+function own(table, name) {
+  return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : undefined;
+}
+
+/**
+ * Describes a tool parameter in the shape of describe(). Besides the types of describe(),
+ * "series" is a column or an expression, "point" a price or index,price and "pair" x,y.
+ * @param {string} name - The parameter name.
+ * @param {string} type - The parameter type.
+ * @param {Object} extra - The default, range, accepted values or `required`.
+ * @returns {Object} - The parameter description.
+ */
+function param(name, type, extra = {}) {
+  return { name, type, ...extra };
+}
+
+const PERIODS = param("periodsPerYear", "number", { min: 0, default: 252 });
+const RISK_FREE = param("riskFree", "number", { default: 0 });
+const BENCHMARK = param("benchmark", "series", { required: true });
+const CONFIDENCE = param("confidence", "number", { min: 0, max: 1, default: 0.95 });
+const PROFILE = ["rows", "rowSize", "valueArea", "nodeWidth"].map((name) =>
+  param(name, name === "rows" || name === "nodeWidth" ? "integer" : "number", { min: 0 })
+);
+const SWINGS = [param("percent", "number", { min: 0 }), param("tolerance", "number", { min: 0 }), param("minTouches", "integer", { min: 1 })];
+
+/**
+ * Keeps the parameters that were given, so the library defaults apply to the rest.
+ * @param {Object} args - The parameters.
+ * @returns {Object} - The parameters that are not undefined.
+ */
+function given(args) {
+  const result = {};
+  Object.keys(args).forEach((key) => args[key] !== undefined && (result[key] = args[key]));
+  return result;
+}
+
+/**
+ * The exports that are not indicators of describe(), by kind, each with what it reads, its
+ * parameters and its call. `run` gets the parameters and the context { columns, options,
+ * series(text), source() }, where `series` evaluates a column or an expression on the
+ * candles and `source` reads --source. Tools without `input` work on their parameters only.
+ */
+const TOOL_KINDS = {
+  statistic: {
+    mean: { reads: "source", params: [], run: (a, x) => vt.mean(x.source(), x.options) },
+    sd: { reads: "source", params: [], run: (a, x) => vt.sd(x.source(), x.options) },
+    mad: { reads: "source", params: [], run: (a, x) => vt.mad(x.source(), x.options) },
+    cov: { reads: "source", params: [param("with", "series", { required: true })], run: (a, x) => vt.cov(x.source(), x.series(a.with)) },
+    cor: { reads: "source", params: [param("with", "series", { required: true })], run: (a, x) => vt.cor(x.source(), x.series(a.with)) },
+    mae: { reads: "source", params: [param("with", "series", { required: true })], run: (a, x) => vt.mae(x.source(), x.series(a.with)) },
+    movingAverage: {
+      reads: "source",
+      params: [param("type", "string", { default: "sma" }), param("window", "integer", { min: 1, default: 20 })],
+      run: (a, x) => vt.movingAverage(a.type, x.source(), a.window, x.options),
+    },
+    linreg: { reads: "source", params: [], run: (a, x) => vt.linreg(x.source(), undefined, x.options) },
+    polyfit: {
+      reads: "source",
+      params: [param("degree", "integer", { min: 0, default: 2 })],
+      run: (a, x) => vt.polyfit(x.source(), a.degree, undefined, x.options),
+    },
+    regression: {
+      input: false,
+      params: [param("x", "number", { required: true }), param("point1", "pair", { required: true }), param("point2", "pair", { required: true })],
+      run: (a) => vt.regression(a.x, a.point1, a.point2),
+    },
+  },
+  metric: {
+    cumulativeReturn: { reads: "source", params: [], run: (a, x) => vt.cumulativeReturn(x.source(), x.options) },
+    cagr: { reads: "source", params: [PERIODS], run: (a, x) => vt.cagr(x.source(), a.periodsPerYear, x.options) },
+    volatility: { reads: "source returns", params: [PERIODS], run: (a, x) => vt.volatility(x.returns(), a.periodsPerYear, x.options) },
+    sharpe: {
+      reads: "source returns",
+      params: [RISK_FREE, PERIODS],
+      run: (a, x) => vt.sharpe(x.returns(), a.riskFree, a.periodsPerYear, x.options),
+    },
+    sortino: {
+      reads: "source returns",
+      params: [param("target", "number", { default: 0 }), PERIODS],
+      run: (a, x) => vt.sortino(x.returns(), a.target, a.periodsPerYear, x.options),
+    },
+    drawdown: { reads: "source", params: [], run: (a, x) => vt.drawdown(x.source(), x.options) },
+    maxDrawdown: { reads: "source", params: [], run: (a, x) => vt.maxDrawdown(x.source(), x.options) },
+    calmar: { reads: "source", params: [PERIODS], run: (a, x) => vt.calmar(x.source(), a.periodsPerYear, x.options) },
+    beta: { reads: "source returns", params: [BENCHMARK], run: (a, x) => vt.beta(x.returns(), x.returns(a.benchmark), x.options) },
+    alpha: {
+      reads: "source returns",
+      params: [BENCHMARK, RISK_FREE, PERIODS],
+      run: (a, x) => vt.alpha(x.returns(), x.returns(a.benchmark), a.riskFree, a.periodsPerYear, x.options),
+    },
+    rollingBeta: {
+      reads: "source returns",
+      params: [BENCHMARK, param("window", "integer", { min: 1, default: 60 })],
+      run: (a, x) => vt.rollingBeta(x.returns(), x.returns(a.benchmark), a.window, x.options),
+    },
+    rollingAlpha: {
+      reads: "source returns",
+      params: [BENCHMARK, param("window", "integer", { min: 1, default: 60 }), RISK_FREE, PERIODS],
+      run: (a, x) => vt.rollingAlpha(x.returns(), x.returns(a.benchmark), a.window, a.riskFree, a.periodsPerYear, x.options),
+    },
+    valueAtRisk: {
+      reads: "source returns",
+      params: [CONFIDENCE, param("method", "string", { values: ["historical", "parametric"], default: "historical" })],
+      run: (a, x) => vt.valueAtRisk(x.returns(), a.confidence, a.method, x.options),
+    },
+    expectedShortfall: {
+      reads: "source returns",
+      params: [CONFIDENCE],
+      run: (a, x) => vt.expectedShortfall(x.returns(), a.confidence, x.options),
+    },
+  },
+  signal: {
+    above: { reads: "series", params: [param("f", "series", { required: true }), param("g", "series", { required: true })], run: (a, x) => vt.above(x.series(a.f), x.series(a.g)) },
+    below: { reads: "series", params: [param("f", "series", { required: true }), param("g", "series", { required: true })], run: (a, x) => vt.below(x.series(a.f), x.series(a.g)) },
+    crossOver: { reads: "series", params: [param("f", "series", { required: true }), param("g", "series", { required: true })], run: (a, x) => vt.crossOver(x.series(a.f), x.series(a.g)) },
+    crossUnder: { reads: "series", params: [param("f", "series", { required: true }), param("g", "series", { required: true })], run: (a, x) => vt.crossUnder(x.series(a.f), x.series(a.g)) },
+    risingFor: { reads: "source", params: [param("n", "integer", { min: 1, default: 1 })], run: (a, x) => vt.risingFor(x.source(), a.n) },
+    fallingFor: { reads: "source", params: [param("n", "integer", { min: 1, default: 1 })], run: (a, x) => vt.fallingFor(x.source(), a.n) },
+    barsSince: { reads: "series", params: [param("condition", "series", { required: true })], run: (a, x) => vt.barsSince(x.series(a.condition)) },
+    valueWhen: {
+      reads: "series",
+      params: [param("condition", "series", { required: true }), param("occurrence", "integer", { min: 0, default: 0 })],
+      run: (a, x) => vt.valueWhen(x.series(a.condition), x.source(), a.occurrence),
+    },
+    and: { reads: "series", params: [param("f", "series", { required: true }), param("g", "series", { required: true })], run: (a, x) => vt.and(x.series(a.f), x.series(a.g)) },
+    or: { reads: "series", params: [param("f", "series", { required: true }), param("g", "series", { required: true })], run: (a, x) => vt.or(x.series(a.f), x.series(a.g)) },
+    not: { reads: "series", params: [param("condition", "series", { required: true })], run: (a, x) => vt.not(x.series(a.condition)) },
+  },
+  analysis: {
+    candlePatterns: { reads: "open, high, low, close", params: [], run: (a, x) => vt.candlePatterns(x.columns, x.options) },
+    pivots: {
+      reads: "source",
+      params: [param("window", "integer", { min: 1 }), param("percent", "number", { min: 0 })],
+      run: (a, x) => vt.pivots(x.source(), { ...x.options, ...given(a) }),
+    },
+    divergence: {
+      reads: "source",
+      params: [
+        param("oscillator", "series", { required: true }),
+        param("window", "integer", { min: 1 }),
+        param("percent", "number", { min: 0 }),
+        param("tolerance", "integer", { min: 0 }),
+        param("maxBars", "integer", { min: 1 }),
+      ],
+      run: ({ oscillator, ...a }, x) => vt.divergence(x.source(), x.series(oscillator), { ...x.options, ...given(a) }),
+    },
+    supportResistance: {
+      reads: "high, low, close, volume",
+      params: [...SWINGS, param("zones", "integer", { min: 1 })],
+      run: (a, x) => vt.supportResistance(x.columns, { ...x.options, ...given(a) }),
+    },
+    trendlines: {
+      reads: "high, low, close",
+      params: [...SWINGS, param("limit", "integer", { min: 1 })],
+      run: (a, x) => vt.trendlines(x.columns, { ...x.options, ...given(a) }),
+    },
+    volumeProfile: {
+      reads: "open, high, low, close, volume",
+      params: [...PROFILE, param("left", "integer", { min: 0 }), param("right", "integer", { min: 0 })],
+      run: (a, x) => vt.volumeProfile(x.columns, { ...x.options, ...given(a) }),
+    },
+    sessionProfiles: {
+      reads: "time, open, high, low, close, volume",
+      params: [param("timeframe", "string", { default: "1d" }), ...PROFILE],
+      run: ({ timeframe, ...a }, x) => vt.sessionProfiles(x.columns, timeframe, { ...x.options, ...given(a) }),
+    },
+    marketProfile: {
+      reads: "time, high, low",
+      params: [param("timeframe", "string"), param("period", "string"), ...PROFILE],
+      run: (a, x) => vt.marketProfile(x.columns, { ...x.options, ...given(a) }),
+    },
+    fibonacci: {
+      reads: "high, low",
+      params: [param("percent", "number", { min: 0 }), param("scale", "number", { min: 0 }), param("maxPoints", "integer", { min: 1 })],
+      run: (a, x) => vt.fibonacci(x.columns, { ...x.options, ...given(a) }),
+    },
+    fibRetracement: { input: false, params: [param("start", "point", { required: true }), param("end", "point", { required: true })], run: (a) => vt.fibRetracement(a.start, a.end) },
+    fibExtension: { input: false, params: [param("start", "point", { required: true }), param("end", "point", { required: true })], run: (a) => vt.fibExtension(a.start, a.end) },
+    fibProjection: {
+      input: false,
+      params: [param("a", "point", { required: true }), param("b", "point", { required: true }), param("c", "point", { required: true })],
+      run: (a) => vt.fibProjection(a.a, a.b, a.c),
+    },
+    fibTimeZones: { input: false, params: [param("start", "point", { required: true }), param("end", "point", { required: true })], run: (a) => vt.fibTimeZones(a.start, a.end) },
+    fibFan: { input: false, params: [param("start", "point", { required: true }), param("end", "point", { required: true })], run: (a) => vt.fibFan(a.start, a.end) },
+    fibArcs: {
+      input: false,
+      params: [
+        param("start", "point", { required: true }),
+        param("end", "point", { required: true }),
+        param("scale", "number", { min: 0 }),
+        param("maxPoints", "integer", { min: 1 }),
+      ],
+      run: ({ start, end, ...a }) => vt.fibArcs(start, end, given(a)),
+    },
+    FibonacciRetracement: {
+      input: false,
+      params: [param("pivot1", "number", { required: true }), param("pivot2", "number", { required: true })],
+      run: (a) => vt.FibonacciRetracement(a.pivot1, a.pivot2),
+    },
+  },
+  data: {
+    resample: {
+      reads: "time, open, high, low, close, volume",
+      params: [param("timeframe", "string", { required: true }), param("offset", "number")],
+      candles: true,
+      run: ({ timeframe, ...a }, x) => vt.resample(x.columns, timeframe, given(a)),
+    },
+    mtf: {
+      reads: "time and the columns of the expression",
+      params: [param("timeframe", "string", { required: true }), param("expression", "string", { required: true })],
+      run: (a, x) => vt.mtf(x.columns, a.timeframe, (frame) => vt.evaluate(a.expression, frame.columns, x.options)),
+    },
+  },
+};
+
+const TOOLS = {};
+Object.keys(TOOL_KINDS).forEach((kind) => {
+  Object.keys(TOOL_KINDS[kind]).forEach((name) => (TOOLS[name] = { kind, ...TOOL_KINDS[kind][name] }));
+});
+
+/**
+ * The exports the command line does not run, with the reason.
+ */
+const ELSEWHERE = [
+  [["pointwise", "rolling"], "they take a JavaScript function"],
+  [
+    [
+      "createSma", "createEma", "createWma", "createStdev", "createRoc", "createBb", "createMacd", "createRsi",
+      "createTrueRange", "createAtr", "createWilderSmooth", "createAdx", "createPsar", "createVwap", "createObv",
+    ],
+    "streams take bars one at a time; run the batch indicator instead, e.g. sma for createSma",
+  ],
+  [["backtest", "optimize", "walkForward", "screen"], "strategies and universes are written in JavaScript"],
+  [["toColumns", "parseCsv", "parseJsonl", "toCsv", "toJsonl", "flattenResults"], "every command reads and writes files with --input, --out and --format"],
+  [["on", "describe", "parseExpression", "evaluate"], "every command runs its indicator or expression with them; see list and help"],
+  [["setValidation"], "give --mode and --gaps to each command instead"],
+  [
+    ["ValidationError", "LengthMismatchError", "InvalidWindowError", "InsufficientDataError", "InvalidValueError"],
+    "errors are reported as messages with exit code 1",
+  ],
+];
+
+/**
+ * Explains why an export does not run from the command line.
+ * @param {string} name - The export name.
+ * @returns {string|undefined} - The reason, or undefined for an unknown name.
+ */
+function elsewhere(name) {
+  const entry = ELSEWHERE.find(([names]) => names.includes(name));
+  return entry && `${name} is not run from the command line: ${entry[1]}`;
+}
+
+/**
+ * Reports an unknown indicator or tool.
+ * @param {string} name - The name given.
+ * @returns {UsageError} - The error.
+ */
+function unknown(name) {
+  return new UsageError(elsewhere(name) || `unknown indicator or tool "${name}", see view-technical list`);
+}
+
+/**
+ * An error in the command line itself, reported with the usage and exit code 2.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Splits the arguments into the indicator, its positional parameters and the named options.
+ * @param {string[]} argv - The command-line arguments.
+ * @returns {Object} - The { name, positional, named } arguments.
+ */
+function parseArgs(argv) {
+  const [name, ...rest] = argv;
+  const positional = [];
+  const named = {};
+  for (let k = 0; k < rest.length; k++) {
+    const arg = rest[k];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf("=");
+    const key = arg.slice(2, eq < 0 ? undefined : eq);
+    if (eq >= 0) {
+      named[key] = arg.slice(eq + 1);
+    } else if (k + 1 < rest.length && !rest[k + 1].startsWith("--")) {
+      named[key] = rest[++k];
+    } else {
+      throw new UsageError(`--${key} needs a value`);
+    }
+  }
+  return { name, positional, named };
+}
+
+/**
+ * Converts a command-line value to the type of an indicator parameter.
+ * @param {Object} param - The parameter description from describe().
+ * @param {string} text - The value.
+ * @returns {number|string} - The converted value.
+ */
+function paramValue(param, text) {
+  if (param.type === "series") {
+    return text;
+  }
+  if (param.type === "point" || param.type === "pair") {
+    const parts = text.split(",").map((part) => (part.trim() === "" ? NaN : Number(part)));
+    if (!parts.every(Number.isFinite) || parts.length > 2 || (param.type === "pair" && parts.length !== 2)) {
+      throw new UsageError(`--${param.name} must be ${param.type === "pair" ? "x,y" : "a price or index,price"}, got "${text}"`);
+    }
+    return param.type === "pair" ? parts : parts.length === 1 ? parts[0] : { index: parts[0], price: parts[1] };
+  }
+  if (param.type === "string") {
+    if (param.values && !param.values.includes(text)) {
+      throw new UsageError(`--${param.name} must be one of ${param.values.join(", ")}, got "${text}"`);
+    }
+    return text;
+  }
+  const value = Number(text);
+  if (text.trim() === "" || Number.isNaN(value) || (param.type === "integer" && !Number.isInteger(value))) {
+    throw new UsageError(`--${param.name} must be ${param.type === "integer" ? "an integer" : "a number"}, got "${text}"`);
+  }
+  return value;
+}
+
+/**
+ * Reads the parameters of an indicator or tool from its command-line arguments.
+ * @param {string} name - The indicator or tool name.
+ * @param {Object[]} params - The parameter descriptions.
+ * @param {string[]} positional - The parameters given in order.
+ * @param {Object} named - The parameters given by name.
+ * @returns {Object} - The parameter values given.
+ */
+function readParams(name, params, positional, named) {
+  if (positional.length > params.length) {
+    throw new UsageError(`${name} takes at most ${params.length} parameters, got ${positional.length}`);
+  }
+  const args = {};
+  positional.forEach((text, k) => (args[params[k].name] = paramValue(params[k], text)));
+  Object.keys(named).forEach((key) => {
+    const param = params.find((p) => p.name === key);
+    if (!param) {
+      throw new UsageError(`${name} has no parameter --${key} (expected ${params.map((p) => p.name).join(", ") || "none"})`);
+    }
+    args[key] = paramValue(param, named[key]);
+  });
+  return args;
+}
+
+/**
+ * Builds the expression spec of an indicator call from its command-line arguments.
+ * @param {string} name - The indicator name.
+ * @param {string[]} positional - The parameters given in order.
+ * @param {Object} named - The parameters given by name.
+ * @param {string} source - The input column of a single-input indicator.
+ * @returns {Object} - The spec { fn, input, args }.
+ */
+function indicatorSpec(name, positional, named, source) {
+  const info = own(vt.describe(), name);
+  if (!info) {
+    throw unknown(name);
+  }
+  const args = readParams(name, info.params, positional, named);
+  if (source !== undefined && info.inputs.length !== 1) {
+    throw new UsageError(`${name} reads ${info.inputs.join(", ")} and does not take --source`);
+  }
+  return { fn: name, input: source, args };
+}
+
+/**
+ * Parses a --columns mapping such as time=Date,close=Adj Close.
+ * @param {string} text - The mapping.
+ * @returns {Object} - The field of each column.
+ */
+function parseColumns(text) {
+  const mapping = {};
+  text.split(",").forEach((pair) => {
+    const [column, field] = pair.split("=");
+    if (!field) {
+      throw new UsageError(`--columns expects column=field pairs, got "${pair}"`);
+    }
+    mapping[column.trim()] = /^\d+$/.test(field.trim()) ? Number(field) : field.trim().replace(/^"(.*)"$/, "$1");
+  });
+  return mapping;
+}
+
+/**
+ * Describes the indicators and tools, or one of them, for the list and help commands.
+ * @param {string} name - The indicator or tool name, or undefined for all.
+ * @returns {string} - The description.
+ */
+function help(name) {
+  const all = vt.describe();
+  const line = (key, params) =>
+    `${key} ${params.map((p) => (p.required ? `<${p.name}>` : p.default === undefined ? `[${p.name}]` : `[${p.name}=${p.default}]`)).join(" ")}`.trim();
+  if (name === undefined) {
+    return [
+      ...Object.keys(all).map((key) => line(key, all[key].params)),
+      "",
+      ...Object.keys(TOOL_KINDS).map((kind) => `${kind}: ${Object.keys(TOOL_KINDS[kind]).map((key) => line(key, TOOLS[key].params)).join(", ")}`),
+      "",
+      ...ELSEWHERE.map(([names, reason]) => `not on the command line: ${names.join(", ")} (${reason})`),
+    ].join("\n");
+  }
+  const info = own(all, name) || own(TOOLS, name);
+  if (!info && elsewhere(name)) {
+    return elsewhere(name);
+  }
+  if (!info) {
+    throw unknown(name);
+  }
+  const range = (p) => [p.min !== undefined && `>= ${p.min}`, p.max !== undefined && `<= ${p.max}`].filter(Boolean).join(", ");
+  const type = (p) => (p.values ? p.values.join(" | ") : { series: "column or expression", point: "price or index,price", pair: "x,y" }[p.type] || p.type);
+  const params = info.params.map((p) => `  --${p.name}: ${type(p)} ${range(p)}`.trimEnd());
+  if (!own(all, name)) {
+    return [line(name, info.params), `  ${info.kind}, reads: ${info.input === false ? "its parameters" : info.reads}`, ...params].join("\n");
+  }
+  return [
+    line(name, info.params),
+    `  reads: ${info.inputs.join(", ")}`,
+    ...params,
+    `  outputs: ${info.outputs ? info.outputs.join(", ") : name}`,
+    `  pane: ${info.pane}${info.bounds ? `, bounds ${info.bounds.min} to ${info.bounds.max}` : ""}`,
+  ].join("\n");
+}
+
+/**
+ * Tells whether a tool result is series aligned to the bars, written like an indicator.
+ * @param {*} result - The result.
+ * @param {number} bars - The number of bars.
+ * @returns {boolean} - True when every leaf of the result is a series and one lines up with the bars.
+ */
+function isSeries(result, bars) {
+  const leaves = [];
+  const walk = (value) => {
+    if (value && typeof value === "object" && !Array.isArray(value) && !ArrayBuffer.isView(value)) {
+      Object.values(value).forEach(walk);
+    } else {
+      leaves.push(value);
+    }
+  };
+  walk(result);
+  const series = (x) => Array.isArray(x) || ArrayBuffer.isView(x);
+  return leaves.every(series) && leaves.some((x) => x.length === bars || x.warmup === bars - x.length);
+}
+
+/**
+ * Writes a result that is not series aligned to the bars as JSON lines: one line per item of
+ * a list, such as pivots, and one line otherwise, with a number keyed by the tool name.
+ * @param {*} result - The result.
+ * @param {string} label - The tool name.
+ * @returns {string} - The JSON lines.
+ */
+function toJsonLines(result, label) {
+  const items = Array.isArray(result) ? result : [result && typeof result === "object" ? result : { [label]: result }];
+  return items.map((item) => JSON.stringify(item)).join("\n") + (items.length ? "\n" : "");
+}
+
+/**
+ * Runs the command line.
+ * @param {string[]} argv - The command-line arguments.
+ * @returns {number} - The exit code: 0 on success, 2 for an invalid command line and 1 for any
+ * other error, such as invalid or missing data.
+ */
+function main(argv) {
+  try {
+    if (!argv.length) {
+      throw new UsageError("no indicator given");
+    }
+    if (argv[0] === "--help" || argv[0] === "-h") {
+      process.stdout.write(USAGE + "\n");
+      return 0;
+    }
+    if (argv[0] === "list" || argv[0] === "help") {
+      process.stdout.write(help(argv[1]) + "\n");
+      return 0;
+    }
+    const { name, positional, named } = parseArgs(argv);
+    const options = {};
+    const params = {};
+    Object.keys(named).forEach((key) => (own(OPTIONS, key) ? (options[OPTIONS[key]] = named[key]) : (params[key] = named[key])));
+    const tool = own(TOOLS, name);
+    let spec;
+    let args;
+    if (tool) {
+      args = readParams(name, tool.params, positional, params);
+      const missing = tool.params.find((p) => p.required && args[p.name] === undefined);
+      if (missing) {
+        throw new UsageError(`${name} needs --${missing.name}`);
+      }
+      tool.params.forEach((p) => args[p.name] === undefined && p.default !== undefined && (args[p.name] = p.default));
+      if (tool.input === false) {
+        const result = tool.run(args);
+        const output = toJsonLines(result, name);
+        if (options.out === undefined) {
+          process.stdout.write(output);
+        } else {
+          writeFileSync(options.out, output);
+        }
+        return 0;
+      }
+    } else if (name.includes("(")) {
+      if (positional.length || Object.keys(params).length) {
+        throw new UsageError("an expression takes its parameters inside it");
+      }
+      try {
+        spec = vt.parseExpression(name);
+      } catch (e) {
+        throw new UsageError(e.message);
+      }
+    } else {
+      spec = indicatorSpec(name, positional, params, options.source);
+    }
+    if (options.input === undefined && process.stdin.isTTY) {
+      throw new UsageError("no input: give --input <file> or pipe candles to stdin");
+    }
+    const text = readFileSync(options.input === undefined ? 0 : options.input, "utf8");
+    const jsonl = /\.(jsonl|ndjson)$/i.test(options.input || "") || /^\s*[[{]/.test(text);
+    const load = {
+      timeFormat: options.timeFormat,
+      timezone: options.timezone,
+      columns: options.columns && parseColumns(options.columns),
+    };
+    const columns = jsonl ? vt.parseJsonl(text, load) : vt.parseCsv(text, load);
+    const shared = given({
+      pad: options.pad,
+      mode: options.mode,
+      gaps: options.gaps,
+      maType: options.maType,
+      signalMaType: options.signalMaType,
+    });
+    const format = options.format || (/\.(jsonl|ndjson)$/i.test(options.out || "") ? "jsonl" : options.out ? "csv" : jsonl ? "jsonl" : "csv");
+    if (format !== "csv" && format !== "jsonl") {
+      throw new UsageError(`--format must be csv or jsonl, got "${format}"`);
+    }
+    let output;
+    if (tool) {
+      const context = { columns, options: shared, series: (expression) => vt.evaluate(expression, columns, shared) };
+      context.source = () => context.series(options.source || "close");
+      context.returns = (expression) => vt.returns(expression === undefined ? context.source() : context.series(expression), shared);
+      const result = tool.run(args, context);
+      const time = tool.candles ? result.time : columns.time;
+      const results = tool.candles ? result : { [name]: result };
+      const write = { time, timeFormat: options.outputTime };
+      if (!isSeries(result, time ? time.length : 0)) {
+        output = toJsonLines(result, name);
+      } else {
+        output = format === "csv" ? vt.toCsv(results, write) : vt.toJsonl(results, write);
+      }
+    } else {
+      const result = vt.evaluate(spec, columns, shared);
+      const label = spec.field ? `${spec.fn}_${spec.field.replace(/\./g, "_")}` : spec.fn;
+      const write = { time: columns.time, timeFormat: options.outputTime };
+      output = format === "csv" ? vt.toCsv({ [label]: result }, write) : vt.toJsonl({ [label]: result }, write);
+    }
+    if (options.out === undefined) {
+      process.stdout.write(output);
+    } else {
+      writeFileSync(options.out, output);
+    }
+    return 0;
+  } catch (e) {
+    process.stderr.write(`view-technical: ${e.message}\n`);
+    if (e instanceof UsageError) {
+      process.stderr.write(`\n${USAGE}\n`);
+      return 2;
+    }
+    return 1;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
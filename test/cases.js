@@ -0,0 +1,229 @@
+import * as vt from "../view-technical.js";
+import { feed } from "./helpers.js";
+
+/**
+ * The golden cases: one call per exported function, run against every fixture with the
+ * fixture's options `o`. The outputs are checked against test/expected/<fixture>.json, which
+ * `npm run test:update` rewrites after an intended change.
+ */
+export const CASES = {
+  wma: (d, o) => vt.wma(d.close, 10, o),
+  mean: (d, o) => vt.mean(d.close, o),
+  sd: (d, o) => vt.sd(d.close, o),
+  cov: (d) => vt.cov(d.close, d.open),
+  cor: (d) => vt.cor(d.close, d.open),
+  mad: (d, o) => vt.mad(d.close, o),
+  pointwise: (d) => vt.pointwise((h, l, c) => (h + l + 2 * c) / 4, d.high, d.low, d.close),
+  rolling: (d) => vt.rolling((s) => Math.max(...s) - Math.min(...s), d.close, 5),
+  mae: (d) => vt.mae(d.close, d.open),
+  sma: (d, o) => vt.sma(d.close, 14, o),
+  ema: (d, o) => vt.ema(d.close, 14, undefined, o),
+  stdev: (d, o) => vt.stdev(d.close, 20, o),
+  madev: (d, o) => vt.madev(d.close, 20, o),
+  expdev: (d, o) => vt.expdev(d.close, 10, o),
+  atr: (d, o) => vt.atr(d.high, d.low, d.close, 14, o),
+  wilderSmooth: (d, o) => vt.wilderSmooth(d.close, 14, o),
+  typicalPrice: (d, o) => vt.typicalPrice(d.high, d.low, d.close, o),
+  trueRange: (d, o) => vt.trueRange(d.high, d.low, d.close, o),
+  bb: (d, o) => vt.bb(d.close, 20, 2, o),
+  dema: (d, o) => vt.dema(d.close, 10, o),
+  ebb: (d, o) => vt.ebb(d.close, 10, 2, o),
+  keltner: (d, o) => vt.keltner(d.high, d.low, d.close, 20, 2, o),
+  psar: (d, o) => vt.psar(d.high, d.low, 0.02, 0.2, o),
+  tema: (d, o) => vt.tema(d.close, 10, o),
+  rma: (d, o) => vt.rma(d.close, 14, o),
+  smma: (d, o) => vt.smma(d.close, 14, o),
+  hma: (d, o) => vt.hma(d.close, 16, o),
+  kama: (d, o) => vt.kama(d.close, 10, 2, 30, o),
+  zlema: (d, o) => vt.zlema(d.close, 14, o),
+  alma: (d, o) => vt.alma(d.close, 9, 0.85, 6, o),
+  t3: (d, o) => vt.t3(d.close, 5, 0.7, o),
+  vwma: (d, o) => vt.vwma(d.close, d.volume, 14, o),
+  movingAverage: (d, o) => vt.movingAverage("hma", d.close, 9, o),
+  vbp: (d, o) => vt.vbp(d.close, d.volume, 10, 0, undefined, o),
+  volumeProfile: (d, o) => vt.volumeProfile(d.columns, { ...o, rows: 12 }),
+  sessionProfiles: (d, o) => vt.sessionProfiles(d.columns, "1d", { ...o, rows: 8 }),
+  marketProfile: (d, o) => vt.marketProfile(d.columns, { ...o, period: "2h", rows: 8 }),
+  vwap: (d, o) => vt.vwap(d.high, d.low, d.close, d.volume, o),
+  zigzag: (d, o) => vt.zigzag(d.time, d.high, d.low, 2, o),
+  donchian: (d, o) => vt.donchian(d.high, d.low, 20, o),
+  envelopes: (d, o) => vt.envelopes(d.close, 20, 2.5, o),
+  ichimoku: (d, o) => vt.ichimoku(d.high, d.low, d.close, 9, 26, 52, 26, o),
+  supertrend: (d, o) => vt.supertrend(d.high, d.low, d.close, 10, 3, o),
+  chandelier: (d, o) => vt.chandelier(d.high, d.low, d.close, 22, 3, o),
+  pivotPoints: (d, o) => vt.pivotPoints(d.high, d.low, d.close, "camarilla", o),
+  anchoredVwap: (d, o) => vt.anchoredVwap(d.high, d.low, d.close, d.volume, [0, 3], o),
+  sessionVwap: (d, o) => vt.sessionVwap(d.time, d.high, d.low, d.close, d.volume, "1d", o),
+  adl: (d, o) => vt.adl(d.high, d.low, d.close, d.volume, o),
+  adx: (d, o) => vt.adx(d.high, d.low, d.close, 14, o),
+  aroon: (d, o) => vt.aroon(d.high, d.low, 25, o),
+  awesome: (d, o) => vt.awesome(d.high, d.low, 5, 34, o),
+  accelerator: (d, o) => vt.accelerator(d.high, d.low, 5, 34, 5, o),
+  bbp: (d, o) => vt.bbp(d.close, 20, 2, o),
+  cci: (d, o) => vt.cci(d.high, d.low, d.close, 20, 0.015, o),
+  cho: (d, o) => vt.cho(d.high, d.low, d.close, d.volume, 3, 10, o),
+  choppiness: (d, o) => vt.choppiness(d.high, d.low, d.close, 14, o),
+  cmf: (d, o) => vt.cmf(d.high, d.low, d.close, d.volume, 20, o),
+  cmo: (d, o) => vt.cmo(d.close, 9, o),
+  elderRay: (d, o) => vt.elderRay(d.high, d.low, d.close, 13, o),
+  eom: (d, o) => vt.eom(d.high, d.low, d.volume, 14, 10000, o),
+  fi: (d, o) => vt.fi(d.close, d.volume, 13, o),
+  kst: (d, o) => vt.kst(d.close, 10, 15, 20, 30, 10, 10, 10, 15, 9, o),
+  macd: (d, o) => vt.macd(d.close, 12, 26, 9, o),
+  massIndex: (d, o) => vt.massIndex(d.high, d.low, 9, 25, o),
+  mfi: (d, o) => vt.mfi(d.high, d.low, d.close, d.volume, 14, o),
+  obv: (d, o) => vt.obv(d.close, d.volume, 10, o),
+  ppo: (d, o) => vt.ppo(d.close, 12, 26, 9, o),
+  pvo: (d, o) => vt.pvo(d.volume, 12, 26, 9, o),
+  roc: (d, o) => vt.roc(d.close, 12, o),
+  rsi: (d, o) => vt.rsi(d.close, 14, o),
+  stoch: (d, o) => vt.stoch(d.high, d.low, d.close, 14, 3, 3, o),
+  stochRsi: (d, o) => vt.stochRsi(d.close, 14, 3, 3, o),
+  trix: (d, o) => vt.trix(d.close, 15, 9, o),
+  ultimate: (d, o) => vt.ultimate(d.high, d.low, d.close, 7, 14, 28, o),
+  vhf: (d, o) => vt.vhf(d.close, 28, o),
+  vi: (d, o) => vt.vi(d.high, d.low, d.close, 14, o),
+  williams: (d, o) => vt.williams(d.high, d.low, d.close, 14, o),
+  FibonacciRetracement: (d) => vt.FibonacciRetracement(d.high[0], d.low[0]),
+  fibRetracement: (d) => vt.fibRetracement(d.low[0], d.high[d.high.length - 1]),
+  fibExtension: (d) => vt.fibExtension(d.low[0], d.high[d.high.length - 1]),
+  fibProjection: (d) => vt.fibProjection(d.low[0], d.high[2], d.low[4]),
+  fibTimeZones: () => vt.fibTimeZones(10, 13),
+  fibFan: (d) => vt.fibFan({ index: 0, price: d.low[0] }, { index: 5, price: d.high[5] }),
+  fibArcs: (d) => vt.fibArcs({ index: 0, price: d.low[0] }, { index: 5, price: d.high[5] }),
+  fibonacci: (d, o) => vt.fibonacci(d.columns, { ...o, percent: 2 }),
+  regression: () => vt.regression(7, [1, 2], [3, 5]),
+  createSma: (d, o) => feed(vt.createSma(14, o), d.close),
+  createEma: (d, o) => feed(vt.createEma(14, undefined, o), d.close),
+  createWma: (d, o) => feed(vt.createWma(10, o), d.close),
+  createStdev: (d, o) => feed(vt.createStdev(20, o), d.close),
+  createRoc: (d, o) => feed(vt.createRoc(12, o), d.close),
+  createBb: (d, o) => feed(vt.createBb(20, 2, o), d.close),
+  createMacd: (d, o) => feed(vt.createMacd(12, 26, 9, o), d.close),
+  createRsi: (d, o) => feed(vt.createRsi(14, o), d.close),
+  createTrueRange: (d, o) => feed(vt.createTrueRange(o), d.candles),
+  createAtr: (d, o) => feed(vt.createAtr(14, o), d.candles),
+  createWilderSmooth: (d, o) => feed(vt.createWilderSmooth(14, o), d.close),
+  createAdx: (d, o) => feed(vt.createAdx(14, o), d.candles),
+  createPsar: (d, o) => feed(vt.createPsar(0.02, 0.2, o), d.candles),
+  createVwap: (d, o) => feed(vt.createVwap(o), d.candles),
+  createObv: (d, o) => feed(vt.createObv(10, o), d.candles),
+  toColumns: (d) => vt.toColumns(d.candles),
+  on: (d, o) => vt.on(d.candles).macd({ fast: 8, slow: 21, signal: 5, ...o }),
+  describe: () => Object.values(vt.describe()).map((info) => ({ ...info, warmup: info.warmup() })),
+  parseExpression: () => vt.parseExpression("macd(ema(close, 5), 12, 26, signal=9).hist"),
+  evaluate: (d, o) => vt.evaluate({ fast: "ema(close,12)", hist: "macd(close,12,26,9).hist", band: "bb(close,20,2).upper" }, d.columns, o),
+  screen: (d, o) => {
+    const scaled = { ...d.columns, close: d.close.map((x) => x * 1.1) };
+    return vt.screen({ A: d.columns, B: scaled }, ["rsi < 70", "close above sma(close,10)"], { ...o, lookback: 3, match: "any", rank: "rsi" });
+  },
+  backtest: (d) => {
+    const m = vt.macd(d.close, 8, 21, 5, { pad: "partial", mode: "lenient" });
+    return vt.backtest(d.columns, { longEntry: vt.crossOver(m.line, m.signal), longExit: vt.crossUnder(m.line, m.signal) }, { commission: 0.001 });
+  },
+  crossOver: (d) => vt.crossOver(d.close, d.open),
+  crossUnder: (d) => vt.crossUnder(d.close, d.open),
+  above: (d) => vt.above(d.close, d.open),
+  below: (d) => vt.below(d.close, 100),
+  risingFor: (d) => vt.risingFor(d.close, 2),
+  fallingFor: (d) => vt.fallingFor(d.close, 2),
+  barsSince: (d) => vt.barsSince(vt.crossOver(d.close, d.open)),
+  valueWhen: (d) => vt.valueWhen(vt.crossOver(d.close, d.open), d.close, 1),
+  and: (d) => vt.and(vt.above(d.close, d.open), vt.risingFor(d.volume)),
+  or: (d) => vt.or(vt.above(d.close, d.open), vt.risingFor(d.volume)),
+  not: (d) => vt.not(vt.above(d.close, d.open)),
+  returns: (d, o) => vt.returns(d.close, o),
+  logReturns: (d, o) => vt.logReturns(d.close, o),
+  cumulativeReturn: (d) => vt.cumulativeReturn(d.close),
+  cagr: (d) => vt.cagr(d.close, 252 * 13),
+  volatility: (d) => vt.volatility(vt.returns(d.close, { mode: "lenient" })),
+  sharpe: (d) => vt.sharpe(vt.returns(d.close, { mode: "lenient" })),
+  sortino: (d) => vt.sortino(vt.returns(d.close, { mode: "lenient" })),
+  drawdown: (d) => vt.drawdown(d.close),
+  maxDrawdown: (d) => vt.maxDrawdown(d.close),
+  calmar: (d) => vt.calmar(d.close, 252 * 13),
+  beta: (d) => vt.beta(vt.returns(d.close, { mode: "lenient" }), vt.returns(d.open, { mode: "lenient" })),
+  alpha: (d) => vt.alpha(vt.returns(d.close, { mode: "lenient" }), vt.returns(d.open, { mode: "lenient" })),
+  rollingBeta: (d, o) => vt.rollingBeta(vt.returns(d.close, { mode: "lenient" }), vt.returns(d.open, { mode: "lenient" }), 20, o),
+  rollingAlpha: (d, o) => vt.rollingAlpha(vt.returns(d.close, { mode: "lenient" }), vt.returns(d.open, { mode: "lenient" }), 20, 0, 252, o),
+  valueAtRisk: (d) => ["historical", "parametric"].map((method) => vt.valueAtRisk(vt.returns(d.close, { mode: "lenient" }), 0.95, method)),
+  expectedShortfall: (d) => vt.expectedShortfall(vt.returns(d.close, { mode: "lenient" }), 0.95),
+  optimize: (d) => vt.optimize(d.columns, macdRules, { fast: [5, 8], slow: [13, 21], signal: 5 }, { objective: "return" }),
+  walkForward: (d) => vt.walkForward(d.columns, macdRules, { fast: [5, 8], slow: [13, 21], signal: 5 }, { train: 80, test: 40 }),
+  resample: (d, o) => vt.resample(d.columns, "4h", o),
+  mtf: (d, o) => vt.mtf(d.columns, "2h", "sma", { params: { window: 3 }, ...o }),
+  doji: (d, o) => vt.doji(d.open, d.high, d.low, d.close, o),
+  hammer: (d, o) => vt.hammer(d.open, d.high, d.low, d.close, o),
+  shootingStar: (d, o) => vt.shootingStar(d.open, d.high, d.low, d.close, o),
+  marubozu: (d, o) => vt.marubozu(d.open, d.high, d.low, d.close, o),
+  engulfing: (d, o) => vt.engulfing(d.open, d.high, d.low, d.close, o),
+  harami: (d, o) => vt.harami(d.open, d.high, d.low, d.close, o),
+  piercing: (d, o) => vt.piercing(d.open, d.high, d.low, d.close, o),
+  morningStar: (d, o) => vt.morningStar(d.open, d.high, d.low, d.close, o),
+  threeSoldiers: (d, o) => vt.threeSoldiers(d.open, d.high, d.low, d.close, o),
+  candlePatterns: (d, o) => vt.candlePatterns(d.columns, o),
+  pivots: (d) => vt.pivots(d.close, { window: 3 }),
+  divergence: (d, o) => vt.divergence(d.close, vt.rsi(d.close, 14, { mode: "lenient", ...o }), { ...o, window: 3 }),
+  supportResistance: (d, o) => vt.supportResistance(d.columns, { ...o, percent: 1, tolerance: 0.01 }),
+  trendlines: (d, o) => vt.trendlines(d.columns, { ...o, percent: 2 }),
+  linreg: (d, o) => vt.linreg(d.close, undefined, o),
+  lsma: (d, o) => vt.lsma(d.close, 14, o),
+  linregForecast: (d, o) => vt.linregForecast(d.close, 14, 2, o),
+  linregSlope: (d, o) => vt.linregSlope(d.close, 14, o),
+  linregAngle: (d, o) => vt.linregAngle(d.close, 14, o),
+  linregR2: (d, o) => vt.linregR2(d.close, 14, o),
+  linregChannel: (d, o) => vt.linregChannel(d.close, 14, 2, "stderr", o),
+  polyfit: (d, o) => vt.polyfit(d.close, 3, undefined, o),
+  polyRegression: (d, o) => vt.polyRegression(d.close, 20, 2, o),
+  parseCsv: (d) => vt.parseCsv(d.text),
+  parseJsonl: (d) => vt.parseJsonl(d.candles.map((c) => JSON.stringify(c)).join("\n")),
+  flattenResults: (d, o) => vt.flattenResults({ sma: vt.sma(d.close, 5, o), bb: vt.bb(d.close, 5, 2, o) }, { time: d.time }),
+  toCsv: (d, o) => vt.toCsv({ sma: vt.sma(d.close, 5, o), macd: vt.macd(d.close, 3, 6, 2, o) }, { time: d.time, timeFormat: "iso" }),
+  toJsonl: (d, o) => vt.toJsonl({ sma: vt.sma(d.close, 5, o), macd: vt.macd(d.close, 3, 6, 2, o) }, { time: d.time }),
+};
+
+/**
+ * The exports covered by other tests than the golden cases.
+ */
+export const COVERED_ELSEWHERE = {
+  ValidationError: "validation.test.js",
+  LengthMismatchError: "validation.test.js",
+  InvalidWindowError: "validation.test.js",
+  InsufficientDataError: "validation.test.js",
+  InvalidValueError: "validation.test.js",
+  setValidation: "validation.test.js",
+};
+
+/**
+ * The tolerance of each case, relative to the magnitude of the expected value when above 1.
+ * Iterative and power-heavy calculations get more room for platform rounding.
+ */
+export const TOLERANCES = {
+  default: 1e-10,
+  polyfit: 1e-7,
+  polyRegression: 1e-7,
+  linregAngle: 1e-9,
+  t3: 1e-9,
+  kama: 1e-9,
+  alma: 1e-9,
+  cagr: 1e-9,
+  calmar: 1e-9,
+  sharpe: 1e-9,
+  sortino: 1e-9,
+  volatility: 1e-9,
+  valueAtRisk: 1e-9,
+  optimize: 1e-8,
+  walkForward: 1e-8,
+  backtest: 1e-8,
+};
+
+/**
+ * Builds MACD crossover rules for the optimization cases.
+ * @param {Object} p - The parameters { fast, slow, signal }.
+ * @param {Object} c - The columns.
+ * @returns {Object} - The rules.
+ */
+function macdRules(p, c) {
+  const m = vt.macd(c.close, p.fast, p.slow, p.signal, { pad: "partial", mode: "lenient" });
+  return { longEntry: vt.crossOver(m.line, m.signal), longExit: vt.crossUnder(m.line, m.signal) };
+}
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import * as vt from "../view-technical.js";
+import { loadFixture } from "./helpers.js";
+
+const cli = fileURLToPath(new URL("../cli.js", import.meta.url));
+const input = fileURLToPath(new URL("./fixtures/ohlcv.csv", import.meta.url));
+const d = loadFixture("ohlcv");
+
+const run = (...args) => spawnSync(process.execPath, [cli, ...args], { encoding: "utf8" });
+const column = (stdout, k = 1) =>
+  stdout
+    .trim()
+    .split("\n")
+    .slice(1)
+    .map((line) => (line.split(",")[k] === "" ? NaN : Number(line.split(",")[k])));
+
+test("the help example prints the values of the expression", () => {
+  const { status, stdout } = run("ema(rsi(close,14),9)", "--input", input);
+  assert.equal(status, 0);
+  const values = column(stdout);
+  const expected = vt.ema(vt.rsi(d.close, 14), 9);
+  assert.equal(values.length, d.close.length);
+  assert.ok(values.slice(expected.warmup).every(Number.isFinite));
+  values.slice(expected.warmup).forEach((x, i) => assert.ok(Math.abs(x - expected[expected.warmup + i]) < 1e-9));
+});
+
+test("patterns run as indicators and metrics as tools", () => {
+  const doji = run("doji", "--input", input);
+  assert.equal(doji.status, 0);
+  assert.deepEqual(column(doji.stdout), Array.from(vt.doji(d.open, d.high, d.low, d.close)));
+  const sharpe = run("sharpe", "--riskFree", "0.0001", "--input", input);
+  assert.equal(sharpe.status, 0);
+  assert.deepEqual(JSON.parse(sharpe.stdout), { sharpe: vt.sharpe(vt.returns(d.close), 0.0001) });
+  const crosses = run("crossOver", "ema(close,12)", "ema(close,26)", "--input", input);
+  assert.deepEqual(
+    crosses.stdout.trim().split("\n").slice(1).map((line) => line.endsWith("true")),
+    Array.from(vt.crossOver(vt.ema(d.close, 12), vt.ema(d.close, 26)))
+  );
+  const pivots = run("pivots", "--percent", "2", "--input", input);
+  assert.deepEqual(pivots.stdout.trim().split("\n").map((line) => JSON.parse(line)), vt.pivots(d.close, { percent: 2 }));
+  const fib = run("fibRetracement", "100", "150");
+  assert.deepEqual(JSON.parse(fib.stdout), vt.fibRetracement(100, 150));
+});
+
+test("every export is listed as an indicator, a tool, or with the reason it is not run", () => {
+  const { status, stdout } = run("list");
+  assert.equal(status, 0);
+  const names = new Set(stdout.match(/\w+/g));
+  Object.keys(vt).forEach((name) => assert.ok(names.has(name), name));
+  const stream = run("help", "createSma");
+  assert.equal(stream.status, 0);
+  assert.match(stream.stdout, /run the batch indicator instead/);
+  const unknown = run("nope", "--input", input);
+  assert.equal(unknown.status, 2);
+  assert.match(unknown.stderr, /unknown indicator or tool "nope"/);
+  assert.equal(run("beta", "--input", input).status, 2);
+});
+
+test("names of Object.prototype are unknown indicators", () => {
+  [["help", "toString"], ["toString", "--input", input], ["constructor(close)", "--input", input], ["help", "__proto__"]].forEach((args) => {
+    const { status, stderr } = run(...args);
+    assert.equal(status, 2, args.join(" "));
+    assert.match(stderr, /unknown indicator/, args.join(" "));
+  });
+});
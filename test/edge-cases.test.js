@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import * as vt from "../view-technical.js";
+import { loadFixture } from "./helpers.js";
+
+const flat = loadFixture("flat");
+const still = loadFixture("zero-volume");
+const gaps = loadFixture("gaps");
+const short = loadFixture("short");
+
+function after(series, warmup) {
+  return Array.from(series).slice(warmup);
+}
+
+test("flat prices give defined values", () => {
+  const { high, low, close, volume } = flat;
+  const expect = (series, value, name) => after(series, series.warmup).forEach((x, i) => assert.equal(x, value, `${name}[${i}]`));
+  expect(vt.rsi(close, 14), 50, "rsi");
+  expect(vt.stoch(high, low, close, 14, 3, 3).line, 50, "stoch");
+  expect(vt.williams(high, low, close, 14), -50, "williams");
+  expect(vt.stochRsi(close, 5, 3, 3).line, 0.5, "stochRsi");
+  expect(vt.bbp(close, 20, 2), 0.5, "bbp");
+  expect(vt.cci(high, low, close, 20, 0.015), 0, "cci");
+  expect(vt.adx(high, low, close, 5).adx, 0, "adx");
+  expect(vt.vi(high, low, close, 14).plus, 0, "vi.plus");
+  expect(vt.stdev(close, 20), 0, "stdev");
+  expect(vt.atr(high, low, close, 14), 0, "atr");
+  expect(vt.vwap(high, low, close, volume), 100, "vwap");
+});
+
+test("zero volume gives defined values", () => {
+  const { high, low, close, volume } = still;
+  const tp = vt.typicalPrice(high, low, close);
+  assert.deepEqual(vt.vwap(high, low, close, volume), tp);
+  assert.deepEqual(after(vt.vwma(close, volume, 10), 9), after(vt.sma(close, 10), 9));
+  after(vt.obv(close, volume, 5).line, 0).forEach((x) => assert.equal(x, 0));
+  after(vt.cmf(high, low, close, volume, 20), 19).forEach((x) => assert.ok(Number.isFinite(x)));
+});
+
+test("gaps throw in strict mode, naming the bar", () => {
+  assert.throws(() => vt.sma(gaps.close, 5), { name: "InvalidValueError", message: /index 20/ });
+  assert.throws(() => vt.atr(gaps.high, gaps.low, gaps.close, 5), vt.InvalidValueError);
+});
+
+test("lenient gaps propagate to the windows holding them", () => {
+  const result = vt.sma(gaps.close, 5, { mode: "lenient" });
+  after(result, 4).forEach((x, k) => {
+    const i = k + 4;
+    const gapped = (i >= 20 && i < 25) || (i >= 48 && i < 53);
+    assert.equal(Number.isNaN(x), gapped, `sma[${i}]`);
+  });
+});
+
+test("lenient gaps give NaN in the ratio indicators, not their flat-window value", () => {
+  const { high, low, close, volume } = gaps;
+  const o = { mode: "lenient" };
+  // The close is missing at bar 20; the true range reads it as the previous close at bar 21.
+  const gapped = {
+    cci: [vt.cci(high, low, close, 5, 0.015, o), 20],
+    stoch: [vt.stoch(high, low, close, 5, 3, 1, o).line, 20],
+    bbp: [vt.bbp(close, 5, 2, o), 20],
+    choppiness: [vt.choppiness(high, low, close, 5, o), 21],
+    vi: [vt.vi(high, low, close, 5, o).plus, 21],
+    cmo: [vt.cmo(close, 5, o), 20],
+    rsi: [vt.rsi(close, 5, o), 20],
+    mfi: [vt.mfi(high, low, close, volume, 5, o), 20],
+    adx: [vt.adx(high, low, close, 5, o).dip, 21],
+  };
+  Object.keys(gapped).forEach((name) => {
+    const [series, i] = gapped[name];
+    assert.ok(Number.isNaN(series[i]), `${name}[${i}]`);
+  });
+  assert.ok(after(vt.cmo(close, 5, o), 26).slice(0, 20).every(Number.isFinite));
+  const nested = vt.evaluate("stoch(rsi(close,14),rsi(close,14),rsi(close,14),14)", gaps.columns, { mode: "lenient", gaps: "fill", pad: "partial" });
+  assert.ok(nested.line.slice(0, 27).every(Number.isNaN));
+  assert.ok(nested.line.slice(45).every(Number.isFinite));
+});
+
+test("lenient gaps are filled with the previous value", () => {
+  const filled = gaps.close.slice();
+  for (let i = 1; i < filled.length; i++) {
+    filled[i] = Number.isNaN(filled[i]) ? filled[i - 1] : filled[i];
+  }
+  assert.deepEqual(vt.sma(gaps.close, 5, { mode: "lenient", gaps: "fill" }), vt.sma(filled, 5));
+  assert.deepEqual(vt.rsi(gaps.close, 5, { mode: "lenient", gaps: "fill" }), vt.rsi(filled, 5));
+});
+
+test("resample checks its columns like an indicator", () => {
+  const candles = { time: [0, 60000, 120000, 180000], high: [2, NaN, 4, 3], low: [1, 1, 2, 2], volume: [5, NaN, 5, 5] };
+  assert.throws(() => vt.resample(candles, "2m"), { name: "InvalidValueError", message: /resample: high has a gap at index 1/ });
+  const propagated = vt.resample(candles, "2m", { mode: "lenient" });
+  assert.deepEqual(propagated.high, [NaN, 4]);
+  assert.deepEqual(propagated.volume, [NaN, 10]);
+  const filled = vt.resample(candles, "2m", { mode: "lenient", gaps: "fill" });
+  assert.deepEqual(filled.high, [2, 4]);
+  assert.deepEqual(filled.volume, [10, 10]);
+  assert.ok(Number.isNaN(candles.high[1]));
+});
+
+test("volumeProfile leaves bars with gaps out of the rows and the total", () => {
+  const candles = { high: [11, 12, 13, 12], low: [9, 10, 11, 10], close: [10, 11, 12, 11], volume: [100, NaN, 300, 400] };
+  const profile = vt.volumeProfile(candles, { mode: "lenient", rows: 4 });
+  assert.equal(profile.total, 800);
+  assert.equal(profile.rows.reduce((sum, row) => sum + row.volume, 0), 800);
+  assert.ok(profile.rows.every((row) => Number.isFinite(row.volume)));
+});
+
+test("series shorter than the window throw in strict mode", () => {
+  assert.throws(() => vt.sma(short.close, 10), vt.InsufficientDataError);
+  assert.throws(() => vt.macd(short.close, 12, 26, 9), vt.InsufficientDataError);
+  assert.throws(() => vt.atr(short.high, short.low, short.close, 14), vt.InsufficientDataError);
+});
+
+test("series shorter than the window are all warm-up in lenient mode", () => {
+  const result = vt.sma(short.close, 10, { mode: "lenient" });
+  assert.equal(result.length, short.close.length);
+  assert.equal(result.warmup, short.close.length);
+  assert.ok(result.every(Number.isNaN));
+  assert.deepEqual(Array.from(vt.rsi(short.close, 14, { mode: "lenient", pad: "trim" })), []);
+});
+
+test("the harami and star bodies are measured against the range of the long bar", () => {
+  const bars = (rows) => [0, 1, 2, 3].map((k) => rows.map((row) => row[k]));
+  const harami = (body) => vt.harami(...bars([[10, 20, 10, 20], [17, 18, 13, 17 - body]])).at(-1);
+  assert.equal(harami(3), -1);
+  assert.equal(harami(3.5), 0);
+  const star = (body) => vt.morningStar(...bars([[20, 20, 10, 10], [9.8, 9.9, 5, 9.8 - body], [9, 16, 9, 16]])).at(-1);
+  assert.equal(star(3), 1);
+  assert.equal(star(3.5), 0);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import * as vt from "../view-technical.js";
+import { loadFixture } from "./helpers.js";
+
+const d = loadFixture("ohlcv");
+
+test("nested expressions equal the chained calls", () => {
+  const result = vt.evaluate("ema(rsi(close,14),9)", d.columns);
+  assert.deepEqual(result, vt.ema(vt.rsi(d.close, 14), 9));
+  assert.ok(result.slice(result.warmup).every(Number.isFinite));
+  assert.deepEqual(vt.evaluate("macd(close,12,26,9).hist", d.columns), vt.macd(d.close, 12, 26, 9).hist);
+});
+
+test("the cache keeps results apart by their options", () => {
+  const cache = new Map();
+  const wilder = vt.evaluate("atr(high,low,close,14)", d.columns, { cache });
+  const simple = vt.evaluate("atr(high,low,close,14)", d.columns, { cache, maType: "sma" });
+  assert.deepEqual(simple, vt.atr(d.high, d.low, d.close, 14, { maType: "sma" }));
+  assert.notDeepEqual(simple, wilder);
+  const lenient = vt.evaluate("sma(close,5)", d.columns, { cache, mode: "lenient" });
+  assert.deepEqual(lenient, vt.sma(d.close, 5));
+  assert.equal(vt.evaluate("atr(high,low,close,14)", d.columns, { cache }), wilder);
+});
+
+test("invalid expressions throw ValidationError", () => {
+  assert.throws(() => vt.parseExpression("ema(rsi(close,14)"), vt.ValidationError);
+  assert.throws(() => vt.evaluate("nope(close)", d.columns), vt.ValidationError);
+});
+
+test("names of Object.prototype are unknown indicators and columns", () => {
+  ["constructor(close)", "toString(close)", "hasOwnProperty(close)", "constructor", "sma(constructor,5)"].forEach((text) => {
+    assert.throws(() => vt.evaluate(text, d.columns), vt.ValidationError, text);
+  });
+  assert.throws(() => vt.evaluate({ fn: "toString" }, d.columns), { name: "ValidationError", message: /unknown indicator "toString"/ });
+  assert.throws(() => vt.parseExpression("valueOf(close)"), vt.ValidationError);
+  assert.throws(() => vt.on(d.candles).sma({ source: "__proto__" }), vt.ValidationError);
+});
+
+test("fields select the registered outputs only", () => {
+  assert.deepEqual(vt.evaluate("bb(close).upper", d.columns), vt.bb(d.close, 20, 2).upper);
+  assert.deepEqual(vt.evaluate("ichimoku(high,low,close).ahead.spanA", d.columns), vt.ichimoku(d.high, d.low, d.close).ahead.spanA);
+  ["bb(close).upper.length", "bb(close).__proto__", "bb(close).constructor", "sma(close,5).length", "ichimoku(high,low,close).ahead.length"].forEach((text) => {
+    assert.throws(() => vt.evaluate(text, d.columns), { name: "ValidationError", message: /has no output/ }, text);
+  });
+});
+
+test("a parameter given twice and a cache that is not a Map throw ValidationError", () => {
+  ["sma(close,window=3,window=4)", "sma(close,3,window=4)"].forEach((text) => {
+    assert.throws(() => vt.parseExpression(text), { name: "ValidationError", message: /"window" twice/ }, text);
+  });
+  [5, {}, null].forEach((cache) => {
+    assert.throws(() => vt.evaluate("sma(close,5)", d.columns, { cache }), { name: "ValidationError", message: /cache must be a Map/ });
+  });
+});
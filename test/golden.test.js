@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import * as vt from "../view-technical.js";
+import { CASES, COVERED_ELSEWHERE, TOLERANCES } from "./cases.js";
+import { FIXTURES_OPTIONS, assertClose, capture, loadExpected, loadFixture } from "./helpers.js";
+
+test("every export has a golden case or a test of its own", () => {
+  const missing = Object.keys(vt).filter((name) => !CASES[name] && !COVERED_ELSEWHERE[name]);
+  assert.deepEqual(missing, []);
+});
+
+Object.keys(FIXTURES_OPTIONS).forEach((fixture) => {
+  const data = loadFixture(fixture);
+  const expected = loadExpected(fixture);
+  Object.keys(CASES).forEach((name) => {
+    test(`${fixture}: ${name}`, () => {
+      assert.ok(name in expected, `no expected output for ${name}, run npm run test:update`);
+      const actual = capture(CASES[name], data, { ...FIXTURES_OPTIONS[fixture] });
+      assertClose(actual, expected[name], TOLERANCES[name] || TOLERANCES.default, name);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import assert from "assert/strict";
+import { ValidationError } from "../view-technical.js";
+
+const FIXTURES = fileURLToPath(new URL("./fixtures/", import.meta.url));
+const EXPECTED = fileURLToPath(new URL("./expected/", import.meta.url));
+
+/**
+ * The fixtures, with the options their cases are called with.
+ * - ohlcv: 160 half-hour bars of a random walk.
+ * - flat: 40 bars without any price change.
+ * - zero-volume: 40 moving bars without volume.
+ * - gaps: 60 bars with a missing close, a missing high and low, and a missing bar, read in lenient
+ *   mode with the gaps filled.
+ * - short: 6 bars, shorter than most windows, read in lenient mode.
+ */
+export const FIXTURES_OPTIONS = {
+  ohlcv: {},
+  flat: {},
+  "zero-volume": {},
+  gaps: { mode: "lenient", gaps: "fill" },
+  short: { mode: "lenient" },
+};
+
+/**
+ * Reads a fixture CSV without the library's own parser, so the parser is tested against it too.
+ * Empty cells are read as NaN and times as milliseconds.
+ * @param {string} name - The fixture name.
+ * @returns {Object} - The columns, the candle objects and the CSV text.
+ */
+export function loadFixture(name) {
+  const text = readFileSync(`${FIXTURES}${name}.csv`, "utf8");
+  const [header, ...lines] = text.trim().split("\n");
+  const keys = header.split(",");
+  const columns = {};
+  keys.forEach((key) => (columns[key] = []));
+  lines.forEach((line) => {
+    line.split(",").forEach((cell, k) => {
+      columns[keys[k]].push(keys[k] === "time" ? Date.parse(cell) : cell === "" ? NaN : Number(cell));
+    });
+  });
+  const candles = columns.time.map((_, i) => {
+    const candle = {};
+    keys.forEach((key) => (candle[key] = columns[key][i]));
+    return candle;
+  });
+  return { ...columns, columns, candles, text };
+}
+
+/**
+ * Reads the expected outputs of a fixture.
+ * @param {string} name - The fixture name.
+ * @returns {Object} - The encoded outputs, keyed by case.
+ */
+export function loadExpected(name) {
+  return JSON.parse(readFileSync(`${EXPECTED}${name}.json`, "utf8"));
+}
+
+/**
+ * The path of the expected outputs of a fixture.
+ * @param {string} name - The fixture name.
+ * @returns {string} - The file path.
+ */
+export function expectedPath(name) {
+  return `${EXPECTED}${name}.json`;
+}
+
+/**
+ * Encodes an output as JSON-safe data: NaN, infinities and undefined become strings, typed
+ * arrays become arrays, and arrays carrying properties such as `warmup` or `events` become
+ * { $array, ...properties }. Functions are dropped.
+ * @param {*} value - The output.
+ * @returns {*} - The encoded output.
+ */
+export function encode(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : String(value);
+  }
+  if (value === undefined) {
+    return "undefined";
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (value instanceof Error) {
+    return { $error: value.name };
+  }
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    const items = Array.from(value, encode);
+    const extra = Object.keys(value).filter((key) => !/^\d+$/.test(key));
+    if (!extra.length) {
+      return items;
+    }
+    const result = { $array: items };
+    extra.forEach((key) => (result[key] = encode(value[key])));
+    return result;
+  }
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    if (typeof value[key] !== "function") {
+      result[key] = encode(value[key]);
+    }
+  });
+  return result;
+}
+
+/**
+ * Runs a case, encoding a thrown validation error as { $error: name }.
+ * @param {function} run - The case.
+ * @param {...*} args - The case arguments.
+ * @returns {*} - The encoded output.
+ */
+export function capture(run, ...args) {
+  try {
+    return encode(run(...args));
+  } catch (e) {
+    if (e instanceof ValidationError) {
+      return { $error: e.name };
+    }
+    throw e;
+  }
+}
+
+/**
+ * Asserts that an encoded output matches the expected one, numbers within a relative tolerance.
+ * @param {*} actual - The encoded output.
+ * @param {*} expected - The expected encoded output.
+ * @param {number} tolerance - The tolerance, relative to the magnitude of the expected value when above 1.
+ * @param {string} path - The path of the compared value, for the failure message.
+ */
+export function assertClose(actual, expected, tolerance, path = "") {
+  if (typeof expected === "number" && typeof actual === "number") {
+    const error = Math.abs(actual - expected);
+    if (!(error <= tolerance * Math.max(1, Math.abs(expected)))) {
+      assert.fail(`${path || "value"}: expected ${expected}, got ${actual} (tolerance ${tolerance})`);
+    }
+    return;
+  }
+  if (expected === null || typeof expected !== "object" || actual === null || typeof actual !== "object") {
+    assert.deepEqual(actual, expected, path || "value");
+    return;
+  }
+  assert.equal(Array.isArray(actual), Array.isArray(expected), `${path}: array mismatch`);
+  const keys = Object.keys(expected);
+  assert.deepEqual(Object.keys(actual).sort(), keys.slice().sort(), `${path}: keys differ`);
+  keys.forEach((key) => assertClose(actual[key], expected[key], tolerance, `${path}${Array.isArray(expected) ? `[${key}]` : `.${key}`}`));
+}
+
+/**
+ * Collects the outputs of a streaming indicator fed with every bar.
+ * @param {Object} stream - The streaming indicator.
+ * @param {Array} inputs - The values or candles.
+ * @returns {Array} - The outputs.
+ */
+export function feed(stream, inputs) {
+  return inputs.map((input) => stream.next(input));
+}
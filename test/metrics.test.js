@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import * as vt from "../view-technical.js";
+
+const equity = [100, 110, 105, 120, 90, 95, 125, 118];
+
+test("drawdown measures each bar from the running peak", () => {
+  const dd = vt.drawdown(equity);
+  assert.deepEqual(dd.map((x) => Math.round(x * 1e6) / 1e6), [0, 0, 0.045455, 0, 0.25, 0.208333, 0, 0.056]);
+  assert.deepEqual(vt.maxDrawdown(equity), { drawdown: 0.25, peak: 3, trough: 4, recovery: 6, duration: 3 });
+});
+
+test("drawdown skips warm-up padding and gaps", () => {
+  const padded = [NaN, NaN, 100, 110, 105, 120, 90];
+  const dd = vt.drawdown(padded);
+  assert.ok(Number.isNaN(dd[0]) && Number.isNaN(dd[1]));
+  assert.deepEqual(dd.slice(2), vt.drawdown(padded.slice(2)));
+  assert.deepEqual(vt.maxDrawdown(padded), { drawdown: 0.25, peak: 5, trough: 6, recovery: -1, duration: 1 });
+  const gapped = [100, 90, NaN, 75, null, 100];
+  assert.deepEqual(vt.maxDrawdown(gapped), { drawdown: 0.25, peak: 0, trough: 3, recovery: 5, duration: 5 });
+});
+
+test("metrics skip non-finite values", () => {
+  const returns = vt.returns(equity);
+  assert.ok(Number.isNaN(returns[0]));
+  assert.equal(vt.cumulativeReturn([NaN, ...equity]), vt.cumulativeReturn(equity));
+  assert.equal(vt.sharpe(returns), vt.sharpe(returns.slice(1)));
+  assert.ok(Number.isFinite(vt.calmar([NaN, ...equity])));
+});
@@ -0,0 +1,284 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import * as vt from "../view-technical.js";
+import { loadFixture } from "./helpers.js";
+
+// Textbook definitions, written out bar by bar as TA-Lib and TradingView document them, and
+// compared to the library from the first bar both define.
+
+const d = loadFixture("ohlcv");
+const TOLERANCE = 1e-9;
+
+function assertSeries(actual, expected, from, name) {
+  assert.equal(actual.length, expected.length, `${name}: length`);
+  for (let i = from; i < expected.length; i++) {
+    const error = Math.abs(actual[i] - expected[i]);
+    assert.ok(error <= TOLERANCE * Math.max(1, Math.abs(expected[i])), `${name}[${i}]: expected ${expected[i]}, got ${actual[i]}`);
+  }
+}
+
+function windowOf(series, i, window) {
+  return series.slice(i + 1 - window, i + 1);
+}
+
+function average(values) {
+  return values.reduce((sum, x) => sum + x, 0) / values.length;
+}
+
+function wilder(values, window) {
+  const result = new Array(values.length).fill(NaN);
+  result[window - 1] = average(values.slice(0, window));
+  for (let i = window; i < values.length; i++) {
+    result[i] = (result[i - 1] * (window - 1) + values[i]) / window;
+  }
+  return result;
+}
+
+function exponential(values, window) {
+  const k = 2 / (window + 1);
+  const result = new Array(values.length).fill(NaN);
+  result[window - 1] = average(values.slice(0, window));
+  for (let i = window; i < values.length; i++) {
+    result[i] = values[i] * k + result[i - 1] * (1 - k);
+  }
+  return result;
+}
+
+test("sma is the window mean", () => {
+  const expected = d.close.map((_, i) => (i < 13 ? NaN : average(windowOf(d.close, i, 14))));
+  assertSeries(vt.sma(d.close, 14), expected, 13, "sma");
+});
+
+test("ema is seeded with the sma of the first window", () => {
+  assertSeries(vt.ema(d.close, 10), exponential(d.close, 10), 9, "ema");
+});
+
+test("rma is Wilder's average", () => {
+  assertSeries(vt.rma(d.close, 14), wilder(d.close, 14), 13, "rma");
+});
+
+test("rsi with maType rma is Wilder's RSI", () => {
+  const gains = [];
+  const losses = [];
+  for (let i = 1; i < d.close.length; i++) {
+    gains.push(Math.max(d.close[i] - d.close[i - 1], 0));
+    losses.push(Math.max(d.close[i - 1] - d.close[i], 0));
+  }
+  const g = wilder(gains, 14);
+  const l = wilder(losses, 14);
+  const expected = [NaN].concat(g.map((x, k) => 100 - 100 / (1 + x / l[k])));
+  assertSeries(vt.rsi(d.close, 14, { maType: "rma" }), expected, 14, "rsi");
+});
+
+test("atr with maType rma is Wilder's average of the true range", () => {
+  const tr = d.close.map((_, i) =>
+    i === 0
+      ? d.high[0] - d.low[0]
+      : Math.max(d.high[i] - d.low[i], Math.abs(d.high[i] - d.close[i - 1]), Math.abs(d.low[i] - d.close[i - 1]))
+  );
+  assertSeries(vt.atr(d.high, d.low, d.close, 14, { maType: "rma" }), wilder(tr, 14), 13, "atr");
+});
+
+test("bb bands are the sma plus and minus the population deviation", () => {
+  const { lower, middle, upper } = vt.bb(d.close, 20, 2);
+  const dev = d.close.map((_, i) => {
+    if (i < 19) {
+      return NaN;
+    }
+    const w = windowOf(d.close, i, 20);
+    const m = average(w);
+    return Math.sqrt(average(w.map((x) => (x - m) * (x - m))));
+  });
+  const mid = d.close.map((_, i) => (i < 19 ? NaN : average(windowOf(d.close, i, 20))));
+  assertSeries(middle, mid, 19, "bb.middle");
+  assertSeries(upper, mid.map((m, i) => m + 2 * dev[i]), 19, "bb.upper");
+  assertSeries(lower, mid.map((m, i) => m - 2 * dev[i]), 19, "bb.lower");
+});
+
+test("williams %R and donchian use the window's highest high and lowest low", () => {
+  const hh = d.high.map((_, i) => (i < 13 ? NaN : Math.max(...windowOf(d.high, i, 14))));
+  const ll = d.low.map((_, i) => (i < 13 ? NaN : Math.min(...windowOf(d.low, i, 14))));
+  assertSeries(vt.williams(d.high, d.low, d.close, 14), d.close.map((c, i) => (-100 * (hh[i] - c)) / (hh[i] - ll[i])), 13, "williams");
+  const channel = vt.donchian(d.high, d.low, 14);
+  assertSeries(channel.upper, hh, 13, "donchian.upper");
+  assertSeries(channel.lower, ll, 13, "donchian.lower");
+});
+
+test("cci divides the typical price deviation by 0.015 times its mean deviation", () => {
+  const tp = d.close.map((c, i) => (d.high[i] + d.low[i] + c) / 3);
+  const expected = tp.map((x, i) => {
+    if (i < 19) {
+      return NaN;
+    }
+    const w = windowOf(tp, i, 20);
+    const m = average(w);
+    return (x - m) / (0.015 * average(w.map((y) => Math.abs(y - m))));
+  });
+  assertSeries(vt.cci(d.high, d.low, d.close, 20, 0.015), expected, 19, "cci");
+});
+
+test("obv adds the volume of up bars and subtracts that of down bars", () => {
+  let total = 0;
+  const expected = d.close.map((c, i) => (total += i === 0 ? 0 : Math.sign(c - d.close[i - 1]) * d.volume[i]));
+  assertSeries(vt.obv(d.close, d.volume, 10).line, expected, 0, "obv");
+});
+
+test("macd line is the difference of the fast and slow ema", () => {
+  const fast = exponential(d.close, 12);
+  const slow = exponential(d.close, 26);
+  assertSeries(vt.macd(d.close, 12, 26, 9).line, fast.map((x, i) => x - slow[i]), 25, "macd.line");
+});
+
+function trueRange(i) {
+  return i === 0
+    ? d.high[0] - d.low[0]
+    : Math.max(d.high[i] - d.low[i], Math.abs(d.high[i] - d.close[i - 1]), Math.abs(d.low[i] - d.close[i - 1]));
+}
+
+test("adx follows Wilder's directional movement", () => {
+  const n = 14;
+  const plus = [0];
+  const minus = [0];
+  for (let i = 1; i < d.close.length; i++) {
+    const up = d.high[i] - d.high[i - 1];
+    const down = d.low[i - 1] - d.low[i];
+    plus.push(up > down && up > 0 ? up : 0);
+    minus.push(down > up && down > 0 ? down : 0);
+  }
+  // Wilder's running sums: the sum of the first n bars after the first, then sum - sum / n + x.
+  const running = (values) => {
+    const result = new Array(values.length).fill(NaN);
+    result[n] = values.slice(1, n + 1).reduce((sum, x) => sum + x, 0);
+    for (let i = n + 1; i < values.length; i++) {
+      result[i] = result[i - 1] - result[i - 1] / n + values[i];
+    }
+    return result;
+  };
+  const tr = running(d.close.map((_, i) => trueRange(i)));
+  const dip = running(plus).map((x, i) => (100 * x) / tr[i]);
+  const dim = running(minus).map((x, i) => (100 * x) / tr[i]);
+  const dx = dip.map((p, i) => (100 * Math.abs(p - dim[i])) / (p + dim[i]));
+  // The adx line averages dx with Wilder's weight 1 / n, seeded with the mean of its first 2n - 1 values.
+  const line = new Array(n).fill(NaN).concat(exponential(dx.slice(n), 2 * n - 1));
+  const result = vt.adx(d.high, d.low, d.close, n);
+  assertSeries(result.dip, dip, n, "adx.dip");
+  assertSeries(result.dim, dim, n, "adx.dim");
+  assertSeries(result.adx, line, 3 * n - 2, "adx.adx");
+});
+
+test("psar follows Wilder's stop and reverse", () => {
+  const step = 0.02;
+  const max = 0.2;
+  const expected = [NaN, Math.min(d.low[0], d.low[1])];
+  let long = true;
+  let factor = step;
+  let extreme = Math.max(d.high[0], d.high[1]);
+  for (let i = 2; i < d.close.length; i++) {
+    let sar = expected[i - 1] + factor * (extreme - expected[i - 1]);
+    if (long) {
+      sar = Math.min(sar, d.low[i - 1], d.low[i - 2]);
+    } else {
+      sar = Math.max(sar, d.high[i - 1], d.high[i - 2]);
+    }
+    if (long ? d.low[i] < sar : d.high[i] > sar) {
+      long = !long;
+      sar = extreme;
+      extreme = long ? d.high[i] : d.low[i];
+      factor = step;
+    } else if (long ? d.high[i] > extreme : d.low[i] < extreme) {
+      extreme = long ? d.high[i] : d.low[i];
+      factor = Math.min(factor + step, max);
+    }
+    expected.push(sar);
+  }
+  assertSeries(vt.psar(d.high, d.low, step, max), expected, 1, "psar");
+});
+
+test("ichimoku lines are window midpoints, the spans drawn displacement - 1 bars ahead", () => {
+  const midpoint = (i, window) => (i < window - 1 ? NaN : (Math.max(...windowOf(d.high, i, window)) + Math.min(...windowOf(d.low, i, window))) / 2);
+  const conversion = d.close.map((_, i) => midpoint(i, 9));
+  const base = d.close.map((_, i) => midpoint(i, 26));
+  const leadA = conversion.map((x, i) => (x + base[i]) / 2);
+  const leadB = d.close.map((_, i) => midpoint(i, 52));
+  const result = vt.ichimoku(d.high, d.low, d.close, 9, 26, 52, 26);
+  const len = d.close.length;
+  assertSeries(result.conversion, conversion, 8, "ichimoku.conversion");
+  assertSeries(result.base, base, 25, "ichimoku.base");
+  assertSeries(result.spanA, conversion.map((_, i) => (i < 25 ? NaN : leadA[i - 25])), 50, "ichimoku.spanA");
+  assertSeries(result.spanB, conversion.map((_, i) => (i < 25 ? NaN : leadB[i - 25])), 76, "ichimoku.spanB");
+  assertSeries(result.lagging.slice(0, len - 25), d.close.slice(25), 0, "ichimoku.lagging");
+  assert.ok(result.lagging.slice(len - 25).every(Number.isNaN));
+  assertSeries(result.ahead.spanA, leadA.slice(len - 25), 0, "ichimoku.ahead.spanA");
+  assertSeries(result.ahead.spanB, leadB.slice(len - 25), 0, "ichimoku.ahead.spanB");
+});
+
+test("supertrend trails the final bands of Wilder's atr", () => {
+  const n = 10;
+  const mult = 3;
+  const range = wilder(d.close.map((_, i) => trueRange(i)), n);
+  const line = new Array(d.close.length).fill(NaN);
+  const direction = new Array(d.close.length).fill(NaN);
+  let upper;
+  let lower;
+  let trend = -1;
+  for (let i = n - 1; i < d.close.length; i++) {
+    const mid = (d.high[i] + d.low[i]) / 2;
+    let up = mid + mult * range[i];
+    let dn = mid - mult * range[i];
+    if (i > n - 1) {
+      up = up < upper || d.close[i - 1] > upper ? up : upper;
+      dn = dn > lower || d.close[i - 1] < lower ? dn : lower;
+      trend = trend === -1 ? (d.close[i] > up ? 1 : -1) : d.close[i] < dn ? -1 : 1;
+    }
+    upper = up;
+    lower = dn;
+    line[i] = trend === 1 ? lower : upper;
+    direction[i] = trend;
+  }
+  const result = vt.supertrend(d.high, d.low, d.close, n, mult, { maType: "rma" });
+  assertSeries(result.line, line, n - 1, "supertrend.line");
+  assertSeries(result.direction, direction, n - 1, "supertrend.direction");
+});
+
+test("aroon counts the bars since the highest high and lowest low of the last window + 1", () => {
+  const n = 25;
+  const since = (series, pick) => series.map((_, i) => {
+    if (i < n) {
+      return NaN;
+    }
+    const w = windowOf(series, i, n + 1);
+    return (100 * (n - (n - w.lastIndexOf(pick(...w))))) / n;
+  });
+  const up = since(d.high, Math.max);
+  const down = since(d.low, Math.min);
+  const result = vt.aroon(d.high, d.low, n);
+  assertSeries(result.up, up, n, "aroon.up");
+  assertSeries(result.down, down, n, "aroon.down");
+  assertSeries(result.oscillator, up.map((x, i) => x - down[i]), n, "aroon.oscillator");
+});
+
+test("stochRsi is the stochastic of the rsi, smoothed and signalled with the sma", () => {
+  const n = 14;
+  const gains = [0];
+  const losses = [0];
+  for (let i = 1; i < d.close.length; i++) {
+    gains.push(Math.max(d.close[i] - d.close[i - 1], 0));
+    losses.push(Math.max(d.close[i - 1] - d.close[i], 0));
+  }
+  const g = exponential(gains, 2 * n - 1);
+  const l = exponential(losses, 2 * n - 1);
+  const rsi = g.map((x, i) => 100 - 100 / (1 + x / l[i]));
+  const from = 2 * n - 1 + n - 1;
+  const k = rsi.map((x, i) => {
+    if (i < from) {
+      return NaN;
+    }
+    const w = windowOf(rsi, i, n);
+    return (x - Math.min(...w)) / (Math.max(...w) - Math.min(...w));
+  });
+  const line = k.map((_, i) => (i < from + 2 ? NaN : average(windowOf(k, i, 3))));
+  const signal = line.map((_, i) => (i < from + 4 ? NaN : average(windowOf(line, i, 3))));
+  const result = vt.stochRsi(d.close, n, 3, 3);
+  assertSeries(result.line, line, from + 2, "stochRsi.line");
+  assertSeries(result.signal, signal, from + 4, "stochRsi.signal");
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import * as vt from "../view-technical.js";
+import { loadFixture } from "./helpers.js";
+
+const d = loadFixture("ohlcv");
+
+test("every export is an indicator or marked as another kind of export", () => {
+  const indicators = vt.describe();
+  Object.keys(vt).forEach((name) => {
+    if (!indicators[name]) {
+      assert.throws(() => vt.describe(name), { name: "ValidationError", message: /is a \w+ export, not an indicator/ }, name);
+    }
+  });
+  assert.throws(() => vt.describe("nope"), { message: 'unknown indicator "nope"' });
+  ["toString", "constructor", "__proto__", "hasOwnProperty"].forEach((name) => {
+    assert.throws(() => vt.describe(name), { name: "ValidationError", message: `unknown indicator "${name}"` }, name);
+  });
+});
+
+test("the registered warm-up matches the warm-up of the default output", () => {
+  const frame = vt.on(d.candles);
+  Object.values(vt.describe()).forEach((info) => {
+    const result = frame[info.name]();
+    const series = info.outputs ? info.outputs.map((key) => result[key]).filter((x) => Array.isArray(x) && "warmup" in x) : [result];
+    if (series.length) {
+      assert.equal(Math.max(...series.map((x) => x.warmup)), info.warmup(), info.name);
+    }
+  });
+});
+
+test("candle patterns take their thresholds by name", () => {
+  const { open, high, low, close } = d;
+  assert.deepEqual(vt.on(d.candles).doji({ doji: 0.3, trend: 3 }), vt.doji(open, high, low, close, { doji: 0.3, trend: 3 }));
+  assert.deepEqual(vt.evaluate("hammer(shadow=1)", d.columns), vt.hammer(open, high, low, close, { shadow: 1 }));
+  assert.equal(vt.describe("doji").warmup({ trend: 3 }), 3);
+  assert.deepEqual(vt.describe("engulfing").params, []);
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import * as vt from "../view-technical.js";
+
+// The O(n) rolling sums, deviations and extremes against the windowed calculation they
+// replaced: every window sliced and reduced again, as rolling() does.
+
+function series(n, seed) {
+  let s = seed;
+  const random = () => (s = (s * 16807) % 2147483647) / 2147483647;
+  let price = 100;
+  return Array.from({ length: n }, () => (price *= 1 + (random() - 0.5) * 0.02));
+}
+
+function assertSeries(actual, expected, name, tolerance = 1e-9) {
+  assert.equal(actual.length, expected.length, `${name}: length`);
+  for (let i = 0; i < expected.length; i++) {
+    const error = Math.abs(actual[i] - expected[i]);
+    assert.ok(error <= tolerance * Math.max(1, Math.abs(expected[i])), `${name}[${i}]: expected ${expected[i]}, got ${actual[i]}`);
+  }
+}
+
+const close = series(5000, 7);
+const high = close.map((x, i) => x * (1 + ((i * 7) % 5) / 1000));
+const low = close.map((x, i) => x * (1 - ((i * 3) % 5) / 1000));
+
+[1, 2, 14, 50, 333].forEach((window) => {
+  test(`sma, stdev and madev match the windowed values, window ${window}`, () => {
+    assertSeries(vt.sma(close, window, { pad: "partial" }), vt.rolling(vt.mean, close, window), "sma");
+    assertSeries(vt.stdev(close, window, { pad: "partial" }), vt.rolling(vt.sd, close, window), "stdev", 1e-7);
+    assertSeries(vt.madev(close, window, { pad: "partial" }), vt.rolling(vt.mad, close, window), "madev");
+  });
+
+  test(`wma matches the windowed weights, window ${window}`, () => {
+    const expected = vt.rolling((w) => {
+      let sum = 0;
+      let weights = 0;
+      w.forEach((x, k) => {
+        const weight = window - (w.length - 1 - k);
+        sum += x * weight;
+        weights += weight;
+      });
+      return sum / weights;
+    }, close, window);
+    assertSeries(vt.wma(close, window, { pad: "partial" }), expected, "wma");
+  });
+
+  test(`donchian and stoch match the windowed extremes, window ${window}`, () => {
+    const hh = vt.rolling((w) => Math.max(...w), high, window);
+    const ll = vt.rolling((w) => Math.min(...w), low, window);
+    const channel = vt.donchian(high, low, window, { pad: "partial" });
+    assertSeries(channel.upper, hh, "donchian.upper", 0);
+    assertSeries(channel.lower, ll, "donchian.lower", 0);
+    const k = close.map((c, i) => (hh[i] > ll[i] ? (100 * (c - ll[i])) / (hh[i] - ll[i]) : 50));
+    assertSeries(vt.stoch(high, low, close, window, 1, 1, { pad: "partial" }).line, k, "stoch");
+  });
+});
+
+test("Float64Array inputs give the same values", () => {
+  const typed = Float64Array.from(close);
+  assertSeries(Array.from(vt.sma(typed, 20)).slice(19), vt.sma(close, 20).slice(19), "sma", 0);
+  assertSeries(Array.from(vt.stdev(typed, 20)).slice(19), vt.stdev(close, 20).slice(19), "stdev", 0);
+});
+
+test("long series do not overflow the stack", () => {
+  const long = series(300000, 11);
+  const candles = { high: long.map((x) => x * 1.001), low: long.map((x) => x * 0.999), close: long };
+  candles.volume = long.map(() => 1000);
+  assert.ok(vt.divergence(long, vt.rsi(long, 14)).length > 0);
+  assert.ok(vt.supportResistance(candles, { percent: 5 }).length > 0);
+  assert.ok(vt.volumeProfile(candles).rows.length > 0);
+  assert.ok(vt.polyfit(long, 2).coefficients.every(Number.isFinite));
+});
+
+test("session profiles cover the bars of each session once", () => {
+  const long = series(200000, 13);
+  const candles = { time: long.map((_, i) => 1704067200000 + i * 60000), high: long.map((x) => x * 1.001), low: long.map((x) => x * 0.999), close: long };
+  candles.volume = long.map(() => 1000);
+  [vt.sessionProfiles(candles, "1d"), vt.marketProfile(candles)].forEach((profiles) => {
+    assert.equal(profiles.length, Math.ceil(long.length / 1440));
+    profiles.forEach((profile, b) => {
+      assert.equal(profile.from, b * 1440);
+      assert.equal(profile.to, Math.min((b + 1) * 1440, long.length));
+    });
+  });
+});
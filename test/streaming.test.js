@@ -0,0 +1,143 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import * as vt from "../view-technical.js";
+import { feed, loadFixture } from "./helpers.js";
+
+// Every streaming indicator against its batch function on the same bars.
+
+const d = loadFixture("ohlcv");
+const gaps = loadFixture("gaps");
+
+function assertSame(actual, expected, name) {
+  assert.equal(actual.length, expected.length, `${name}: length`);
+  actual.forEach((x, i) => {
+    const y = expected[i];
+    if (typeof y !== "number" || Number.isNaN(y)) {
+      assert.equal(x, y, `${name}[${i}]`);
+    } else {
+      assert.ok(Math.abs(x - y) <= 1e-9 * Math.max(1, Math.abs(y)), `${name}[${i}]: expected ${y}, got ${x}`);
+    }
+  });
+}
+
+function column(outputs, key) {
+  return outputs.map((output) => output[key]);
+}
+
+const STREAMS = {
+  createSma: [(o) => vt.createSma(14, o), "close", (o, s = d) => vt.sma(s.close, 14, o)],
+  createEma: [(o) => vt.createEma(14, undefined, o), "close", (o, s = d) => vt.ema(s.close, 14, undefined, o)],
+  createWma: [(o) => vt.createWma(10, o), "close", (o, s = d) => vt.wma(s.close, 10, o)],
+  createStdev: [(o) => vt.createStdev(20, o), "close", (o, s = d) => vt.stdev(s.close, 20, o)],
+  createRoc: [(o) => vt.createRoc(12, o), "close", (o, s = d) => vt.roc(s.close, 12, o)],
+  createBb: [(o) => vt.createBb(20, 2, o), "close", (o, s = d) => vt.bb(s.close, 20, 2, o)],
+  createMacd: [(o) => vt.createMacd(12, 26, 9, o), "close", (o, s = d) => vt.macd(s.close, 12, 26, 9, o)],
+  createRsi: [(o) => vt.createRsi(14, o), "close", (o, s = d) => vt.rsi(s.close, 14, o)],
+  createTrueRange: [(o) => vt.createTrueRange(o), "candles", (o, s = d) => vt.trueRange(s.high, s.low, s.close, o)],
+  createAtr: [(o) => vt.createAtr(14, o), "candles", (o, s = d) => vt.atr(s.high, s.low, s.close, 14, o)],
+  createWilderSmooth: [(o) => vt.createWilderSmooth(14, o), "close", (o, s = d) => vt.wilderSmooth(s.close, 14, o)],
+  createAdx: [(o) => vt.createAdx(14, o), "candles", (o, s = d) => vt.adx(s.high, s.low, s.close, 14, o)],
+  createPsar: [(o) => vt.createPsar(0.02, 0.2, o), "candles", (o, s = d) => vt.psar(s.high, s.low, 0.02, 0.2, o)],
+  createVwap: [(o) => vt.createVwap(o), "candles", (o, s = d) => vt.vwap(s.high, s.low, s.close, s.volume, o)],
+  createObv: [(o) => vt.createObv(10, o), "candles", (o, s = d) => vt.obv(s.close, s.volume, 10, o)],
+};
+
+Object.keys(STREAMS).forEach((name) => {
+  const [create, input, batch] = STREAMS[name];
+  ["nan", "null", "partial"].forEach((padding) => {
+    test(`${name} matches the batch values with pad ${padding}`, () => {
+      const outputs = feed(create({ pad: padding }), d[input]);
+      const expected = batch({ pad: padding });
+      if (Array.isArray(expected)) {
+        assertSame(outputs, expected, name);
+      } else {
+        Object.keys(expected).forEach((key) => assertSame(column(outputs, key), expected[key], `${name}.${key}`));
+      }
+    });
+  });
+
+  test(`${name} update revises the last bar`, () => {
+    const stream = create();
+    const revised = create();
+    d[input].forEach((x, i) => {
+      const wrong = typeof x === "number" ? x * 1.05 : { ...x, high: x.high * 1.05, close: x.close * 1.02 };
+      stream.next(wrong);
+      assert.deepEqual(stream.update(x), revised.next(x), `${name} at bar ${i}`);
+    });
+  });
+
+  test(`${name} fills lenient gaps like the batch values`, () => {
+    const options = { mode: "lenient", gaps: "fill" };
+    const outputs = feed(create(options), gaps[input]);
+    const expected = batch(options, gaps);
+    if (Array.isArray(expected)) {
+      assertSame(outputs, expected, name);
+    } else {
+      Object.keys(expected).forEach((key) => assertSame(column(outputs, key), expected[key], `${name}.${key}`));
+    }
+  });
+});
+
+test("streams reject invalid values in strict mode and pass gaps in lenient mode", () => {
+  const strict = vt.createSma(3);
+  strict.next(1);
+  assert.throws(() => strict.next(NaN), vt.InvalidValueError);
+  assert.throws(() => strict.next("2"), vt.InvalidValueError);
+  const lenient = vt.createSma(3, { mode: "lenient" });
+  assert.ok(Number.isNaN(feed(lenient, [1, 2, NaN, 4])[3]));
+  assert.ok(Number.isNaN(feed(vt.createSma(3, { mode: "lenient" }), [1, 2, "3", 4])[3]));
+  const filled = feed(vt.createSma(3, { mode: "lenient", gaps: "fill" }), [1, 2, NaN, 4, 5]);
+  assert.deepEqual(filled.slice(2).map((x) => x.toFixed(2)), ["1.67", "2.67", "3.67"]);
+  const revised = vt.createSma(3, { mode: "lenient", gaps: "fill" });
+  feed(revised, [1, 2, 3]);
+  assert.equal(revised.update(NaN), 5 / 3);
+});
+
+test("createStdev and createBb stay defined on flat, high-priced data like the batch values", () => {
+  [60000.1, 1.1].forEach((price) => {
+    const flat = new Array(80).fill(price);
+    const deviation = feed(vt.createStdev(20), flat);
+    assertSame(deviation, vt.stdev(flat, 20), `createStdev(${price})`);
+    assert.ok(deviation.slice(19).every((x) => x >= 0 && x < 1e-6), `createStdev(${price})`);
+    const bands = feed(vt.createBb(20, 2), flat);
+    const expected = vt.bb(flat, 20, 2);
+    ["lower", "middle", "upper"].forEach((key) => assertSame(column(bands, key), expected[key], `createBb(${price}).${key}`));
+    assert.ok(column(bands, "upper").slice(19).every(Number.isFinite));
+  });
+});
+
+test("createEma, createRsi and createMacd skip leading gaps like the batch values", () => {
+  const series = [NaN, NaN, ...d.close.slice(0, 60)];
+  const options = { mode: "lenient" };
+  ["nan", "null", "partial"].forEach((pad) => {
+    const o = { ...options, pad };
+    assertSame(feed(vt.createEma(3, undefined, o), series), vt.ema(series, 3, undefined, o), `createEma ${pad}`);
+    assertSame(feed(vt.createRsi(14, o), series), vt.rsi(series, 14, o), `createRsi ${pad}`);
+    const macd = vt.macd(series, 12, 26, 9, o);
+    const outputs = feed(vt.createMacd(12, 26, 9, o), series);
+    Object.keys(macd).forEach((key) => assertSame(column(outputs, key), macd[key], `createMacd.${key} ${pad}`));
+  });
+  const ramp = [NaN, NaN, 1, 2, 3, 4, 5, 6, 7, 8];
+  const expected = vt.ema(ramp, 3, undefined, options);
+  assert.equal(expected.warmup, 4);
+  assertSame(feed(vt.createEma(3, undefined, options), ramp), expected, "createEma");
+  assert.ok(feed(vt.createEma(3, undefined, options), ramp).slice(4).every(Number.isFinite));
+});
+
+test("lenient streams recover once a propagated gap leaves the window", () => {
+  const series = [1, 2, 3, NaN, 5, 6, 7, 8, 9, 10];
+  const options = { mode: "lenient" };
+  const sma = feed(vt.createSma(3, options), series);
+  assertSame(sma, vt.sma(series, 3, options), "createSma");
+  assert.deepEqual(sma.slice(3), [NaN, NaN, NaN, 6, 7, 8, 9]);
+  assertSame(feed(vt.createWma(3, options), series), vt.wma(series, 3, options), "createWma");
+  assertSame(feed(vt.createStdev(3, options), series), vt.stdev(series, 3, options), "createStdev");
+  const bands = feed(vt.createBb(3, 2, options), series);
+  const expected = vt.bb(series, 3, 2, options);
+  Object.keys(expected).forEach((key) => assertSame(column(bands, key), expected[key], `createBb.${key}`));
+  assert.ok(column(bands, "upper").slice(6).every(Number.isFinite));
+  const leading = [NaN, NaN, 1, 2, 3, 4, 5, 6, 7, 8];
+  assertSame(feed(vt.createSma(3, options), leading), vt.sma(leading, 3, options), "createSma leading");
+  assertSame(feed(vt.createWma(3, options), leading), vt.wma(leading, 3, options), "createWma leading");
+  assert.ok(feed(vt.createWma(3, options), leading).slice(4).every(Number.isFinite));
+});
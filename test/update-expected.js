@@ -0,0 +1,12 @@
+import { writeFileSync } from "fs";
+import { CASES } from "./cases.js";
+import { FIXTURES_OPTIONS, capture, expectedPath, loadFixture } from "./helpers.js";
+
+// Rewrites the expected outputs of every fixture from the current code. Run it after an
+// intended change of the numbers and review the diff of test/expected before committing.
+Object.keys(FIXTURES_OPTIONS).forEach((name) => {
+  const data = loadFixture(name);
+  const expected = {};
+  Object.keys(CASES).forEach((key) => (expected[key] = capture(CASES[key], data, { ...FIXTURES_OPTIONS[name] })));
+  writeFileSync(expectedPath(name), JSON.stringify(expected, null, 1) + "\n");
+});
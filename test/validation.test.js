@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import * as vt from "../view-technical.js";
+
+test("the errors are ValidationError subclasses named after their class", () => {
+  ["LengthMismatchError", "InvalidWindowError", "InsufficientDataError", "InvalidValueError"].forEach((name) => {
+    const error = new vt[name]("message");
+    assert.ok(error instanceof vt.ValidationError);
+    assert.ok(error instanceof Error);
+    assert.equal(error.name, name);
+  });
+  assert.equal(new vt.ValidationError("message").name, "ValidationError");
+});
+
+test("mismatched columns throw LengthMismatchError", () => {
+  assert.throws(() => vt.atr([1, 2, 3], [1, 2], [1, 2, 3], 2), vt.LengthMismatchError);
+  assert.throws(() => vt.pointwise((a, b) => a + b, [1, 2], [1]), vt.LengthMismatchError);
+  assert.throws(() => vt.mae([1, 2], [1]), vt.LengthMismatchError);
+});
+
+test("windows must be integers of at least 1", () => {
+  [0, -1, 1.5, NaN, "3"].forEach((window) => {
+    assert.throws(() => vt.sma([1, 2, 3], window), vt.InvalidWindowError, String(window));
+  });
+});
+
+test("non-numeric values throw InvalidValueError, and are gaps in lenient mode", () => {
+  assert.throws(() => vt.sma([1, "a", 3], 2), vt.InvalidValueError);
+  assert.throws(() => vt.sma({ length: 3 }, 2), vt.InvalidValueError);
+  assert.ok(Number.isNaN(vt.sma([1, "a", 3, 4], 2, { mode: "lenient" })[2]));
+});
+
+test("statistics and fits check their inputs", () => {
+  assert.throws(() => vt.mean("1,2,3"), vt.InvalidValueError);
+  assert.throws(() => vt.sd([1, NaN, 3]), { name: "InvalidValueError", message: /sd: series has a gap at index 1/ });
+  assert.throws(() => vt.mad([1, "2", 3]), vt.InvalidValueError);
+  assert.equal(vt.mean([1, NaN, 3], { mode: "lenient", gaps: "fill" }), 5 / 3);
+  assert.ok(Number.isNaN(vt.mean([NaN, 1, 2])));
+  assert.throws(() => vt.linreg([1, 2, 3], [0, 1]), vt.LengthMismatchError);
+  assert.throws(() => vt.linreg([1]), vt.InsufficientDataError);
+  assert.throws(() => vt.linreg(null), vt.InvalidValueError);
+  assert.throws(() => vt.polyfit([1, 2, 3], 3), vt.InsufficientDataError);
+  assert.throws(() => vt.polyfit([1, 2, 3], 1.5), vt.ValidationError);
+  assert.throws(() => vt.regression(2, [1, 1], [1, 3]), vt.ValidationError);
+  assert.throws(() => vt.regression(2, [1], [2, 3]), vt.ValidationError);
+  assert.throws(() => vt.regression("2", [1, 1], [2, 3]), vt.ValidationError);
+  assert.equal(vt.regression(3, [1, 1], [2, 3]), 5);
+});
+
+test("metrics check their inputs and parameters", () => {
+  const r = [0.01, -0.02, 0.015, 0.005];
+  assert.throws(() => vt.sharpe("returns"), vt.InvalidValueError);
+  assert.throws(() => vt.sharpe(r, "0"), vt.ValidationError);
+  assert.throws(() => vt.cagr([100, 110], 0), vt.ValidationError);
+  assert.throws(() => vt.volatility(r, -252), vt.ValidationError);
+  assert.throws(() => vt.valueAtRisk(r, 95), vt.ValidationError);
+  assert.throws(() => vt.expectedShortfall(r, 0), vt.ValidationError);
+  assert.throws(() => vt.beta(r, r.slice(1)), vt.LengthMismatchError);
+  assert.equal(vt.maxDrawdown([100, NaN, 75]).drawdown, 0.25);
+  assert.throws(() => vt.drawdown([100, NaN, 90], { mode: "strict" }), vt.InvalidValueError);
+  assert.equal(vt.sortino([0.01, "x", -0.02]), vt.sortino([0.01, -0.02]));
+});
+
+test("fibArcs checks the scale and bounds the points of each arc", () => {
+  const start = { index: 0, price: 100 };
+  const end = { index: 10, price: 150 };
+  [0, -1, NaN, Infinity, "1"].forEach((scale) => assert.throws(() => vt.fibArcs(start, end, { scale }), vt.ValidationError, String(scale)));
+  assert.throws(() => vt.fibArcs(start, end, { maxPoints: 0 }), vt.ValidationError);
+  const arcs = vt.fibArcs(start, end, { scale: 1e-9 }).arcs;
+  arcs.forEach((arc) => assert.ok(arc.points.length <= 500 && arc.points.length > 1));
+  assert.ok(arcs[2].points.at(-1).index - end.index <= arcs[2].radius / 1e-9);
+  const full = vt.fibArcs(start, end, { maxPoints: 1000 }).arcs[0].points;
+  const sampled = vt.fibArcs(start, end, { maxPoints: 5 }).arcs[0].points;
+  assert.ok(sampled.length <= 5);
+  sampled.forEach((point) => assert.deepEqual(point, full[point.index - end.index]));
+});
+
+test("timeframes must be finite, positive spans", () => {
+  const candles = { time: [0, 60000, 120000], close: [1, 2, 3] };
+  ["0m", "0.0h", "0ms", 0, -60000, Infinity, NaN, "15", "1y", null].forEach((timeframe) => {
+    assert.throws(() => vt.resample(candles, timeframe), { name: "ValidationError", message: /invalid timeframe/ }, String(timeframe));
+  });
+  assert.deepEqual(vt.resample(candles, "2m").close, [2, 3]);
+  assert.deepEqual(vt.resample(candles, 120000).close, [2, 3]);
+});
+
+test("backtest checks its options and the strategy's targets", () => {
+  const candles = { open: [10, 11, 12, 13], close: [11, 12, 13, 14] };
+  const hold = () => 1;
+  [{ capital: 0 }, { capital: NaN }, { size: -1 }, { size: "1" }, { units: 0 }, { commission: -0.01 }, { commission: 1 }, { slippage: NaN }].forEach(
+    (options) => assert.throws(() => vt.backtest(candles, hold, options), vt.ValidationError, JSON.stringify(options))
+  );
+  assert.throws(() => vt.backtest(candles, () => NaN), { name: "ValidationError", message: /returned NaN at bar 0/ });
+  assert.throws(() => vt.backtest(candles, () => "long"), vt.ValidationError);
+  assert.deepEqual(vt.backtest(candles, () => undefined).positions, [0, 0, 0, 0]);
+});
+
+test("backtest strategies see the columns up to the current bar", () => {
+  const candles = { open: [10, 11, 12, 13], close: [11, 12, 13, 14] };
+  const seen = [];
+  vt.backtest(candles, (i, context) => {
+    seen.push(context.columns.close.length);
+    assert.equal(context.columns.close.at(-1), candles.close[i]);
+  });
+  assert.deepEqual(seen, [1, 2, 3, 4]);
+});
+
+test("setValidation sets the defaults and returns the previous ones", () => {
+  const previous = vt.setValidation({ mode: "lenient", gaps: "fill" });
+  try {
+    assert.deepEqual(previous, { mode: "strict", gaps: "propagate" });
+    assert.deepEqual(Array.from(vt.sma([1, NaN, 3], 1)), [1, 1, 3]);
+  } finally {
+    vt.setValidation(previous);
+  }
+  assert.throws(() => vt.sma([1, NaN, 3], 1), vt.InvalidValueError);
+  assert.throws(() => vt.setValidation({ mode: "loose" }), vt.ValidationError);
+  assert.throws(() => vt.setValidation({ gaps: "skip" }), vt.ValidationError);
+});
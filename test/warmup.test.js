@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import * as vt from "../view-technical.js";
+import { loadFixture } from "./helpers.js";
+
+const { close } = loadFixture("ohlcv");
+
+test("the pad policies share the warm-up length", () => {
+  const partial = vt.sma(close, 10, { pad: "partial" });
+  assert.equal(partial.warmup, 9);
+  assert.ok(partial.every(Number.isFinite));
+  assert.ok(vt.sma(close, 10).slice(0, 9).every(Number.isNaN));
+  assert.deepEqual(vt.sma(close, 10, { pad: "null" }).slice(0, 9), new Array(9).fill(null));
+  const trimmed = vt.sma(close, 10, { pad: "trim" });
+  assert.equal(trimmed.length, close.length - 9);
+  assert.deepEqual(Array.from(trimmed), partial.slice(9));
+  assert.throws(() => vt.sma(close, 10, { pad: "zero" }), vt.ValidationError);
+});
+
+test("ema and rma start at the first finite value of a padded input", () => {
+  const inner = vt.sma(close, 10);
+  const chained = vt.ema(inner, 9);
+  assert.equal(chained.warmup, 9 + 8);
+  assert.deepEqual(chained.slice(17), vt.ema(Array.from(vt.sma(close, 10, { pad: "trim" })), 9).slice(8));
+  assert.ok(chained.slice(17).every(Number.isFinite));
+  const smoothed = vt.rma(inner, 5);
+  assert.equal(smoothed.warmup, 9 + 4);
+  assert.ok(smoothed.slice(13).every(Number.isFinite));
+});
+
+test("ema of rsi and macd of a padded input give numbers after the warm-up", () => {
+  const rsi = vt.rsi(close, 14);
+  const smoothed = vt.ema(rsi, 9);
+  assert.equal(smoothed.warmup, rsi.warmup + 8);
+  assert.ok(smoothed.slice(smoothed.warmup).every(Number.isFinite));
+  const m = vt.macd(rsi, 12, 26, 9);
+  assert.equal(m.line.warmup, rsi.warmup + 25);
+  assert.equal(m.signal.warmup, rsi.warmup + 25 + 8);
+  assert.ok(m.hist.slice(m.hist.warmup).every(Number.isFinite));
+});
+
+test("window indicators count the leading gaps of a nested input in their warm-up", () => {
+  const inner = vt.sma(close, 3);
+  const nested = vt.evaluate("sma(sma(close,3),3)", { close });
+  assert.equal(nested.warmup, 4);
+  assert.ok(nested.slice(0, 4).every(Number.isNaN));
+  assert.ok(nested.slice(4).every(Number.isFinite));
+  assert.equal(vt.wma(inner, 5).warmup, 2 + 4);
+  assert.equal(vt.stdev(inner, 5).warmup, 2 + 4);
+  const upper = vt.evaluate("bb(rsi(close,14),20).upper", { close }, { pad: "trim" });
+  assert.equal(upper.warmup, 27 + 19);
+  assert.ok(Number.isFinite(upper[0]));
+  const rsi = vt.rsi(close, 14);
+  const stoch = vt.stoch(rsi, rsi, rsi, 14, 3, 3, { pad: "trim" });
+  assert.equal(stoch.line.warmup, 27 + 13 + 2);
+  assert.equal(stoch.signal.warmup, 27 + 13 + 2 + 2);
+  assert.ok(Array.from(stoch.line).concat(Array.from(stoch.signal)).every(Number.isFinite));
+  assert.deepEqual(vt.stoch(close, close, close, 14, 3, 3).line.warmup, 15);
+});
@@ -10,39 +10,352 @@
  * // Usage example or code snippet.
  */
 
+/**
+ * Base class of the errors thrown for invalid input.
+ */
+export class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Thrown when input series or OHLCV columns have different lengths.
+ */
+export class LengthMismatchError extends ValidationError {}
+
+/**
+ * Thrown when a window or count is not an integer of at least 1.
+ */
+export class InvalidWindowError extends ValidationError {}
+
+/**
+ * Thrown in strict mode when a series is shorter than a window.
+ */
+export class InsufficientDataError extends ValidationError {}
+
+/**
+ * Thrown when an input holds a non-numeric value, or in strict mode a gap.
+ */
+export class InvalidValueError extends ValidationError {}
+
+/**
+ * Validation modes and gap policies.
+ * - strict: reject gaps (NaN, null or undefined values) and series shorter than a window.
+ * - lenient: accept short series (their output is all warm-up) and handle gaps by `gaps`:
+ *   "propagate" turns them into NaN, "fill" carries the previous value forward.
+ * Non-numeric values, invalid windows and mismatched lengths are rejected in both modes,
+ * except that lenient mode treats non-numeric values as gaps.
+ */
+const VALIDATION_MODES = ["strict", "lenient"];
+const GAP_POLICIES = ["propagate", "fill"];
+const validation = { mode: "strict", gaps: "propagate" };
+
+/**
+ * Marks options passed between indicators, whose inputs were already validated.
+ */
+const INTERNAL = Symbol("internal");
+
+/**
+ * Sets the default validation mode and gap policy, which each call can override in its options.
+ * @param {Object} options - The defaults, { mode: "strict" | "lenient", gaps: "propagate" | "fill" }.
+ * @returns {Object} - The previous defaults.
+ */
+export function setValidation(options = {}) {
+  const previous = { ...validation };
+  if (options.mode !== undefined && !VALIDATION_MODES.includes(options.mode)) {
+    throw new ValidationError(`mode must be one of ${VALIDATION_MODES.join(", ")}, got "${options.mode}"`);
+  }
+  if (options.gaps !== undefined && !GAP_POLICIES.includes(options.gaps)) {
+    throw new ValidationError(`gaps must be one of ${GAP_POLICIES.join(", ")}, got "${options.gaps}"`);
+  }
+  Object.assign(validation, options.mode && { mode: options.mode }, options.gaps && { gaps: options.gaps });
+  return previous;
+}
+
+/**
+ * Checks that a window or count is an integer of at least 1.
+ * @param {string} fn - The name of the checking function.
+ * @param {string} name - The name of the window.
+ * @param {number} value - The window.
+ */
+function checkWindow(fn, name, value) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new InvalidWindowError(`${fn}: ${name} must be an integer of at least 1, got ${value}`);
+  }
+}
+
+/**
+ * Checks that a numeric parameter is finite and in range.
+ * @param {string} fn - The name of the checking function.
+ * @param {string} name - The name of the parameter.
+ * @param {number} value - The parameter.
+ * @param {function} test - Whether the value is in range.
+ * @param {string} range - The range, for the message.
+ */
+function checkNumber(fn, name, value, test, range) {
+  if (typeof value !== "number" || !isFinite(value) || !test(value)) {
+    throw new ValidationError(`${fn}: ${name} must be ${range}, got ${value}`);
+  }
+}
+
+/**
+ * Checks that series have equal lengths.
+ * @param {string} fn - The name of the checking function.
+ * @param {...number[]} serieses - The series.
+ */
+function checkLengths(fn, ...serieses) {
+  for (let k = 1; k < serieses.length; k++) {
+    if (serieses[k].length !== serieses[0].length) {
+      throw new LengthMismatchError(
+        `${fn}: series ${k + 1} has ${serieses[k].length} values but series 1 has ${serieses[0].length}`
+      );
+    }
+  }
+}
+
+/**
+ * Validates the inputs and windows of an indicator call.
+ * @param {string} fn - The indicator name.
+ * @param {Object} options - The call options, { mode, gaps }.
+ * @param {Object} inputs - The input series, keyed by parameter name; `$time` is only length-checked.
+ * @param {Object} windows - The windows, keyed by parameter name.
+ * @returns {Array[]} - The inputs in order, with gaps handled in lenient mode.
+ * Leading gaps, such as the warm-up of another indicator, pass through as NaN in either mode.
+ */
+function check(fn, options, inputs, windows = {}) {
+  const names = Object.keys(inputs);
+  if (options && options[INTERNAL]) {
+    return names.map((name) => inputs[name]);
+  }
+  const mode = (options && options.mode) || validation.mode;
+  const gaps = (options && options.gaps) || validation.gaps;
+  if (!VALIDATION_MODES.includes(mode)) {
+    throw new ValidationError(`${fn}: mode must be one of ${VALIDATION_MODES.join(", ")}, got "${mode}"`);
+  }
+  if (!GAP_POLICIES.includes(gaps)) {
+    throw new ValidationError(`${fn}: gaps must be one of ${GAP_POLICIES.join(", ")}, got "${gaps}"`);
+  }
+  let length;
+  names.forEach((name) => {
+    const input = inputs[name];
+    if (!Array.isArray(input) && !ArrayBuffer.isView(input)) {
+      throw new InvalidValueError(`${fn}: ${name} must be an array`);
+    }
+    if (length === undefined) {
+      length = input.length;
+    } else if (input.length !== length) {
+      throw new LengthMismatchError(`${fn}: ${name} has ${input.length} values but ${names[0]} has ${length}`);
+    }
+  });
+  Object.keys(windows).forEach((name) => {
+    checkWindow(fn, name, windows[name]);
+    if (mode === "strict" && length !== undefined && windows[name] > length) {
+      throw new InsufficientDataError(`${fn}: ${name} of ${windows[name]} is longer than the ${length} values`);
+    }
+  });
+  return names.map((name) => {
+    const input = inputs[name];
+    if (name === "$time" || ArrayBuffer.isView(input)) {
+      return input;
+    }
+    let copy = null;
+    let started = false;
+    for (let i = 0, len = input.length; i < len; i++) {
+      const x = input[i];
+      if (typeof x === "number" && isFinite(x)) {
+        started = true;
+        continue;
+      }
+      const gap = x === null || x === undefined || Number.isNaN(x);
+      if (gap && !started) {
+        if (!Number.isNaN(x)) {
+          copy = copy || Array.from(input);
+          copy[i] = NaN;
+        }
+        continue;
+      }
+      if (mode === "strict") {
+        throw new InvalidValueError(
+          gap ? `${fn}: ${name} has a gap at index ${i}` : `${fn}: ${name} has an invalid value at index ${i}: ${String(x)}`
+        );
+      }
+      copy = copy || Array.from(input);
+      copy[i] = gaps === "fill" && i > 0 ? copy[i - 1] : NaN;
+    }
+    return copy || input;
+  });
+}
+
+/**
+ * Checks a single streamed value or candle. Lenient streams handle gaps with fillInput().
+ * @param {string} fn - The name of the checking function.
+ * @param {Object} options - The options, { mode }.
+ * @param {number|Object} input - The value or candle.
+ * @param {number} index - The bar index of the input.
+ * @param {boolean} started - Whether a valid input has been seen; leading gaps are allowed.
+ * @returns {boolean} - Whether the input is valid.
+ */
+function checkInput(fn, options, input, index, started) {
+  const invalid = (x) => typeof x !== "number" || !isFinite(x);
+  const name = input !== null && typeof input === "object"
+    ? COLUMNS.find((k) => k !== "time" && k in input && invalid(input[k]))
+    : invalid(input) && "value";
+  if (!name || (options && options[INTERNAL]) || ((options && options.mode) || validation.mode) !== "strict") {
+    return !name;
+  }
+  const x = name === "value" ? input : input[name];
+  if (!started && (x === null || x === undefined || Number.isNaN(x))) {
+    return false;
+  }
+  throw new InvalidValueError(
+    name === "value" ? `${fn}: invalid value at bar ${index}: ${String(x)}` : `${fn}: ${name} has an invalid value at bar ${index}: ${String(x)}`
+  );
+}
+
+/**
+ * Handles the gaps of a streamed value or candle the way check() handles a series: invalid
+ * values become NaN, or with `gaps: "fill"` the value of the previous bar.
+ * @param {Object} options - The options, { gaps }.
+ * @param {number|Object} input - The value or candle.
+ * @param {number|Object} last - The handled input of the previous bar, undefined at the first bar.
+ * @returns {number|Object} - The input with its gaps handled.
+ */
+function fillInput(options, input, last) {
+  if (options && options[INTERNAL]) {
+    return input;
+  }
+  const fill = ((options && options.gaps) || validation.gaps) === "fill";
+  const valid = (x) => typeof x === "number" && isFinite(x);
+  const replace = (x, previous) => (valid(x) ? x : fill && previous !== undefined ? previous : NaN);
+  if (input === null || typeof input !== "object") {
+    return replace(input, last);
+  }
+  const fields = COLUMNS.filter((k) => k !== "time" && k in input);
+  if (fields.every((k) => valid(input[k]))) {
+    return input;
+  }
+  const result = { ...input };
+  fields.forEach((k) => {
+    result[k] = replace(input[k], last && last[k]);
+  });
+  return result;
+}
+
+/**
+ * Warm-up policies. Every indicator computes its leading values from a partial
+ * window and reports how many of them there are as `warmup` on each output array.
+ * - nan: replace the warm-up values with NaN (default).
+ * - null: replace the warm-up values with null.
+ * - trim: drop the warm-up values, so the output is shorter than the input.
+ * - partial: keep the partial-window values.
+ */
+const PAD_MODES = ["nan", "null", "trim", "partial"];
+
+/**
+ * Options passed to inner indicators so composites can validate their inputs and apply
+ * the policy once at the end.
+ */
+const PARTIAL = { pad: "partial", [INTERNAL]: true };
+
+/**
+ * Reads and checks the warm-up policy of a call.
+ * @param {Object} options - The call options.
+ * @returns {string} - The warm-up policy.
+ */
+function padMode(options) {
+  const mode = (options && options.pad) || "nan";
+  if (!PAD_MODES.includes(mode)) {
+    throw new ValidationError(`pad must be one of ${PAD_MODES.join(", ")}, got "${mode}"`);
+  }
+  return mode;
+}
+
+/**
+ * Applies the warm-up policy to an indicator output.
+ * A Float64Array output is trimmed to a view, and the `out` buffer is padded in place.
+ * @param {number[]|Float64Array} values - The partial-window values.
+ * @param {number} warmup - The number of leading warm-up values.
+ * @param {Object} options - The call options.
+ * @returns {number[]|Float64Array} - The padded values, carrying their warm-up length as `warmup`.
+ */
+function pad(values, warmup, options) {
+  const mode = padMode(options);
+  const typed = ArrayBuffer.isView(values);
+  if (typed && mode === "null") {
+    throw new ValidationError("pad \"null\" cannot fill a Float64Array, use nan, trim or partial");
+  }
+  warmup = Math.max(0, Math.min(warmup, values.length));
+  let result = values;
+  if (mode === "trim") {
+    result = typed ? values.subarray(warmup) : values.slice(warmup);
+  } else if (mode !== "partial") {
+    result = options && values === options.out ? values : values.slice();
+    result.fill(mode === "null" ? null : NaN, 0, warmup);
+  }
+  result.warmup = warmup;
+  return result;
+}
+
+/**
+ * Allocates the output of an indicator: the `out` buffer when given, a Float64Array
+ * for a Float64Array input, and an array otherwise.
+ * @param {string} fn - The indicator name.
+ * @param {number[]|Float64Array} series - The input series.
+ * @param {Object} options - The call options, { out }.
+ * @returns {number[]|Float64Array} - The output buffer.
+ */
+function output(fn, series, options) {
+  const out = options && options.out;
+  if (out) {
+    if (!(out instanceof Float64Array) || out.length !== series.length) {
+      throw new ValidationError(`${fn}: out must be a Float64Array of length ${series.length}`);
+    }
+    return out;
+  }
+  return series instanceof Float64Array ? new Float64Array(series.length) : new Array(series.length);
+}
+
 
 /**
  * Calculates the Weighted Moving Average (WMA) of a series.
- * @param {number[]} series - The input series.
+ * A partial window keeps the weights of the values it has, the latest weighing `window`.
+ * The weighted sum is carried from bar to bar in O(n) and recomputed once per window.
+ * The warm-up counts the leading gaps of the input, such as the warm-up of another indicator.
+ * @param {number[]|Float64Array} series - The input series.
  * @param {number} window - The window size for the WMA.
- * @returns {number[]} - The WMA values.
+ * @param {Object} options - The options, { pad, mode, gaps, out }.
+ * @returns {number[]|Float64Array} - The WMA values.
  */
-export function wma(series, window) {
-  let weights = [];
-  for (let i = 0; i < window; i++) {
-    weights.push(i + 1);
-  }
-  let result = [];
+export function wma(series, window, options) {
+  [series] = check("wma", options, { series }, { window });
+  const result = output("wma", series, options);
+  const sums = rollingSum(series, window);
+  let weighted = 0;
   for (let i = 0, len = series.length; i < len; i++) {
-    let j = i + 1 - window;
-    if (j < 0) {
-      result.push(null);
-      continue;
+    const count = Math.min(i + 1, window);
+    if (i % window === window - 1 || !Number.isFinite(weighted)) {
+      weighted = 0;
+      for (let j = i + 1 - count; j <= i; j++) {
+        weighted += series[j] * (window - (i - j));
+      }
+    } else {
+      weighted += window * series[i] - (i > 0 ? sums[i - 1] : 0);
     }
-    let slice = series.slice(j, i + 1);
-    let weighted = slice.map((value, index) => value * weights[index]);
-    let sum_weights = weights.reduce((acc, value) => acc + value);
-    result.push(weighted.reduce((acc, value) => acc + value) / sum_weights);
+    result[i] = weighted / ((count * (2 * window - count + 1)) / 2);
   }
-  return result;
+  return pad(result, leadingGaps(series) + window - 1, options);
 }
 
 /**
  * Calculates the mean (average) of a series.
  * @param {number[]} series - The input series.
+ * @param {Object} options - The options, { mode, gaps }.
  * @returns {number} - The mean of the series.
  */
-export function mean(series) {
+export function mean(series, options) {
+  [series] = check("mean", options, { series });
   let sum = 0;
   for (let i = 0; i < series.length; i++) {
     sum += series[i];
@@ -53,11 +366,13 @@ export function mean(series) {
 /**
  * Calculates the standard deviation (SD) of a series.
  * @param {number[]} series - The input series.
+ * @param {Object} options - The options, { mode, gaps }.
  * @returns {number} - The standard deviation of the series.
  */
-export function sd(series) {
-  let E = mean(series);
-  let E2 = mean(pointwise((x) => x * x, series));
+export function sd(series, options) {
+  [series] = check("sd", options, { series });
+  let E = mean(series, PARTIAL);
+  let E2 = mean(pointwise((x) => x * x, series), PARTIAL);
   return Math.sqrt(E2 - E * E);
 }
 
@@ -68,9 +383,10 @@ export function sd(series) {
  * @returns {number} - The covariance between the two series.
  */
 export function cov(f, g) {
-  let Ef = mean(f),
-    Eg = mean(g);
-  let Efg = mean(pointwise((a, b) => a * b, f, g));
+  checkLengths("cov", f, g);
+  let Ef = mean(f, PARTIAL),
+    Eg = mean(g, PARTIAL);
+  let Efg = mean(pointwise((a, b) => a * b, f, g), PARTIAL);
   return Efg - Ef * Eg;
 }
 
@@ -81,21 +397,24 @@ export function cov(f, g) {
  * @returns {number} - The correlation coefficient between the two series.
  */
 export function cor(f, g) {
-  let Ef = mean(f),
-    Eg = mean(g);
-  let Ef2 = mean(pointwise((a) => a * a, f));
-  let Eg2 = mean(pointwise((a) => a * a, g));
-  let Efg = mean(pointwise((a, b) => a * b, f, g));
+  checkLengths("cor", f, g);
+  let Ef = mean(f, PARTIAL),
+    Eg = mean(g, PARTIAL);
+  let Ef2 = mean(pointwise((a) => a * a, f), PARTIAL);
+  let Eg2 = mean(pointwise((a) => a * a, g), PARTIAL);
+  let Efg = mean(pointwise((a, b) => a * b, f, g), PARTIAL);
   return (Efg - Ef * Eg) / Math.sqrt((Ef2 - Ef * Ef) * (Eg2 - Eg * Eg));
 }
 
 /**
  * Calculates the Mean Absolute Deviation (MAD) of a series.
  * @param {number[]} array - The input series.
+ * @param {Object} options - The options, { mode, gaps }.
  * @returns {number} - The MAD of the series.
  */
-export function mad(array) {
-  return mae(array, new Array(array.length).fill(mean(array)));
+export function mad(array, options) {
+  [array] = check("mad", options, { array });
+  return mae(array, new Array(array.length).fill(mean(array, PARTIAL)));
 }
 
 /**
@@ -105,10 +424,30 @@ export function mad(array) {
  * @returns {number[]} - The result of the pointwise operation.
  */
 export function pointwise(operation, ...serieses) {
-  let result = [];
-  for (let i = 0, len = serieses[0].length; i < len; i++) {
-    let iseries = (i) => serieses.map((x) => x[i]);
-    result[i] = operation(...iseries(i));
+  checkLengths("pointwise", ...serieses);
+  const [f, g, h] = serieses;
+  const len = f.length;
+  const result = new Array(len);
+  if (serieses.length === 1) {
+    for (let i = 0; i < len; i++) {
+      result[i] = operation(f[i]);
+    }
+  } else if (serieses.length === 2) {
+    for (let i = 0; i < len; i++) {
+      result[i] = operation(f[i], g[i]);
+    }
+  } else if (serieses.length === 3) {
+    for (let i = 0; i < len; i++) {
+      result[i] = operation(f[i], g[i], h[i]);
+    }
+  } else {
+    const args = new Array(serieses.length);
+    for (let i = 0; i < len; i++) {
+      for (let k = 0; k < serieses.length; k++) {
+        args[k] = serieses[k][i];
+      }
+      result[i] = operation(...args);
+    }
   }
   return result;
 }
@@ -121,6 +460,7 @@ export function pointwise(operation, ...serieses) {
  * @returns {number[]} - The result of the rolling operation.
  */
 export function rolling(operation, series, window) {
+  checkWindow("rolling", "window", window);
   const result = [];
   for (let i = 0, len = series.length; i < len; i++) {
     const startIndex = Math.max(i + 1 - window, 0);
@@ -130,6 +470,176 @@ export function rolling(operation, series, window) {
   return result;
 }
 
+/**
+ * Calculates the rolling sum of a series in O(n). A window holding a non-finite value sums to NaN.
+ * The sum is recomputed from scratch once per window, so rounding does not accumulate.
+ * @param {number[]|Float64Array} series - The input series.
+ * @param {number} window - The window size.
+ * @param {number[]|Float64Array} result - The output buffer (default a new array).
+ * @returns {number[]|Float64Array} - The partial-window sums.
+ */
+function rollingSum(series, window, result = new Array(series.length)) {
+  let sum = 0;
+  let gaps = 0;
+  for (let i = 0, len = series.length; i < len; i++) {
+    const x = series[i];
+    if (Number.isFinite(x)) {
+      sum += x;
+    } else {
+      gaps++;
+    }
+    if (i >= window) {
+      const y = series[i - window];
+      if (Number.isFinite(y)) {
+        sum -= y;
+      } else {
+        gaps--;
+      }
+    }
+    if (!gaps && i % window === window - 1) {
+      sum = 0;
+      for (let j = i + 1 - window; j <= i; j++) {
+        sum += series[j];
+      }
+    }
+    result[i] = gaps ? NaN : sum;
+  }
+  return result;
+}
+
+/**
+ * Calculates the rolling population standard deviation of a series in O(n) with Welford's
+ * updates. A window holding a non-finite value gives NaN. The moments are recomputed from
+ * scratch once per window, so rounding does not accumulate.
+ * @param {number[]|Float64Array} series - The input series.
+ * @param {number} window - The window size.
+ * @param {number[]|Float64Array} result - The output buffer (default a new array).
+ * @returns {number[]|Float64Array} - The partial-window standard deviations.
+ */
+function rollingDeviation(series, window, result = new Array(series.length)) {
+  let n = 0;
+  let mean = 0;
+  let m2 = 0;
+  let gaps = 0;
+  for (let i = 0, len = series.length; i < len; i++) {
+    const x = series[i];
+    if (Number.isFinite(x)) {
+      n++;
+      const delta = x - mean;
+      mean += delta / n;
+      m2 += delta * (x - mean);
+    } else {
+      gaps++;
+    }
+    if (i >= window) {
+      const y = series[i - window];
+      if (!Number.isFinite(y)) {
+        gaps--;
+      } else if (--n === 0) {
+        mean = 0;
+        m2 = 0;
+      } else {
+        const delta = y - mean;
+        mean -= delta / n;
+        m2 -= delta * (y - mean);
+      }
+    }
+    if (!gaps && i % window === window - 1) {
+      mean = 0;
+      for (let j = i + 1 - window; j <= i; j++) {
+        mean += series[j];
+      }
+      mean /= window;
+      m2 = 0;
+      for (let j = i + 1 - window; j <= i; j++) {
+        m2 += (series[j] - mean) * (series[j] - mean);
+      }
+    }
+    result[i] = gaps ? NaN : Math.sqrt(Math.max(0, m2) / n);
+  }
+  return result;
+}
+
+/**
+ * Finds the index of the rolling maximum or minimum of a series in O(n) with a monotonic deque.
+ * Ties go to the latest bar, and a window holding a non-finite value gives -1.
+ * @param {number[]|Float64Array} series - The input series.
+ * @param {number} window - The window size.
+ * @param {boolean} largest - Whether to find the maximum rather than the minimum.
+ * @returns {Int32Array} - The index of the partial-window extreme.
+ */
+function rollingExtremeIndex(series, window, largest) {
+  const len = series.length;
+  const result = new Int32Array(len);
+  const deque = new Int32Array(len);
+  let head = 0;
+  let tail = 0;
+  let gaps = 0;
+  for (let i = 0; i < len; i++) {
+    const x = series[i];
+    if (Number.isFinite(x)) {
+      while (tail > head && (largest ? series[deque[tail - 1]] <= x : series[deque[tail - 1]] >= x)) {
+        tail--;
+      }
+      deque[tail++] = i;
+    } else {
+      gaps++;
+    }
+    if (i >= window && !Number.isFinite(series[i - window])) {
+      gaps--;
+    }
+    while (tail > head && deque[head] <= i - window) {
+      head++;
+    }
+    result[i] = gaps ? -1 : deque[head];
+  }
+  return result;
+}
+
+/**
+ * Calculates the rolling maximum of a series in O(n). A window holding a non-finite value gives NaN.
+ * @param {number[]|Float64Array} series - The input series.
+ * @param {number} window - The window size.
+ * @returns {number[]} - The partial-window maxima.
+ */
+function rollingMax(series, window) {
+  return Array.from(rollingExtremeIndex(series, window, true), (k) => (k < 0 ? NaN : series[k]));
+}
+
+/**
+ * Calculates the rolling minimum of a series in O(n). A window holding a non-finite value gives NaN.
+ * @param {number[]|Float64Array} series - The input series.
+ * @param {number} window - The window size.
+ * @returns {number[]} - The partial-window minima.
+ */
+function rollingMin(series, window) {
+  return Array.from(rollingExtremeIndex(series, window, false), (k) => (k < 0 ? NaN : series[k]));
+}
+
+/**
+ * Finds the lowest and highest finite values of a range of a series in one pass. Unlike
+ * Math.min(...series), it does not pass the values as arguments, which overflows the call
+ * stack on long series.
+ * @param {number[]|Float64Array} series - The input series.
+ * @param {number} from - The first index (default 0).
+ * @param {number} to - The end index, exclusive (default the length).
+ * @returns {number[]} - The [lowest, highest] values, [Infinity, -Infinity] without a finite value.
+ */
+function extent(series, from = 0, to = series.length) {
+  let lowest = Infinity;
+  let highest = -Infinity;
+  for (let i = from; i < to; i++) {
+    const x = series[i];
+    if (x < lowest) {
+      lowest = x;
+    }
+    if (x > highest) {
+      highest = x;
+    }
+  }
+  return [lowest, highest];
+}
+
 /**
  * Calculates the Mean Absolute Error (MAE) between two series.
  * @param {number[]} f - The first input series.
@@ -137,97 +647,172 @@ export function rolling(operation, series, window) {
  * @returns {number} - The MAE between the two series.
  */
 export function mae(f, g) {
-  const absDiff = pointwise((a, b) => Math.abs(a - b), f, g);
-  return f.length !== g.length ? Infinity : mean(absDiff);
+  checkLengths("mae", f, g);
+  return mean(pointwise((a, b) => Math.abs(a - b), f, g), PARTIAL);
 }
 
 /**
- * Calculates the Simple Moving Average (SMA) of a series.
- * @param {number[]} series - The input series.
+ * Calculates the Simple Moving Average (SMA) of a series in O(n).
+ * The warm-up counts the leading gaps of the input, such as the warm-up of another indicator.
+ * @param {number[]|Float64Array} series - The input series.
  * @param {number} window - The window size for the SMA.
- * @returns {number[]} - The SMA values.
+ * @param {Object} options - The options, { pad, mode, gaps, out }.
+ * @returns {number[]|Float64Array} - The SMA values.
+ */
+export function sma(series, window, options) {
+  [series] = check("sma", options, { series }, { window });
+  const result = rollingSum(series, window, output("sma", series, options));
+  for (let i = 0, len = series.length; i < len; i++) {
+    result[i] /= Math.min(i + 1, window);
+  }
+  return pad(result, leadingGaps(series) + window - 1, options);
+}
+
+/**
+ * Gives the value of a degenerate window, such as a flat one, where a ratio has no divisor:
+ * the fallback when every input is a number, and NaN when one of them is a gap, so lenient
+ * gaps propagate instead of passing for a flat window.
+ * @param {number} fallback - The value of the degenerate window.
+ * @param {...number} values - The inputs of the ratio.
+ * @returns {number} - The fallback, or NaN.
+ */
+function degenerate(fallback, ...values) {
+  return values.every((x) => !Number.isNaN(x)) ? fallback : NaN;
+}
+
+/**
+ * Counts the leading non-finite values of a series, such as the warm-up of another indicator.
+ * @param {number[]|Float64Array} series - The input series.
+ * @returns {number} - The index of the first finite value, or the length without one.
  */
-export function sma(series, window) {
-  return rolling((s) => mean(s), series, window);
+function leadingGaps(series) {
+  let first = 0;
+  while (first < series.length && !Number.isFinite(series[first])) {
+    first++;
+  }
+  return first;
 }
 
 /**
  * Calculates the Exponential Moving Average (EMA) of a series.
- * @param {number[]} series - The input series.
+ * Seeded with the SMA of the first `window` values at index window - 1; the
+ * partial values before it are the running mean. Leading gaps, such as the warm-up
+ * of another indicator, are skipped: the average starts at the first finite value.
+ * @param {number[]|Float64Array} series - The input series.
  * @param {number} window - The window size for the EMA.
  * @param {number} start - The initial value for the EMA.
- * @returns {number[]} - The EMA values.
+ * @param {Object} options - The options, { pad, mode, gaps, out }.
+ * @returns {number[]|Float64Array} - The EMA values.
  */
-export function ema(series, window, start) {
+export function ema(series, window, start, options) {
+  [series] = check("ema", options, { series }, { window });
   const weight = 2 / (window + 1);
-  const ema = [start ? start : mean(series.slice(0, window))];
-  for (let i = 1, len = series.length; i < len; i++) {
-    ema.push(series[i] * weight + (1 - weight) * ema[i - 1]);
+  const ema = output("ema", series, options);
+  const first = leadingGaps(series);
+  let sum = 0;
+  for (let i = 0, len = series.length; i < len; i++) {
+    if (i < first) {
+      ema[i] = NaN;
+    } else if (start && i === first) {
+      ema[i] = start;
+    } else if (!start && i < first + window) {
+      sum += series[i];
+      ema[i] = sum / (i - first + 1);
+    } else {
+      ema[i] = series[i] * weight + (1 - weight) * ema[i - 1];
+    }
   }
-  return ema;
+  return pad(ema, first + (start ? 0 : window - 1), options);
 }
 
 /**
- * Calculates the standard deviation (SD) of a series using a rolling window.
- * @param {number[]} series - The input series.
+ * Calculates the standard deviation (SD) of a series using a rolling window, in O(n).
+ * The warm-up counts the leading gaps of the input, like sma().
+ * @param {number[]|Float64Array} series - The input series.
  * @param {number} window - The window size for the SD.
- * @returns {number[]} - The SD values.
+ * @param {Object} options - The options, { pad, mode, gaps, out }.
+ * @returns {number[]|Float64Array} - The SD values.
  */
-export function stdev(series, window) {
-  return rolling((s) => sd(s), series, window);
+export function stdev(series, window, options) {
+  [series] = check("stdev", options, { series }, { window });
+  return pad(rollingDeviation(series, window, output("stdev", series, options)), leadingGaps(series) + window - 1, options);
 }
 
 /**
  * Calculates the Mean Absolute Deviation (MAD) of a series using a rolling window.
- * @param {number[]} series - The input series.
+ * The deviations from each window's mean take O(window) per bar, without copying the window.
+ * The warm-up counts the leading gaps of the input, like sma().
+ * @param {number[]|Float64Array} series - The input series.
  * @param {number} window - The window size for the MAD.
- * @returns {number[]} - The MAD values.
+ * @param {Object} options - The options, { pad, mode, gaps, out }.
+ * @returns {number[]|Float64Array} - The MAD values.
  */
-export function madev(series, window) {
-  return rolling((s) => mad(s), series, window);
+export function madev(series, window, options) {
+  [series] = check("madev", options, { series }, { window });
+  const result = rollingSum(series, window, output("madev", series, options));
+  for (let i = 0, len = series.length; i < len; i++) {
+    const from = Math.max(i + 1 - window, 0);
+    const mean = result[i] / (i + 1 - from);
+    let deviation = 0;
+    for (let j = from; j <= i; j++) {
+      deviation += Math.abs(series[j] - mean);
+    }
+    result[i] = deviation / (i + 1 - from);
+  }
+  return pad(result, leadingGaps(series) + window - 1, options);
 }
 
 /**
  * Calculates the Exponential Deviation (EXPDEV) of a series using a rolling window.
  * @param {number[]} series - The input series.
  * @param {number} window - The window size for the EXPDEV.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {number[]} - The EXPDEV values.
  */
-export function expdev(series, window) {
-  const sqrDiff = pointwise((a, b) => (a - b) * (a - b), series, ema(series, window));
-  return pointwise((x) => Math.sqrt(x), ema(sqrDiff, window));
+export function expdev(series, window, options) {
+  [series] = check("expdev", options, { series }, { window });
+  const sqrDiff = pointwise((a, b) => (a - b) * (a - b), series, ema(series, window, undefined, PARTIAL));
+  const dev = pointwise((x) => Math.sqrt(x), ema(sqrDiff, window, undefined, PARTIAL));
+  return pad(dev, 2 * (window - 1), options);
 }
 
 /**
  * Calculates the Average True Range (ATR) of a series using a rolling window.
+ * Without `maType` the true range is smoothed with ema(2 * window - 1), which has Wilder's
+ * weight; `maType: "rma"` gives Wilder's SMA-seeded average as in TradingView and TA-Lib.
  * @param {number[]} $high - The high values of the series.
  * @param {number[]} $low - The low values of the series.
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for the ATR.
+ * @param {Object} options - The options, { pad, mode, gaps, maType, volume }.
  * @returns {number[]} - The ATR values.
  */
-export function atr($high, $low, $close, window) {
-  const tr = trueRange($high, $low, $close);
-  return ema(tr, 2 * window - 1);
+export function atr($high, $low, $close, window, options) {
+  [$high, $low, $close] = check("atr", options, { $high, $low, $close }, { window });
+  const tr = trueRange($high, $low, $close, PARTIAL);
+  if (options && options.maType) {
+    const average = smoothWith(tr, window, undefined, options);
+    return pad(average, average.warmup, options);
+  }
+  return pad(ema(tr, 2 * window - 1, undefined, PARTIAL), 2 * window - 2, options);
 }
 
 /**
  * Performs Wilder smoothing on a series using a rolling window.
+ * This is the running-sum form used by adx(); rma() is the averaged form.
+ * The first value is skipped; the partial values are the running sum.
  * @param {number[]} series - The input series.
  * @param {number} window - The window size for the Wilder smoothing.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {number[]} - The smoothed series.
  */
-export function wilderSmooth(series, window) {
-  const result = new Array(window).fill(NaN);
-  result.push(
-    series
-      .slice(1, window + 1)
-      .reduce((sum, item) => sum + item, 0)
-  );
-  for (let i = window + 1; i < series.length; i++) {
-    result.push((1 - 1 / window) * result[i - 1] + series[i]);
+export function wilderSmooth(series, window, options) {
+  [series] = check("wilderSmooth", options, { series }, { window });
+  const result = series.length ? [0] : [];
+  for (let i = 1; i < series.length; i++) {
+    result.push(i <= window ? result[i - 1] + series[i] : (1 - 1 / window) * result[i - 1] + series[i]);
   }
-  return result;
+  return pad(result, window, options);
 }
 
 /**
@@ -235,10 +820,12 @@ export function wilderSmooth(series, window) {
  * @param {number[]} $high - The high values of the series.
  * @param {number[]} $low - The low values of the series.
  * @param {number[]} $close - The close values of the series.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {number[]} - The Typical Price values.
  */
-export function typicalPrice($high, $low, $close) {
-  return pointwise((a, b, c) => (a + b + c) / 3, $high, $low, $close);
+export function typicalPrice($high, $low, $close, options) {
+  [$high, $low, $close] = check("typicalPrice", options, { $high, $low, $close });
+  return pad(pointwise((a, b, c) => (a + b + c) / 3, $high, $low, $close), 0, options);
 }
 
 /**
@@ -246,9 +833,11 @@ export function typicalPrice($high, $low, $close) {
  * @param {number[]} $high - The high values of the series.
  * @param {number[]} $low - The low values of the series.
  * @param {number[]} $close - The close values of the series.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {number[]} - The TR values.
  */
-export function trueRange($high, $low, $close) {
+export function trueRange($high, $low, $close, options) {
+  [$high, $low, $close] = check("trueRange", options, { $high, $low, $close });
   const tr = [$high[0] - $low[0]];
   for (let i = 1, len = $low.length; i < len; i++) {
     tr.push(
@@ -259,7 +848,7 @@ export function trueRange($high, $low, $close) {
       )
     );
   }
-  return tr;
+  return pad(tr, 0, options);
 }
 
 /**
@@ -267,25 +856,35 @@ export function trueRange($high, $low, $close) {
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for the BB.
  * @param {number} mult - The multiplier for the standard deviation in the BB.
+ * @param {Object} options - The options, { pad, mode, gaps, maType, volume }; maType sets the middle band (default sma).
  * @returns {Object} - The Bollinger Bands values.
  */
-export function bb($close, window, mult) {
-  const ma = sma($close, window);
-  const dev = stdev($close, window);
+export function bb($close, window, mult, options) {
+  [$close] = check("bb", options, { $close }, { window });
+  const ma = smoothWith($close, window, "sma", options);
+  const dev = stdev($close, window, PARTIAL);
   const upper = pointwise((a, b) => a + b * mult, ma, dev);
   const lower = pointwise((a, b) => a - b * mult, ma, dev);
-  return { lower, middle: ma, upper };
+  const warmup = Math.max(ma.warmup, dev.warmup);
+  return {
+    lower: pad(lower, warmup, options),
+    middle: pad(ma, ma.warmup, options),
+    upper: pad(upper, warmup, options),
+  };
 }
 
 /**
  * Calculates the Double Exponential Moving Average (DEMA) of a series.
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for the DEMA.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {number[]} - The DEMA values.
  */
-export function dema($close, window) {
-  const ema1 = ema($close, window);
-  return pointwise((a, b) => 2 * a - b, ema1, ema(ema1, window));
+export function dema($close, window, options) {
+  [$close] = check("dema", options, { $close }, { window });
+  const ema1 = ema($close, window, undefined, PARTIAL);
+  const result = pointwise((a, b) => 2 * a - b, ema1, ema(ema1, window, undefined, PARTIAL));
+  return pad(result, 2 * (window - 1), options);
 }
 
 /**
@@ -293,14 +892,20 @@ export function dema($close, window) {
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for the EBB.
  * @param {number} mult - The multiplier for the exponential deviation in the EBB.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {Object} - The EBB values.
  */
-export function ebb($close, window, mult) {
-  const ma = ema($close, window);
-  const dev = expdev($close, window);
+export function ebb($close, window, mult, options) {
+  [$close] = check("ebb", options, { $close }, { window });
+  const ma = ema($close, window, undefined, PARTIAL);
+  const dev = expdev($close, window, PARTIAL);
   const upper = pointwise((a, b) => a + b * mult, ma, dev);
   const lower = pointwise((a, b) => a - b * mult, ma, dev);
-  return { lower, middle: ma, upper };
+  return {
+    lower: pad(lower, dev.warmup, options),
+    middle: pad(ma, ma.warmup, options),
+    upper: pad(upper, dev.warmup, options),
+  };
 }
 
 /**
@@ -310,24 +915,38 @@ export function ebb($close, window, mult) {
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for the Keltner channel.
  * @param {number} mult - The multiplier for the Average True Range in the Keltner channel.
+ * @param {Object} options - The options, { pad, mode, gaps, maType, volume }; maType sets the middle
+ * line (default ema) and the ATR smoothing.
  * @returns {Object} - The Keltner Channel values.
  */
-export function keltner($high, $low, $close, window, mult) {
-  const middle = ema($close, window);
-  const upper = pointwise((a, b) => a + mult * b, middle, atr($high, $low, $close, window));
-  const lower = pointwise((a, b) => a - mult * b, middle, atr($high, $low, $close, window));
-  return { lower, middle, upper };
+export function keltner($high, $low, $close, window, mult, options) {
+  [$high, $low, $close] = check("keltner", options, { $high, $low, $close }, { window });
+  const middle = smoothWith($close, window, "ema", options);
+  const inner = { ...PARTIAL, maType: options && options.maType, volume: options && options.volume };
+  const range = atr($high, $low, $close, window, inner);
+  const upper = pointwise((a, b) => a + mult * b, middle, range);
+  const lower = pointwise((a, b) => a - mult * b, middle, range);
+  const warmup = Math.max(middle.warmup, range.warmup);
+  return {
+    lower: pad(lower, warmup, options),
+    middle: pad(middle, middle.warmup, options),
+    upper: pad(upper, warmup, options),
+  };
 }
 
 /**
- * Calculates the Parabolic Stop and Reverse (PSAR) of a series.
+ * Calculates the Parabolic Stop and Reverse (PSAR) of a series, with Wilder's rules: the stop
+ * stays outside the prior two bars, a reversal restarts it at the extreme point of the trend
+ * it ends, and the factor grows by stepfactor up to maxfactor.
  * @param {number[]} $high - The high values of the series.
  * @param {number[]} $low - The low values of the series.
  * @param {number} stepfactor - The step factor for the PSAR.
  * @param {number} maxfactor - The maximum step factor for the PSAR.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {number[]} - The PSAR values.
  */
-export function psar($high, $low, stepfactor, maxfactor) {
+export function psar($high, $low, stepfactor, maxfactor, options) {
+    [$high, $low] = check("psar", options, { $high, $low });
     let isUp = true;
     let factor = stepfactor;
     let extreme = Math.max($high[0], $high[1]);
@@ -335,95 +954,556 @@ export function psar($high, $low, stepfactor, maxfactor) {
     let cursar = psar[1];
     for (let i = 2, len = $high.length; i < len; i++) {
         cursar = cursar + factor * (extreme - cursar);
-        if ((isUp && $high[i] > extreme) || (!isUp && $low[i] < extreme)) {
-            factor = ((factor <= maxfactor) ? factor + stepfactor : maxfactor);
-            extreme = (isUp) ? $high[i] : $low[i];
-        }
-        if ((isUp && $low[i] < cursar) || (!isUp && cursar > $high[i])) {
+        cursar = isUp ? Math.min(cursar, $low[i - 1], $low[i - 2]) : Math.max(cursar, $high[i - 1], $high[i - 2]);
+        if (isUp ? $low[i] < cursar : $high[i] > cursar) {
             isUp = !isUp;
+            cursar = extreme;
+            extreme = isUp ? $high[i] : $low[i];
             factor = stepfactor;
-            cursar = (isUp) ? Math.min(...$low.slice(i - 2, i + 1)) : Math.max(...$high.slice(i - 2, i + 1));
+        } else if (isUp ? $high[i] > extreme : $low[i] < extreme) {
+            extreme = isUp ? $high[i] : $low[i];
+            factor = Math.min(factor + stepfactor, maxfactor);
         }
         psar.push(cursar);
     }
-    return psar;
+    return pad(psar.slice(0, $high.length), 1, options);
 }
 
 /**
  * Calculates the Triple Exponential Moving Average (TEMA) of a series.
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for the TEMA.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {number[]} - The TEMA values.
  */
-export function tema($close, window) {
-  const ema1 = ema($close, window);
-  const ema2 = ema(ema1, window);
-  return pointwise((a, b, c) => 3 * a - 3 * b + c, ema1, ema2, ema(ema2, window));
+export function tema($close, window, options) {
+  [$close] = check("tema", options, { $close }, { window });
+  const ema1 = ema($close, window, undefined, PARTIAL);
+  const ema2 = ema(ema1, window, undefined, PARTIAL);
+  const result = pointwise((a, b, c) => 3 * a - 3 * b + c, ema1, ema2, ema(ema2, window, undefined, PARTIAL));
+  return pad(result, 3 * (window - 1), options);
 }
 
 /**
- * Calculates the Volume By Price (VBP) of a series.
- * @param {number[]} $close - The close values of the series.
- * @param {number[]} $volume - The volume values of the series.
- * @param {number} zones - The number of zones in the VBP.
- * @param {number} left - The starting index for calculating the VBP.
- * @param {number} right - The ending index for calculating the VBP.
- * @returns {Object} - The VBP values.
+ * Calculates Wilder's Running Moving Average (RMA) of a series, the EMA with weight 1 / window.
+ * Seeded with the SMA of the first `window` values at index window - 1; the
+ * partial values before it are the running mean. Leading gaps are skipped as in ema().
+ * @param {number[]|Float64Array} series - The input series.
+ * @param {number} window - The window size for the RMA.
+ * @param {Object} options - The options, { pad, mode, gaps, out }.
+ * @returns {number[]|Float64Array} - The RMA values.
  */
-export function vbp($close, $volume, zones, left, right) {
-  let total = 0;
-  let bottom = Infinity;
-  let top = -Infinity;
-  const vbp = new Array(zones).fill(0);
-  right = !isNaN(right) ? right : $close.length;
-  for (let i = left; i < right; i++) {
-    total += $volume[i];
-    top = top < $close[i] ? $close[i] : top;
-    bottom = bottom > $close[i] ? $close[i] : bottom;
-  }
-  for (let i = left; i < right; i++) {
-    vbp[Math.floor(($close[i] - bottom) / (top - bottom) * (zones - 1))] += $volume[i];
+export function rma(series, window, options) {
+  [series] = check("rma", options, { series }, { window });
+  const result = output("rma", series, options);
+  const first = leadingGaps(series);
+  let sum = 0;
+  for (let i = 0, len = series.length; i < len; i++) {
+    if (i < first) {
+      result[i] = NaN;
+    } else if (i < first + window) {
+      sum += series[i];
+      result[i] = sum / (i - first + 1);
+    } else {
+      result[i] = (result[i - 1] * (window - 1) + series[i]) / window;
+    }
   }
-  return {
-    bottom,
-    top,
-    volumes: vbp.map((x) => {
-      return x / total;
-    }),
-  };
+  return pad(result, first + window - 1, options);
 }
 
 /**
- * Calculates the Volume Weighted Average Price (VWAP) of a series.
- * @param {number[]} $high - The high values of the series.
- * @param {number[]} $low - The low values of the series.
- * @param {number[]} $close - The close values of the series.
- * @param {number[]} $volume - The volume values of the series.
- * @returns {number[]} - The VWAP values.
+ * Calculates the Smoothed Moving Average (SMMA) of a series, the name some platforms use for rma().
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size for the SMMA.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The SMMA values.
+ */
+export function smma(series, window, options) {
+  [series] = check("smma", options, { series }, { window });
+  return rma(series, window, { ...options, [INTERNAL]: true });
+}
+
+/**
+ * Calculates the Hull Moving Average (HMA) of a series:
+ * wma(2 * wma(series, window / 2) - wma(series, window), sqrt(window)), with both lengths floored.
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size for the HMA.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The HMA values.
+ */
+export function hma(series, window, options) {
+  [series] = check("hma", options, { series }, { window });
+  const half = wma(series, Math.max(1, Math.floor(window / 2)), PARTIAL);
+  const full = wma(series, window, PARTIAL);
+  const root = Math.max(1, Math.floor(Math.sqrt(window)));
+  const result = wma(pointwise((a, b) => 2 * a - b, half, full), root, PARTIAL);
+  return pad(result, window + root - 2, options);
+}
+
+/**
+ * Calculates Kaufman's Adaptive Moving Average (KAMA) of a series.
+ * The smoothing moves between the fast and slow EMA weights with the efficiency ratio
+ * over `window` bars. As in TA-Lib, the average starts from the value at index window - 1,
+ * and the partial values before it are the series itself.
+ * @param {number[]} series - The input series.
+ * @param {number} window - The efficiency ratio window size (default 10).
+ * @param {number} fast - The fast EMA window size (default 2).
+ * @param {number} slow - The slow EMA window size (default 30).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The KAMA values.
  */
-export function vwap($high, $low, $close, $volume) {
-  const tp = typicalPrice($high, $low, $close);
-  const cumulVTP = [$volume[0] * tp[0]];
-  const cumulV = [$volume[0]];
-  for (let i = 1, len = $close.length; i < len; i++) {
-    cumulVTP[i] = cumulVTP[i - 1] + $volume[i] * tp[i];
-    cumulV[i] = cumulV[i - 1] + $volume[i];
+export function kama(series, window = 10, fast = 2, slow = 30, options) {
+  [series] = check("kama", options, { series }, { window, fast, slow });
+  const fastest = 2 / (fast + 1);
+  const slowest = 2 / (slow + 1);
+  const result = [];
+  let volatility = 0;
+  for (let i = 0, len = series.length; i < len; i++) {
+    if (i > 0) {
+      volatility += Math.abs(series[i] - series[i - 1]);
+    }
+    if (i > window) {
+      volatility -= Math.abs(series[i - window] - series[i - window - 1]);
+    }
+    if (i < window) {
+      result.push(series[i]);
+      continue;
+    }
+    const change = Math.abs(series[i] - series[i - window]);
+    const er = volatility > 0 ? change / volatility : degenerate(0, change, volatility);
+    const sc = Math.pow(er * (fastest - slowest) + slowest, 2);
+    result.push(result[i - 1] + sc * (series[i] - result[i - 1]));
   }
-  return pointwise((a, b) => a / b, cumulVTP, cumulV);
+  return pad(result, window, options);
 }
 
 /**
- * Calculates the Zigzag indicator of a series.
- * @param {number[]} $time - The time values of the series.
- * @param {number[]} $high - The high values of the series.
- * @param {number[]} $low - The low values of the series.
- * @param {number} percent - The percentage threshold for the Zigzag indicator.
- * @returns {Object} - The Zigzag indicator values.
+ * Calculates the Zero-Lag Exponential Moving Average (ZLEMA) of a series,
+ * the EMA of series + (series - series lagged by (window - 1) / 2 bars).
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size for the ZLEMA.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The ZLEMA values.
  */
-export function zigzag($time, $high, $low, percent) {
-  let lowest = $low[0];
-  let thattime = $time[0];
-  let isUp = false;
+export function zlema(series, window, options) {
+  [series] = check("zlema", options, { series }, { window });
+  const lag = Math.floor((window - 1) / 2);
+  const data = series.map((x, i) => 2 * x - series[Math.max(i - lag, 0)]);
+  return pad(ema(data, window, undefined, PARTIAL), lag + window - 1, options);
+}
+
+/**
+ * Calculates the Arnaud Legoux Moving Average (ALMA) of a series, a Gaussian-weighted
+ * average whose peak sits at `offset` along the window. A partial window keeps the
+ * weights of the latest positions.
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size for the ALMA (default 9).
+ * @param {number} offset - The position of the weight peak, from 0 (oldest) to 1 (latest) (default 0.85).
+ * @param {number} sigma - The sharpness of the weights; the width is window / sigma (default 6).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The ALMA values.
+ */
+export function alma(series, window = 9, offset = 0.85, sigma = 6, options) {
+  [series] = check("alma", options, { series }, { window });
+  const m = offset * (window - 1);
+  const s = window / sigma;
+  const weights = [];
+  for (let j = 0; j < window; j++) {
+    weights.push(Math.exp(-((j - m) * (j - m)) / (2 * s * s)));
+  }
+  const result = rolling((slice) => {
+    const w = weights.slice(window - slice.length);
+    let weighted = 0;
+    let sum = 0;
+    slice.forEach((x, j) => {
+      weighted += w[j] * x;
+      sum += w[j];
+    });
+    return weighted / sum;
+  }, series, window);
+  return pad(result, window - 1, options);
+}
+
+/**
+ * Calculates Tillson's T3 Moving Average of a series, a six-fold EMA combined with the volume factor.
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size for each EMA (default 5).
+ * @param {number} vfactor - The volume factor, from 0 (the EMA applied three times) to 1 (default 0.7).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The T3 values.
+ */
+export function t3(series, window = 5, vfactor = 0.7, options) {
+  [series] = check("t3", options, { series }, { window });
+  const e = [series];
+  for (let k = 1; k <= 6; k++) {
+    e.push(ema(e[k - 1], window, undefined, PARTIAL));
+  }
+  const a = vfactor;
+  const c1 = -a * a * a;
+  const c2 = 3 * a * a + 3 * a * a * a;
+  const c3 = -6 * a * a - 3 * a - 3 * a * a * a;
+  const c4 = 1 + 3 * a + a * a * a + 3 * a * a;
+  const result = pointwise((e3, e4, e5, e6) => c1 * e6 + c2 * e5 + c3 * e4 + c4 * e3, e[3], e[4], e[5], e[6]);
+  return pad(result, 6 * (window - 1), options);
+}
+
+/**
+ * Calculates the Volume-Weighted Moving Average (VWMA) of a series.
+ * A window without volume gives the simple average.
+ * @param {number[]} series - The input series.
+ * @param {number[]} $volume - The volume values of the series.
+ * @param {number} window - The window size for the VWMA.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The VWMA values.
+ */
+export function vwma(series, $volume, window, options) {
+  [series, $volume] = check("vwma", options, { series, $volume }, { window });
+  const weighted = rollingSum(pointwise((x, v) => x * v, series, $volume), window);
+  const volume = rollingSum($volume, window);
+  const plain = sma(series, window, PARTIAL);
+  return pad(pointwise((a, b, c) => (b > 0 ? a / b : degenerate(c, a, b)), weighted, volume, plain), window - 1, options);
+}
+
+/**
+ * The moving averages selectable with the `maType` option, called as (series, window, options).
+ * `vwma` reads its volume from `options.volume`.
+ */
+const MOVING_AVERAGES = {
+  sma,
+  ema: (series, window, options) => ema(series, window, undefined, options),
+  wma,
+  rma,
+  smma,
+  hma,
+  kama: (series, window, options) => kama(series, window, undefined, undefined, options),
+  zlema,
+  alma: (series, window, options) => alma(series, window, undefined, undefined, options),
+  t3: (series, window, options) => t3(series, window, undefined, options),
+  vwma: (series, window, options) => {
+    if (!options || !options.volume) {
+      throw new ValidationError("vwma needs a volume series, { volume }");
+    }
+    checkLengths("vwma", series, options.volume);
+    return vwma(series, options.volume, window, options);
+  },
+};
+
+/**
+ * Calculates a moving average chosen by name.
+ * @param {string} type - One of sma, ema, wma, rma, smma, hma, kama, zlema, alma, t3 and vwma.
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size.
+ * @param {Object} options - The options, { pad, mode, gaps, volume }; `volume` is required by vwma.
+ * @returns {number[]} - The moving average values.
+ */
+export function movingAverage(type, series, window, options) {
+  if (!Object.prototype.hasOwnProperty.call(MOVING_AVERAGES, type)) {
+    throw new ValidationError(`maType must be one of ${Object.keys(MOVING_AVERAGES).join(", ")}, got "${type}"`);
+  }
+  return MOVING_AVERAGES[type](series, window, options);
+}
+
+/**
+ * Smooths a series inside a composite indicator with the average chosen by `options.maType`.
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size.
+ * @param {string} fallback - The average used when no maType is given.
+ * @param {Object} options - The options of the composite call, { maType, volume }.
+ * @returns {number[]} - The partial-window averages.
+ */
+function smoothWith(series, window, fallback, options) {
+  const type = (options && options.maType) || fallback;
+  return movingAverage(type, series, window, { ...PARTIAL, volume: options && options.volume });
+}
+
+/**
+ * Calculates the Volume By Price (VBP) of a series, bucketing each close into a price zone.
+ * See volumeProfile() for a profile spread over the bar ranges.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number[]} $volume - The volume values of the series.
+ * @param {number} zones - The number of zones in the VBP.
+ * @param {number} left - The starting index for calculating the VBP.
+ * @param {number} right - The ending index for calculating the VBP.
+ * @param {Object} options - The options, { mode, gaps }.
+ * @returns {Object} - The VBP values.
+ */
+export function vbp($close, $volume, zones, left, right, options) {
+  [$close, $volume] = check("vbp", options, { $close, $volume });
+  checkWindow("vbp", "zones", zones);
+  left = left || 0;
+  right = !isNaN(right) ? right : $close.length;
+  if (!Number.isInteger(left) || !Number.isInteger(right) || left < 0 || right > $close.length || left >= right) {
+    throw new ValidationError(`vbp: left and right must select a range of 0..${$close.length}, got ${left}..${right}`);
+  }
+  let total = 0;
+  let bottom = Infinity;
+  let top = -Infinity;
+  const vbp = new Array(zones).fill(0);
+  for (let i = left; i < right; i++) {
+    total += $volume[i];
+    top = top < $close[i] ? $close[i] : top;
+    bottom = bottom > $close[i] ? $close[i] : bottom;
+  }
+  for (let i = left; i < right; i++) {
+    // a flat range puts all volume in the first zone
+    vbp[top > bottom ? Math.floor(($close[i] - bottom) / (top - bottom) * (zones - 1)) : 0] += $volume[i];
+  }
+  return {
+    bottom,
+    top,
+    volumes: vbp.map((x) => {
+      return total > 0 ? x / total : 0;
+    }),
+  };
+}
+
+/**
+ * Lays out the price rows of a profile between bottom and top.
+ * @param {number} bottom - The lowest price.
+ * @param {number} top - The highest price.
+ * @param {Object} options - The options, { rows, rowSize }; rowSize takes precedence.
+ * @returns {Object} - The row count, the row size and a function mapping a price to its row.
+ */
+function profileRows(bottom, top, options) {
+  const { rows = 24, rowSize } = options;
+  if (rowSize !== undefined && !(rowSize > 0)) {
+    throw new ValidationError(`rowSize must be positive, got ${rowSize}`);
+  }
+  checkWindow("profile", "rows", rows);
+  const count = top > bottom ? (rowSize ? Math.max(1, Math.ceil((top - bottom) / rowSize)) : rows) : 1;
+  const size = rowSize || (top > bottom ? (top - bottom) / count : 0);
+  const rowOf = (price) => (size > 0 ? Math.max(0, Math.min(count - 1, Math.floor((price - bottom) / size))) : 0);
+  return { count, size, rowOf };
+}
+
+/**
+ * Grows the value area from the point of control, adding the busier neighbouring row each step
+ * until it holds the requested share of the total.
+ * @param {number[]} amounts - The volume or TPO count of each row.
+ * @param {number} poc - The row of the point of control.
+ * @param {number} share - The share of the total in the value area.
+ * @returns {number[]} - The lowest and highest row of the value area.
+ */
+function valueAreaRows(amounts, poc, share) {
+  const total = amounts.reduce((sum, x) => sum + x, 0);
+  let lo = poc;
+  let hi = poc;
+  let inside = amounts[poc];
+  while (inside < share * total && (lo > 0 || hi < amounts.length - 1)) {
+    const below = lo > 0 ? amounts[lo - 1] : -1;
+    const above = hi < amounts.length - 1 ? amounts[hi + 1] : -1;
+    if (above >= below) {
+      inside += amounts[++hi];
+    } else {
+      inside += amounts[--lo];
+    }
+  }
+  return [lo, hi];
+}
+
+/**
+ * Summarizes the rows of a profile: point of control, value area and volume nodes.
+ * High volume nodes are rows busier than every row within `nodeWidth` rows on both sides,
+ * low volume nodes rows quieter than them, both away from the edges.
+ * @param {Object[]} rows - The rows, each with low, high and price.
+ * @param {number[]} amounts - The volume or TPO count of each row.
+ * @param {Object} options - The options, { valueArea, nodeWidth }.
+ * @returns {Object} - The poc, vah, val, hvn and lvn prices.
+ */
+function profileLevels(rows, amounts, options) {
+  const { valueArea = 0.7, nodeWidth = 2 } = options;
+  if (!(valueArea > 0 && valueArea <= 1)) {
+    throw new ValidationError(`valueArea must be in (0, 1], got ${valueArea}`);
+  }
+  let poc = 0;
+  amounts.forEach((x, k) => (poc = x > amounts[poc] ? k : poc));
+  const [lo, hi] = valueAreaRows(amounts, poc, valueArea);
+  const hvn = [];
+  const lvn = [];
+  for (let k = nodeWidth; k < amounts.length - nodeWidth; k++) {
+    const around = amounts.slice(k - nodeWidth, k + nodeWidth + 1).filter((_, j) => j !== nodeWidth);
+    if (around.every((x) => amounts[k] > x)) {
+      hvn.push(rows[k].price);
+    } else if (around.every((x) => amounts[k] < x)) {
+      lvn.push(rows[k].price);
+    }
+  }
+  return { poc: rows[poc].price, vah: rows[hi].high, val: rows[lo].low, hvn, lvn };
+}
+
+/**
+ * Calculates the volume profile of a range of bars. Each bar's volume is spread evenly over
+ * its high-low range and split into up volume (close at or above open, or the previous close
+ * without an open column) and down volume. In lenient mode, bars with a gap in the high, low or
+ * volume are left out of the rows and the total.
+ * @param {Object[]|Object} candles - Array of candle objects, or an object of columns.
+ * @param {Object} options - The options.
+ * @param {number} options.rows - The number of price rows (default 24).
+ * @param {number} options.rowSize - The price height of each row, instead of `rows`.
+ * @param {number} options.valueArea - The share of the volume in the value area (default 0.7).
+ * @param {number} options.nodeWidth - The rows on each side a volume node must beat (default 2).
+ * @param {number} options.left - The starting index (default 0).
+ * @param {number} options.right - The ending index, exclusive (default the length).
+ * @returns {Object} - The rows, each { low, high, price, volume, up, down }, the total volume,
+ * the point of control `poc`, the value area `vah`/`val` and the `hvn`/`lvn` node prices.
+ */
+export function volumeProfile(candles, options = {}) {
+  const columns = toColumns(candles);
+  ["high", "low", "close", "volume"].forEach((k) => {
+    if (!columns[k]) {
+      throw new ValidationError(`volumeProfile needs the "${k}" column`);
+    }
+  });
+  const [$high, $low, $close, $volume] = check("volumeProfile", options, {
+    $high: columns.high, $low: columns.low, $close: columns.close, $volume: columns.volume,
+  });
+  const $open = columns.open;
+  const { left = 0, right = $close.length } = options;
+  if (!Number.isInteger(left) || !Number.isInteger(right) || left < 0 || right > $close.length || left >= right) {
+    throw new ValidationError(`volumeProfile: left and right must select a range of 0..${$close.length}, got ${left}..${right}`);
+  }
+  const bottom = extent($low, left, right)[0];
+  const top = extent($high, left, right)[1];
+  const { count, size, rowOf } = profileRows(bottom, top, options);
+  const rows = [];
+  for (let k = 0; k < count; k++) {
+    const low = bottom + k * size;
+    rows.push({ low, high: low + size, price: low + size / 2, volume: 0, up: 0, down: 0 });
+  }
+  let total = 0;
+  for (let i = left; i < right; i++) {
+    if (!Number.isFinite($high[i]) || !Number.isFinite($low[i]) || !Number.isFinite($volume[i])) {
+      continue;
+    }
+    total += $volume[i];
+    const reference = $open ? $open[i] : $close[i - 1];
+    const side = reference === undefined || $close[i] >= reference ? "up" : "down";
+    const first = rowOf($low[i]);
+    const last = rowOf($high[i]);
+    for (let k = first; k <= last; k++) {
+      const overlap = Math.min($high[i], rows[k].high) - Math.max($low[i], rows[k].low);
+      const share = first === last ? 1 : Math.max(0, overlap) / ($high[i] - $low[i]);
+      rows[k].volume += $volume[i] * share;
+      rows[k][side] += $volume[i] * share;
+    }
+  }
+  return { bottom, top, rowSize: size, total, rows, ...profileLevels(rows, rows.map((r) => r.volume), options) };
+}
+
+/**
+ * Calculates a volume profile for every session, such as each day.
+ * @param {Object[]|Object} candles - Array of candle objects, or an object of columns, with a time column in milliseconds.
+ * @param {number|string} timeframe - The session length, in milliseconds or as e.g. "1d" (default "1d").
+ * @param {Object} options - The volumeProfile() options plus the `offset` and `session` options of resample().
+ * @returns {Object[]} - One profile per session, with its start `time` and its bars `from`..`to` (exclusive).
+ */
+export function sessionProfiles(candles, timeframe = "1d", options = {}) {
+  const columns = toColumns(candles);
+  if (!columns.time) {
+    throw new ValidationError("sessionProfiles needs the \"time\" column");
+  }
+  const buckets = assignBuckets(columns.time, parseTimeframe(timeframe), options);
+  return buckets.start.map((time, b) => {
+    const from = buckets.from[b];
+    const to = buckets.to[b];
+    return { time, from, to, ...volumeProfile(columns, { ...options, left: from, right: to }) };
+  });
+}
+
+/**
+ * Letters of the TPO periods of a session, in order.
+ */
+const TPO_LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+/**
+ * Calculates the TPO (time price opportunity) market profile of every session. Each period of
+ * the session gets a letter, marked on every price row its bars traded through.
+ * @param {Object[]|Object} candles - Array of candle objects, or an object of columns, with a time column in milliseconds.
+ * @param {Object} options - The options.
+ * @param {number|string} options.timeframe - The session length (default "1d").
+ * @param {number|string} options.period - The length of each lettered period (default "30m").
+ * @param {number} options.rows - The number of price rows per session (default 24).
+ * @param {number} options.rowSize - The price height of each row, instead of `rows`.
+ * @param {number} options.valueArea - The share of the TPOs in the value area (default 0.7).
+ * @param {number} options.nodeWidth - The rows on each side a node must beat (default 2).
+ * @returns {Object[]} - One profile per session, with its start `time`, its bars `from`..`to`
+ * (exclusive), rows { low, high, price, letters, count }, the initial balance (the first two
+ * periods) `ib`, and the poc, vah, val, hvn and lvn prices by TPO count.
+ */
+export function marketProfile(candles, options = {}) {
+  const { timeframe = "1d", period = "30m", offset, session } = options;
+  const columns = toColumns(candles);
+  ["time", "high", "low"].forEach((k) => {
+    if (!columns[k]) {
+      throw new ValidationError(`marketProfile needs the "${k}" column`);
+    }
+  });
+  const [$time, $high, $low] = check("marketProfile", options, { $time: columns.time, $high: columns.high, $low: columns.low });
+  const sessions = assignBuckets($time, parseTimeframe(timeframe), { offset, session });
+  const span = parseTimeframe(period);
+  return sessions.start.map((time, b) => {
+    const from = sessions.from[b];
+    const to = sessions.to[b];
+    const bottom = extent($low, from, to)[0];
+    const top = extent($high, from, to)[1];
+    const { count, size, rowOf } = profileRows(bottom, top, options);
+    const rows = [];
+    for (let k = 0; k < count; k++) {
+      const low = bottom + k * size;
+      rows.push({ low, high: low + size, price: low + size / 2, letters: "", count: 0 });
+    }
+    const periods = assignBuckets($time.slice(from, to), span, { offset: time }).index;
+    const marked = new Array(count).fill(-1);
+    const ib = { high: -Infinity, low: Infinity };
+    for (let i = from; i < to; i++) {
+      const p = periods[i - from];
+      for (let k = rowOf($low[i]); k <= rowOf($high[i]); k++) {
+        if (marked[k] !== p) {
+          marked[k] = p;
+          rows[k].letters += TPO_LETTERS[p % TPO_LETTERS.length];
+          rows[k].count++;
+        }
+      }
+      if (p < 2) {
+        ib.high = Math.max(ib.high, $high[i]);
+        ib.low = Math.min(ib.low, $low[i]);
+      }
+    }
+    return { time, from, to, rows, ib, ...profileLevels(rows, rows.map((r) => r.count), options) };
+  });
+}
+
+/**
+ * Calculates the Volume Weighted Average Price (VWAP) of a series, cumulated from the first bar.
+ * Until some volume has traded it is the typical price. See anchoredVwap() and sessionVwap()
+ * for a VWAP that restarts.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number[]} $volume - The volume values of the series.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The VWAP values.
+ */
+export function vwap($high, $low, $close, $volume, options) {
+  [$high, $low, $close, $volume] = check("vwap", options, { $high, $low, $close, $volume });
+  const tp = typicalPrice($high, $low, $close, PARTIAL);
+  return pad(accumulateVwap(tp, $volume, () => false), 0, options);
+}
+
+/**
+ * Calculates the Zigzag indicator of a series.
+ * @param {number[]} $time - The time values of the series.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number} percent - The percentage threshold for the Zigzag indicator.
+ * @param {Object} options - The options, { mode, gaps }.
+ * @returns {Object} - The Zigzag indicator values.
+ */
+export function zigzag($time, $high, $low, percent, options) {
+  [$time, $high, $low] = check("zigzag", options, { $time, $high, $low });
+  let lowest = $low[0];
+  let thattime = $time[0];
+  let isUp = false;
   let highest = $high[0];
   const time = [];
   const zigzag = [];
@@ -436,6 +1516,7 @@ export function zigzag($time, $high, $low, percent) {
         isUp = false;
         time.push(thattime);
         zigzag.push(highest);
+        thattime = $time[i];
         lowest = $low[i];
       }
     } else {
@@ -446,6 +1527,7 @@ export function zigzag($time, $high, $low, percent) {
         isUp = true;
         time.push(thattime);
         zigzag.push(lowest);
+        thattime = $time[i];
         highest = $high[i];
       }
     }
@@ -453,109 +1535,565 @@ export function zigzag($time, $high, $low, percent) {
   return { time, price: zigzag };
 }
 
+/**
+ * Calculates the Donchian Channel of a series, the highest high and lowest low over a window.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number} window - The window size for the Donchian channel.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The Donchian Channel values.
+ */
+export function donchian($high, $low, window, options) {
+  [$high, $low] = check("donchian", options, { $high, $low }, { window });
+  const upper = rollingMax($high, window);
+  const lower = rollingMin($low, window);
+  const middle = pointwise((a, b) => (a + b) / 2, upper, lower);
+  return {
+    lower: pad(lower, window - 1, options),
+    middle: pad(middle, window - 1, options),
+    upper: pad(upper, window - 1, options),
+  };
+}
+
+/**
+ * Calculates the Moving Average Envelopes of a series, bands a fixed percentage around a moving average.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number} window - The window size for the moving average.
+ * @param {number} percent - The distance of the bands from the average, in percent.
+ * @param {Object} options - The options, { pad, mode, gaps, maType, volume }; maType sets the average (default sma).
+ * @returns {Object} - The Envelopes values.
+ */
+export function envelopes($close, window, percent, options) {
+  [$close] = check("envelopes", options, { $close }, { window });
+  const middle = smoothWith($close, window, "sma", options);
+  return {
+    lower: pad(pointwise((x) => x * (1 - percent / 100), middle), middle.warmup, options),
+    middle: pad(middle, middle.warmup, options),
+    upper: pad(pointwise((x) => x * (1 + percent / 100), middle), middle.warmup, options),
+  };
+}
+
+/**
+ * Calculates the Ichimoku Kinko Hyo of a series.
+ * The leading spans are shifted forward and the lagging span backward by displacement - 1
+ * bars, as charting platforms plot them, so every output is aligned to the bar it is drawn on.
+ * The lagging span reads `displacement - 1` bars ahead and is meant for display only.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number} tenkan - The conversion line window size (default 9).
+ * @param {number} kijun - The base line window size (default 26).
+ * @param {number} senkou - The second leading span window size (default 52).
+ * @param {number} displacement - The displacement of the spans (default 26).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The conversion, base, spanA, spanB and lagging lines, plus `ahead`, the
+ * spanA and spanB values projected past the last bar.
+ */
+export function ichimoku($high, $low, $close, tenkan = 9, kijun = 26, senkou = 52, displacement = 26, options) {
+  [$high, $low, $close] = check("ichimoku", options, { $high, $low, $close }, { tenkan, kijun, senkou, displacement });
+  const midpoint = (window) => pointwise(
+    (a, b) => (a + b) / 2,
+    rollingMax($high, window),
+    rollingMin($low, window)
+  );
+  const conversion = midpoint(tenkan);
+  const base = midpoint(kijun);
+  const leadA = pointwise((a, b) => (a + b) / 2, conversion, base);
+  const leadB = midpoint(senkou);
+  const len = $close.length;
+  const shift = displacement - 1;
+  const cut = Math.max(0, len - shift);
+  const forward = (values) => new Array(len - cut).fill(NaN).concat(values.slice(0, cut));
+  const lagging = $close.map((_, i) => (i + shift < len ? $close[i + shift] : NaN));
+  return {
+    conversion: pad(conversion, tenkan - 1, options),
+    base: pad(base, kijun - 1, options),
+    spanA: pad(forward(leadA), Math.max(tenkan, kijun) - 1 + shift, options),
+    spanB: pad(forward(leadB), senkou - 1 + shift, options),
+    lagging: pad(lagging, 0, options),
+    ahead: { spanA: leadA.slice(cut), spanB: leadB.slice(cut) },
+  };
+}
+
+/**
+ * Calculates the SuperTrend of a series, a trailing stop at mult ATRs from the bar midpoint
+ * that flips side when the close crosses it. The bands trail from the first full ATR on, so the
+ * partial ATR of the warm-up does not carry into them.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number} window - The ATR window size (default 10).
+ * @param {number} mult - The ATR multiplier (default 3).
+ * @param {Object} options - The options, { pad, mode, gaps, maType, volume }; maType sets the ATR smoothing.
+ * @returns {Object} - The SuperTrend line and its direction, 1 (up, line below price) or -1 (down).
+ */
+export function supertrend($high, $low, $close, window = 10, mult = 3, options) {
+  [$high, $low, $close] = check("supertrend", options, { $high, $low, $close }, { window });
+  const inner = { ...PARTIAL, maType: options && options.maType, volume: options && options.volume };
+  const range = atr($high, $low, $close, window, inner);
+  const line = [];
+  const direction = [];
+  let upper;
+  let lower;
+  let trend = -1;
+  for (let i = 0, len = $close.length; i < len; i++) {
+    const mid = ($high[i] + $low[i]) / 2;
+    let up = mid + mult * range[i];
+    let dn = mid - mult * range[i];
+    if (i > range.warmup) {
+      up = up < upper || $close[i - 1] > upper ? up : upper;
+      dn = dn > lower || $close[i - 1] < lower ? dn : lower;
+      trend = trend === -1 ? ($close[i] > up ? 1 : -1) : ($close[i] < dn ? -1 : 1);
+    }
+    upper = up;
+    lower = dn;
+    line.push(trend === 1 ? lower : upper);
+    direction.push(trend);
+  }
+  return { line: pad(line, range.warmup, options), direction: pad(direction, range.warmup, options) };
+}
+
+/**
+ * Calculates the Chandelier Exit of a series, stops at mult ATRs from the highest high
+ * (for longs) and the lowest low (for shorts) over a window.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number} window - The window size for the extremes and the ATR (default 22).
+ * @param {number} mult - The ATR multiplier (default 3).
+ * @param {Object} options - The options, { pad, mode, gaps, maType, volume }; maType sets the ATR smoothing.
+ * @returns {Object} - The long and short exit values.
+ */
+export function chandelier($high, $low, $close, window = 22, mult = 3, options) {
+  [$high, $low, $close] = check("chandelier", options, { $high, $low, $close }, { window });
+  const inner = { ...PARTIAL, maType: options && options.maType, volume: options && options.volume };
+  const range = atr($high, $low, $close, window, inner);
+  const highest = rollingMax($high, window);
+  const lowest = rollingMin($low, window);
+  const warmup = Math.max(window - 1, range.warmup);
+  return {
+    long: pad(pointwise((h, r) => h - mult * r, highest, range), warmup, options),
+    short: pad(pointwise((l, r) => l + mult * r, lowest, range), warmup, options),
+  };
+}
+
+/**
+ * Multipliers of the high-low range for the Fibonacci and Camarilla pivot levels.
+ */
+const PIVOT_LEVELS = { fibonacci: [0.382, 0.618, 1], camarilla: [1.1 / 12, 1.1 / 6, 1.1 / 4, 1.1 / 2] };
+
+/**
+ * Calculates the pivot points of each bar, the levels for the period that follows it.
+ * Pass higher-timeframe bars, or use mtf(), to get e.g. daily pivots on intraday bars.
+ * - classic: P = (H + L + C) / 3, R1 = 2P - L, S1 = 2P - H, R2/S2 = P ± (H - L), R3 = H + 2(P - L), S3 = L - 2(H - P).
+ * - fibonacci: P as classic, Rn/Sn = P ± 0.382, 0.618 and 1 times (H - L).
+ * - camarilla: P as classic, Rn/Sn = C ± 1.1/12, 1.1/6, 1.1/4 and 1.1/2 times (H - L), with R4/S4.
+ * - woodie: P = (H + L + 2C) / 4, levels as classic.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {string} method - "classic" (default), "fibonacci", "camarilla" or "woodie".
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The pivot, r1-r3 and s1-s3 values, plus r4 and s4 for camarilla.
+ */
+export function pivotPoints($high, $low, $close, method = "classic", options) {
+  [$high, $low, $close] = check("pivotPoints", options, { $high, $low, $close });
+  if (!["classic", "fibonacci", "camarilla", "woodie"].includes(method)) {
+    throw new ValidationError(`pivotPoints: method must be one of classic, fibonacci, camarilla, woodie, got "${method}"`);
+  }
+  const result = { pivot: [] };
+  const levels = method === "camarilla" ? 4 : 3;
+  for (let n = 1; n <= levels; n++) {
+    result[`r${n}`] = [];
+    result[`s${n}`] = [];
+  }
+  for (let i = 0, len = $close.length; i < len; i++) {
+    const h = $high[i];
+    const l = $low[i];
+    const c = $close[i];
+    const range = h - l;
+    const p = method === "woodie" ? (h + l + 2 * c) / 4 : (h + l + c) / 3;
+    result.pivot.push(p);
+    for (let n = 1; n <= levels; n++) {
+      let r;
+      let s;
+      if (method === "fibonacci") {
+        r = p + PIVOT_LEVELS.fibonacci[n - 1] * range;
+        s = p - PIVOT_LEVELS.fibonacci[n - 1] * range;
+      } else if (method === "camarilla") {
+        r = c + PIVOT_LEVELS.camarilla[n - 1] * range;
+        s = c - PIVOT_LEVELS.camarilla[n - 1] * range;
+      } else {
+        r = [2 * p - l, p + range, h + 2 * (p - l)][n - 1];
+        s = [2 * p - h, p - range, l - 2 * (h - p)][n - 1];
+      }
+      result[`r${n}`].push(r);
+      result[`s${n}`].push(s);
+    }
+  }
+  Object.keys(result).forEach((k) => (result[k] = pad(result[k], 0, options)));
+  return result;
+}
+
+/**
+ * Accumulates the VWAP of the typical prices, restarting wherever `reset` is true.
+ * Until some volume has traded it is the typical price.
+ * @param {number[]} tp - The typical prices.
+ * @param {number[]} $volume - The volume values of the series.
+ * @param {function} reset - Maps a bar index to whether the accumulation restarts there.
+ * @returns {number[]} - The VWAP values.
+ */
+function accumulateVwap(tp, $volume, reset) {
+  const result = [];
+  let vtp = 0;
+  let v = 0;
+  for (let i = 0, len = tp.length; i < len; i++) {
+    if (reset(i)) {
+      vtp = 0;
+      v = 0;
+    }
+    vtp += $volume[i] * tp[i];
+    v += $volume[i];
+    result.push(v > 0 ? vtp / v : tp[i]);
+  }
+  return result;
+}
+
+/**
+ * Calculates the VWAP anchored at one or more bars; it restarts at each anchor and has no
+ * value before the first one.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number[]} $volume - The volume values of the series.
+ * @param {number|number[]} anchor - The anchor bar index, or several (default 0).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The anchored VWAP values.
+ */
+export function anchoredVwap($high, $low, $close, $volume, anchor = 0, options) {
+  [$high, $low, $close, $volume] = check("anchoredVwap", options, { $high, $low, $close, $volume });
+  const anchors = [].concat(anchor);
+  anchors.forEach((a) => {
+    if (!Number.isInteger(a) || a < 0 || a >= $close.length) {
+      throw new ValidationError(`anchoredVwap: anchor must be a bar index below ${$close.length}, got ${a}`);
+    }
+  });
+  const first = Math.min(...anchors);
+  const tp = typicalPrice($high, $low, $close, PARTIAL);
+  const result = accumulateVwap(tp, $volume, (i) => anchors.includes(i));
+  result.fill(NaN, 0, first);
+  return pad(result, first, options);
+}
+
+/**
+ * Calculates the VWAP restarting at every session, such as each day.
+ * @param {number[]} $time - The time values of the series, in milliseconds.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number[]} $volume - The volume values of the series.
+ * @param {number|string} timeframe - The session length, in milliseconds or as e.g. "1d" (default "1d").
+ * @param {Object} options - The options, { pad, mode, gaps, offset, session }, with `offset` and
+ * `session` aligning the sessions as in resample().
+ * @returns {number[]} - The session VWAP values.
+ */
+export function sessionVwap($time, $high, $low, $close, $volume, timeframe = "1d", options) {
+  [$time, $high, $low, $close, $volume] = check("sessionVwap", options, { $time, $high, $low, $close, $volume });
+  const { index } = assignBuckets($time, parseTimeframe(timeframe), options);
+  const tp = typicalPrice($high, $low, $close, PARTIAL);
+  return pad(accumulateVwap(tp, $volume, (i) => i > 0 && index[i] !== index[i - 1]), 0, options);
+}
+
 /**
  * Calculates the Accumulation/Distribution Line (ADL) of a series.
  * @param {number[]} $high - The high values of the series.
  * @param {number[]} $low - The low values of the series.
  * @param {number[]} $close - The close values of the series.
  * @param {number[]} $volume - The volume values of the series.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {number[]} - The ADL values.
  */
-export function adl($high, $low, $close, $volume) {
-  const adl = [$volume[0] * (2 * $close[0] - $low[0] - $high[0]) / ($high[0] - $low[0])];
+export function adl($high, $low, $close, $volume, options) {
+  [$high, $low, $close, $volume] = check("adl", options, { $high, $low, $close, $volume });
+  // a bar without range (high === low) moves no money
+  const flow = (i) => ($high[i] > $low[i] ? $volume[i] * (2 * $close[i] - $low[i] - $high[i]) / ($high[i] - $low[i]) : 0);
+  const adl = [flow(0)];
   for (let i = 1, len = $high.length; i < len; i++) {
-    adl[i] = adl[i - 1] + $volume[i] * (2 * $close[i] - $low[i] - $high[i]) / ($high[i] - $low[i]);
+    adl[i] = adl[i - 1] + flow(i);
   }
-  return adl;
+  return pad(adl.slice(0, $high.length), 0, options);
 }
 
 /**
  * Calculates the Average Directional Index (ADX) of a series.
+ * Bars without true range or directional movement give 0.
  * @param {number[]} $high - The high values of the series.
  * @param {number[]} $low - The low values of the series.
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for smoothing.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {Object} - The ADX, DIP, and DIM values.
  */
-export function adx($high, $low, $close, window) {
+export function adx($high, $low, $close, window, options) {
+  [$high, $low, $close] = check("adx", options, { $high, $low, $close }, { window });
   let dmp = [0];
   let dmm = [0];
   for (let i = 1, len = $low.length; i < len; i++) {
     let hd = $high[i] - $high[i - 1];
     let ld = $low[i - 1] - $low[i];
-    dmp.push(hd > ld ? Math.max(hd, 0) : 0);
-    dmm.push(ld > hd ? Math.max(ld, 0) : 0);
-  }
-  let str = wilderSmooth(trueRange($high, $low, $close), window);
-  dmp = wilderSmooth(dmp, window);
-  dmm = wilderSmooth(dmm, window);
-  let dip = pointwise((a, b) => (100 * a) / b, dmp, str);
-  let dim = pointwise((a, b) => (100 * a) / b, dmm, str);
+    dmp.push(hd > ld ? Math.max(hd, 0) : degenerate(0, hd, ld));
+    dmm.push(ld > hd ? Math.max(ld, 0) : degenerate(0, hd, ld));
+  }
+  let str = wilderSmooth(trueRange($high, $low, $close, PARTIAL), window, PARTIAL);
+  dmp = wilderSmooth(dmp, window, PARTIAL);
+  dmm = wilderSmooth(dmm, window, PARTIAL);
+  let dip = pointwise((a, b) => (b > 0 ? (100 * a) / b : degenerate(0, a, b)), dmp, str);
+  let dim = pointwise((a, b) => (b > 0 ? (100 * a) / b : degenerate(0, a, b)), dmm, str);
   let dx = pointwise(
-    (a, b) => (100 * Math.abs(a - b)) / (a + b),
+    (a, b) => (a + b > 0 ? (100 * Math.abs(a - b)) / (a + b) : degenerate(0, a, b)),
     dip,
     dim
   );
+  const line = new Array(Math.min(window, dx.length)).fill(NaN).concat(
+    ema(dx.slice(window), 2 * window - 1, undefined, PARTIAL)
+  );
   return {
-    dip,
-    dim,
-    adx: new Array(14).fill(NaN).concat(ema(dx.slice(14), 2 * window - 1)),
+    dip: pad(dip, str.warmup, options),
+    dim: pad(dim, str.warmup, options),
+    adx: pad(line, str.warmup + 2 * window - 2, options),
+  };
+}
+
+/**
+ * Calculates the Aroon indicator of a series, how recently the highest high and lowest low of
+ * the last window + 1 bars occurred.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number} window - The window size for calculating Aroon (default 25).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The Aroon up, down and oscillator values.
+ */
+export function aroon($high, $low, window = 25, options) {
+  [$high, $low] = check("aroon", options, { $high, $low }, { window });
+  const since = (series, largest) =>
+    Array.from(rollingExtremeIndex(series, window + 1, largest), (k, i) => (k < 0 ? NaN : (100 * (window - i + k)) / window));
+  const up = since($high, true);
+  const down = since($low, false);
+  return {
+    up: pad(up, window, options),
+    down: pad(down, window, options),
+    oscillator: pad(pointwise((a, b) => a - b, up, down), window, options),
   };
 }
 
+/**
+ * Calculates the Awesome Oscillator (AO) of a series, the difference of a fast and a slow SMA
+ * of the bar midpoints.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number} winshort - The short SMA window size (default 5).
+ * @param {number} winlong - The long SMA window size (default 34).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The AO values.
+ */
+export function awesome($high, $low, winshort = 5, winlong = 34, options) {
+  [$high, $low] = check("awesome", options, { $high, $low }, { winshort, winlong });
+  const median = pointwise((h, l) => (h + l) / 2, $high, $low);
+  const result = pointwise((a, b) => a - b, sma(median, winshort, PARTIAL), sma(median, winlong, PARTIAL));
+  return pad(result, Math.max(winshort, winlong) - 1, options);
+}
+
+/**
+ * Calculates the Accelerator Oscillator (AC) of a series, the Awesome Oscillator minus its SMA.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number} winshort - The short SMA window size of the AO (default 5).
+ * @param {number} winlong - The long SMA window size of the AO (default 34).
+ * @param {number} signal - The SMA window size of the AO (default 5).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The AC values.
+ */
+export function accelerator($high, $low, winshort = 5, winlong = 34, signal = 5, options) {
+  [$high, $low] = check("accelerator", options, { $high, $low }, { winshort, winlong, signal });
+  const ao = awesome($high, $low, winshort, winlong, PARTIAL);
+  const result = pointwise((a, b) => a - b, ao, sma(ao, signal, PARTIAL));
+  return pad(result, ao.warmup + signal - 1, options);
+}
+
 /**
  * Calculates the Bollinger Bands Percentage (BBP) of a series.
+ * Collapsed bands give 0.5, the middle of the band.
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for calculating the Bollinger Bands.
  * @param {number} mult - The standard deviation multiplier.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {number[]} - The BBP values.
  */
-export function bbp($close, window, mult) {
-  let band = bb($close, window, mult);
-  return pointwise((p, u, l) => (p - l) / (u - l), $close, band.upper, band.lower);
+export function bbp($close, window, mult, options) {
+  [$close] = check("bbp", options, { $close }, { window });
+  let band = bb($close, window, mult, PARTIAL);
+  let result = pointwise((p, u, l) => (u > l ? (p - l) / (u - l) : degenerate(0.5, p, u, l)), $close, band.upper, band.lower);
+  return pad(result, band.upper.warmup, options);
 }
 
 /**
  * Calculates the Commodity Channel Index (CCI) of a series.
+ * A window without deviation gives 0.
  * @param {number[]} $high - The high values of the series.
  * @param {number[]} $low - The low values of the series.
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for calculating CCI.
  * @param {number} mult - The multiplier value.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {number[]} - The CCI values.
  */
-export function cci($high, $low, $close, window, mult) {
-  let tp = typicalPrice($high, $low, $close);
-  let tpsma = sma(tp, window);
-  let tpmad = madev(tp, window);
-  tpmad[0] = Infinity;
-  return pointwise((a, b, c) => (a - b) / (c * mult), tp, tpsma, tpmad);
+export function cci($high, $low, $close, window, mult, options) {
+  [$high, $low, $close] = check("cci", options, { $high, $low, $close }, { window });
+  let tp = typicalPrice($high, $low, $close, PARTIAL);
+  let tpsma = sma(tp, window, PARTIAL);
+  let tpmad = madev(tp, window, PARTIAL);
+  let result = pointwise((a, b, c) => (c > 0 ? (a - b) / (c * mult) : degenerate(0, a, b, c)), tp, tpsma, tpmad);
+  return pad(result, tpsma.warmup, options);
 }
 
 /**
- * Calculates the Chande's Oscillator (CHO) of a series.
+ * Calculates the Chaikin Oscillator (CHO) of a series, the difference of a fast and a slow EMA
+ * of the Accumulation Distribution Line.
  * @param {number[]} $high - The high values of the series.
  * @param {number[]} $low - The low values of the series.
  * @param {number[]} $close - The close values of the series.
  * @param {number[]} $volume - The volume values of the series.
  * @param {number} winshort - The short window size for calculating EMA.
  * @param {number} winlong - The long window size for calculating EMA.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {number[]} - The CHO values.
  */
-export function cho($high, $low, $close, $volume, winshort, winlong) {
-  let adli = adl($high, $low, $close, $volume);
-  return pointwise((s, l) => s - l, ema(adli, winshort), ema(adli, winlong));
+export function cho($high, $low, $close, $volume, winshort, winlong, options) {
+  [$high, $low, $close, $volume] = check("cho", options, { $high, $low, $close, $volume }, { winshort, winlong });
+  let adli = adl($high, $low, $close, $volume, PARTIAL);
+  let result = pointwise((s, l) => s - l, ema(adli, winshort, undefined, PARTIAL), ema(adli, winlong, undefined, PARTIAL));
+  return pad(result, Math.max(winshort, winlong) - 1, options);
 }
 /**
- * Calculates the Force Index (FI) of a series.
+ * Calculates the Choppiness Index (CHOP) of a series, from 0 (trending) to 100 (sideways):
+ * 100 * log10(sum of true range / (highest high - lowest low)) / log10(window).
+ * A window without range gives 100.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
  * @param {number[]} $close - The close values of the series.
- * @param {number[]} $volume - The volume values of the series.
- * @param {number} window - The window size for calculating EMA.
- * @returns {number[]} - The FI values.
+ * @param {number} window - The window size for calculating CHOP, at least 2 (default 14).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The CHOP values.
  */
-export function fi($close, $volume, window) {
-    let delta = rolling((s) => s[s.length - 1] - s[0], $close, 2);
-    return ema(pointwise((a, b) => a * b, delta, $volume), window);
+export function choppiness($high, $low, $close, window = 14, options) {
+  [$high, $low, $close] = check("choppiness", options, { $high, $low, $close }, { window });
+  if (window < 2) {
+    throw new InvalidWindowError(`choppiness: window must be at least 2, got ${window}`);
+  }
+  const tr = rollingSum(trueRange($high, $low, $close, PARTIAL), window);
+  const highest = rollingMax($high, window);
+  const lowest = rollingMin($low, window);
+  const result = pointwise(
+    (t, h, l) => (h > l ? (100 * Math.log10(t / (h - l))) / Math.log10(window) : degenerate(100, t, h, l)),
+    tr,
+    highest,
+    lowest
+  );
+  return pad(result, window - 1, options);
+}
+
+/**
+ * Calculates the Chaikin Money Flow (CMF) of a series, the money flow volume of `adl`
+ * summed over a window and divided by the volume. A window without volume gives 0.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number[]} $volume - The volume values of the series.
+ * @param {number} window - The window size for calculating CMF (default 20).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The CMF values.
+ */
+export function cmf($high, $low, $close, $volume, window = 20, options) {
+  [$high, $low, $close, $volume] = check("cmf", options, { $high, $low, $close, $volume }, { window });
+  const line = adl($high, $low, $close, $volume, PARTIAL);
+  const flow = line.map((x, i) => (i === 0 ? x : x - line[i - 1]));
+  const flows = rollingSum(flow, window);
+  const volume = rollingSum($volume, window);
+  return pad(pointwise((a, b) => (b > 0 ? a / b : degenerate(0, a, b)), flows, volume), window - 1, options);
+}
+
+/**
+ * Calculates the Chande Momentum Oscillator (CMO) of a series, from -100 to 100:
+ * 100 * (gains - losses) / (gains + losses) over a window. A window without change gives 0.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number} window - The window size for calculating CMO (default 9).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The CMO values.
+ */
+export function cmo($close, window = 9, options) {
+  [$close] = check("cmo", options, { $close }, { window });
+  const change = $close.map((x, i) => (i === 0 ? 0 : x - $close[i - 1]));
+  const up = rollingSum(change.map((d) => Math.max(d, 0)), window);
+  const down = rollingSum(change.map((d) => Math.max(-d, 0)), window);
+  const result = pointwise((u, d) => (u + d > 0 ? (100 * (u - d)) / (u + d) : degenerate(0, u, d)), up, down);
+  return pad(result, window, options);
+}
+
+/**
+ * Calculates the Elder Ray Index of a series, the distance of the high (bull power) and the
+ * low (bear power) from an EMA of the close.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number} window - The window size for the EMA (default 13).
+ * @param {Object} options - The options, { pad, mode, gaps, maType, volume }; maType sets the average (default ema).
+ * @returns {Object} - The bull and bear power values.
+ */
+export function elderRay($high, $low, $close, window = 13, options) {
+  [$high, $low, $close] = check("elderRay", options, { $high, $low, $close }, { window });
+  const ma = smoothWith($close, window, "ema", options);
+  return {
+    bull: pad(pointwise((h, m) => h - m, $high, ma), ma.warmup, options),
+    bear: pad(pointwise((l, m) => l - m, $low, ma), ma.warmup, options),
+  };
+}
+
+/**
+ * Calculates the Ease of Movement (EOM) of a series, the SMA of the midpoint move per unit of
+ * volume over the bar range. Bars without range or volume move 0.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $volume - The volume values of the series.
+ * @param {number} window - The SMA window size (default 14).
+ * @param {number} divisor - The volume scale (default 10000).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The EOM values.
+ */
+export function eom($high, $low, $volume, window = 14, divisor = 10000, options) {
+  [$high, $low, $volume] = check("eom", options, { $high, $low, $volume }, { window });
+  const move = $high.map((h, i) => {
+    if (i === 0 || h === $low[i] || $volume[i] === 0) {
+      return 0;
+    }
+    const distance = (h + $low[i]) / 2 - ($high[i - 1] + $low[i - 1]) / 2;
+    return (distance * (h - $low[i]) * divisor) / $volume[i];
+  });
+  return pad(sma(move, window, PARTIAL), window, options);
+}
+
+/**
+ * Calculates the Force Index (FI) of a series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number[]} $volume - The volume values of the series.
+ * @param {number} window - The window size for calculating EMA.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The FI values.
+ */
+export function fi($close, $volume, window, options) {
+    [$close, $volume] = check("fi", options, { $close, $volume }, { window });
+    let delta = rolling((s) => s[s.length - 1] - s[0], $close, 2);
+    let result = ema(pointwise((a, b) => a * b, delta, $volume), window, undefined, PARTIAL);
+    return pad(result, window, options);
 }
 
 /**
@@ -570,15 +2108,50 @@ export function fi($close, $volume, window) {
  * @param {number} s3 - The third RCMA window size.
  * @param {number} s4 - The fourth RCMA window size.
  * @param {number} sig - The signal window size.
+ * @param {Object} options - The options, { pad, mode, gaps, maType, volume }; maType sets the ROC and signal averages (default sma).
  * @returns {Object} - The KST line and signal values.
  */
-export function kst($close, w1, w2, w3, w4, s1, s2, s3, s4, sig) {
-    let rcma1 = sma(roc($close, w1), s1);
-    let rcma2 = sma(roc($close, w2), s2);
-    let rcma3 = sma(roc($close, w3), s3);
-    let rcma4 = sma(roc($close, w4), s4);
-    let line = pointwise((a, b, c, d) => a + b * 2 + c * 3 + d * 4, rcma1, rcma2, rcma3, rcma4);
-    return { line: line, signal: sma(line, sig) };
+export function kst($close, w1, w2, w3, w4, s1, s2, s3, s4, sig, options) {
+    [$close] = check("kst", options, { $close }, { w1, w2, w3, w4, s1, s2, s3, s4, sig });
+    let rcma = [[w1, s1], [w2, s2], [w3, s3], [w4, s4]].map(([w, s]) => {
+        return smoothWith(roc($close, w, PARTIAL), s, "sma", options);
+    });
+    let line = pointwise((a, b, c, d) => a + b * 2 + c * 3 + d * 4, ...rcma);
+    let warmup = Math.max(...rcma.map((r, k) => [w1, w2, w3, w4][k] + r.warmup));
+    let signal = smoothWith(line, sig, "sma", options);
+    return { line: pad(line, warmup, options), signal: pad(signal, warmup + signal.warmup, options) };
+}
+
+/**
+ * Smooths a line from its first finite value on, with the average chosen by `options.maType`,
+ * so the leading gaps of the line, such as the warm-up of its inputs, do not reach the average.
+ * @param {number[]} line - The line, with leading NaN.
+ * @param {number} window - The window size.
+ * @param {string} fallback - The average used when no maType is given.
+ * @param {Object} options - The options of the composite call, { maType, volume }.
+ * @returns {number[]} - The averages, NaN over the leading gaps, with the warm-up of the
+ * average after them as `warmup`.
+ */
+function smoothFrom(line, window, fallback, options) {
+  const lead = leadingGaps(line);
+  const volume = options && options.volume && options.volume.slice(lead);
+  const average = smoothWith(line.slice(lead), window, fallback, { ...options, volume });
+  const result = new Array(lead).fill(NaN).concat(average);
+  result.warmup = average.warmup;
+  return result;
+}
+
+/**
+ * Smooths an oscillator line into its signal line with `options.signalMaType`, then `options.maType`,
+ * then ema. The average starts at the first finite value of the line, so its warm-up counts from there.
+ * @param {number[]} line - The oscillator line.
+ * @param {number} winsig - The signal window size.
+ * @param {Object} options - The options of the oscillator call, { maType, signalMaType, volume }.
+ * @returns {number[]} - The partial-window signal values.
+ */
+function signalLine(line, winsig, options) {
+  const maType = (options && options.signalMaType) || (options && options.maType);
+  return smoothFrom(line, winsig, "ema", { ...options, maType });
 }
 
 /**
@@ -587,14 +2160,43 @@ export function kst($close, w1, w2, w3, w4, s1, s2, s3, s4, sig) {
  * @param {number} winshort - The short EMA window size.
  * @param {number} winlong - The long EMA window size.
  * @param {number} winsig - The signal EMA window size.
+ * @param {Object} options - The options, { pad, mode, gaps, maType, signalMaType, volume }; maType sets
+ * the short and long averages (default ema), signalMaType the signal average (default maType).
  * @returns {Object} - The MACD line, signal line, and histogram values.
  */
-export function macd($close, winshort, winlong, winsig) {
-    const line = pointwise((a, b) => a - b, ema($close, winshort), ema($close, winlong));
-    const signal = ema(line, winsig);
+export function macd($close, winshort, winlong, winsig, options) {
+    [$close] = check("macd", options, { $close }, { winshort, winlong, winsig });
+    const short = smoothWith($close, winshort, "ema", options);
+    const long = smoothWith($close, winlong, "ema", options);
+    const line = pointwise((a, b) => a - b, short, long);
+    const signal = signalLine(line, winsig, options);
     const hist = pointwise((a, b) => a - b, line, signal);
-    return { line: line, signal: signal, hist: hist };
+    const warmup = Math.max(short.warmup, long.warmup);
+    return {
+        line: pad(line, warmup, options),
+        signal: pad(signal, warmup + signal.warmup, options),
+        hist: pad(hist, warmup + signal.warmup, options),
+    };
+}
+/**
+ * Calculates the Mass Index of a series, the sum over a window of the ratio of the EMA of the
+ * bar range to its double EMA. A flat range gives a ratio of 1.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number} window - The EMA window size (default 9).
+ * @param {number} total - The window size of the sum (default 25).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The Mass Index values.
+ */
+export function massIndex($high, $low, window = 9, total = 25, options) {
+  [$high, $low] = check("massIndex", options, { $high, $low }, { window, total });
+  const single = ema(pointwise((h, l) => h - l, $high, $low), window, undefined, PARTIAL);
+  const double = ema(single, window, undefined, PARTIAL);
+  const ratio = pointwise((a, b) => (b > 0 ? a / b : degenerate(1, a, b)), single, double);
+  const result = rollingSum(ratio, total);
+  return pad(result, 2 * (window - 1) + total - 1, options);
 }
+
 /**
  * Calculates the Money Flow Index (MFI) of a series.
  * @param {number[]} $high - The high values of the series.
@@ -602,19 +2204,21 @@ export function macd($close, winshort, winlong, winsig) {
  * @param {number[]} $close - The close values of the series.
  * @param {number[]} $volume - The volume values of the series.
  * @param {number} window - The window size for calculating MFI.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {number[]} - The MFI values.
  */
-export function mfi($high, $low, $close, $volume, window) {
+export function mfi($high, $low, $close, $volume, window, options) {
+    [$high, $low, $close, $volume] = check("mfi", options, { $high, $low, $close, $volume }, { window });
     let pmf = [0], nmf = [0];
-    let tp = typicalPrice($high, $low, $close);
+    let tp = typicalPrice($high, $low, $close, PARTIAL);
     for (let i = 1, len = $close.length; i < len; i++) {
         let diff = tp[i] - tp[i - 1];
-        pmf.push(diff >= 0 ? tp[i] * $volume[i] : 0);
-        nmf.push(diff < 0 ? tp[i] * $volume[i] : 0);
+        pmf.push(diff >= 0 ? tp[i] * $volume[i] : degenerate(0, diff));
+        nmf.push(diff < 0 ? tp[i] * $volume[i] : degenerate(0, diff));
     }
-    pmf = rolling((s) => s.reduce((sum, x) => sum + x, 0), pmf, window);
-    nmf = rolling((s) => s.reduce((sum, x) => sum + x, 0), nmf, window);
-    return pointwise((a, b) => 100 - 100 / (1 + a / b), pmf, nmf);
+    pmf = rollingSum(pmf, window);
+    nmf = rollingSum(nmf, window);
+    return pad(pointwise(strengthIndex, pmf, nmf), window, options);
 }
 
 /**
@@ -622,109 +2226,272 @@ export function mfi($high, $low, $close, $volume, window) {
  * @param {number[]} $close - The close values of the series.
  * @param {number[]} $volume - The volume values of the series.
  * @param {number} signal - The signal window size for calculating the moving average of OBV.
+ * @param {Object} options - The options, { pad, mode, gaps, maType }; maType sets the signal average
+ * (default sma), and vwma weighs it by $volume.
  * @returns {Object} - The OBV line and signal values.
  */
-export function obv($close, $volume, signal) {
-    let obv = [0];
+export function obv($close, $volume, signal, options) {
+    [$close, $volume] = check("obv", options, { $close, $volume }, { signal });
+    let obv = $close.length ? [0] : [];
     for (let i = 1, len = $close.length; i < len; i++) {
         obv.push(obv[i - 1] + Math.sign($close[i] - $close[i - 1]) * $volume[i]);
     }
-    return { line: obv, signal: sma(obv, signal) };
+    const average = smoothWith(obv, signal, "sma", { ...options, volume: $volume });
+    return { line: pad(obv, 0, options), signal: pad(average, average.warmup, options) };
+}
+
+/**
+ * Calculates a percentage oscillator: the difference of a short and a long average as a
+ * percentage of the long one, with a signal line and histogram.
+ * @param {number[]} series - The input series.
+ * @param {number} winshort - The short window size.
+ * @param {number} winlong - The long window size.
+ * @param {number} winsig - The signal window size.
+ * @param {Object} options - The options, { pad, maType, signalMaType, volume }.
+ * @returns {Object} - The line, signal and histogram values.
+ */
+function percentageOscillator(series, winshort, winlong, winsig, options) {
+  const short = smoothWith(series, winshort, "ema", options);
+  const long = smoothWith(series, winlong, "ema", options);
+  const line = pointwise((a, b) => (b !== 0 ? (100 * (a - b)) / b : 0), short, long);
+  const signal = signalLine(line, winsig, options);
+  const hist = pointwise((a, b) => a - b, line, signal);
+  const warmup = Math.max(short.warmup, long.warmup);
+  return {
+    line: pad(line, warmup, options),
+    signal: pad(signal, warmup + signal.warmup, options),
+    hist: pad(hist, warmup + signal.warmup, options),
+  };
+}
+
+/**
+ * Calculates the Percentage Price Oscillator (PPO) of a series, the MACD as a percentage of the long EMA.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number} winshort - The short EMA window size (default 12).
+ * @param {number} winlong - The long EMA window size (default 26).
+ * @param {number} winsig - The signal EMA window size (default 9).
+ * @param {Object} options - The options, { pad, mode, gaps, maType, signalMaType, volume }, as in macd().
+ * @returns {Object} - The PPO line, signal line, and histogram values.
+ */
+export function ppo($close, winshort = 12, winlong = 26, winsig = 9, options) {
+  [$close] = check("ppo", options, { $close }, { winshort, winlong, winsig });
+  return percentageOscillator($close, winshort, winlong, winsig, options);
+}
+
+/**
+ * Calculates the Percentage Volume Oscillator (PVO) of a series, the PPO of the volume.
+ * @param {number[]} $volume - The volume values of the series.
+ * @param {number} winshort - The short EMA window size (default 12).
+ * @param {number} winlong - The long EMA window size (default 26).
+ * @param {number} winsig - The signal EMA window size (default 9).
+ * @param {Object} options - The options, { pad, mode, gaps, maType, signalMaType }, as in macd().
+ * @returns {Object} - The PVO line, signal line, and histogram values.
+ */
+export function pvo($volume, winshort = 12, winlong = 26, winsig = 9, options) {
+  [$volume] = check("pvo", options, { $volume }, { winshort, winlong, winsig });
+  return percentageOscillator($volume, winshort, winlong, winsig, { ...options, volume: $volume });
 }
 
 /**
  * Calculates the Rate of Change (ROC) of a series.
+ * The partial values measure the change from the first close.
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for calculating ROC.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {number[]} - The ROC values.
  */
-export function roc($close, window) {
-    let result = new Array(window).fill(NaN);
-    for (let i = window, len = $close.length; i < len; i++) {
-        result.push(100 * ($close[i] - $close[i - window]) / $close[i - window]);
+export function roc($close, window, options) {
+    [$close] = check("roc", options, { $close }, { window });
+    let result = [];
+    for (let i = 0, len = $close.length; i < len; i++) {
+        let base = $close[Math.max(i - window, 0)];
+        result.push(100 * ($close[i] - base) / base);
     }
-    return result;
+    return pad(result, window, options);
+}
+/**
+ * Turns average gains and losses into a 0-100 strength index: 100 without losses,
+ * 50 without any movement.
+ * @param {number} gain - The average gain.
+ * @param {number} loss - The average loss.
+ * @returns {number} - The strength index.
+ */
+function strengthIndex(gain, loss) {
+    if (loss === 0) {
+        return degenerate(gain === 0 ? 50 : 100, gain);
+    }
+    return 100 - 100 / (1 + gain / loss);
 }
+
 /**
  * Calculates the Relative Strength Index (RSI) of a series.
+ * Without `maType` the gains and losses are smoothed with ema(2 * window - 1), which has
+ * Wilder's weight; with it they are averaged from the first change on, so `maType: "rma"`
+ * matches TradingView and TA-Lib. The changes start at the first finite close, so the
+ * warm-up of another indicator is skipped.
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for calculating RSI.
+ * @param {Object} options - The options, { pad, mode, gaps, maType, volume }.
  * @returns {number[]} - The RSI values.
  */
-export function rsi($close, window) {
-    let gains = [0], loss = [1e-14];
+export function rsi($close, window, options) {
+    [$close] = check("rsi", options, { $close }, { window });
+    const first = leadingGaps($close);
+    let gains = [first ? NaN : 0], loss = [first ? NaN : 0];
     for (let i = 1, len = $close.length; i < len; i++) {
         let diff = $close[i] - $close[i - 1];
-        gains.push(diff >= 0 ? diff : 0);
-        loss.push(diff < 0 ? -diff : 0);
+        gains.push(i <= first ? NaN : diff >= 0 ? diff : degenerate(0, diff));
+        loss.push(i <= first ? NaN : diff < 0 ? -diff : degenerate(0, diff));
+    }
+    if (options && options.maType) {
+        const volume = options.volume && options.volume.slice(1);
+        const average = (s) => smoothWith(s.slice(1), window, undefined, { ...options, volume });
+        const gain = average(gains), lost = average(loss);
+        const result = [first ? NaN : 50].concat(pointwise(strengthIndex, gain, lost));
+        return pad(result.slice(0, $close.length), gain.warmup + 1, options);
     }
-    return pointwise((a, b) => 100 - 100 / (1 + a / b), ema(gains, 2 * window - 1), ema(loss, 2 * window - 1));
+    if (first < $close.length) {
+        gains[first] = loss[first] = 0;
+    }
+    let result = pointwise(
+        strengthIndex,
+        ema(gains, 2 * window - 1, undefined, PARTIAL),
+        ema(loss, 2 * window - 1, undefined, PARTIAL)
+    );
+    return pad(result.slice(0, $close.length), first + 2 * window - 1, options);
 }
 
 /**
  * Calculates the Stochastic Oscillator of a series.
+ * A window without range gives 50. The warm-up counts the leading gaps of the inputs.
  * @param {number[]} $high - The high values of the series.
  * @param {number[]} $low - The low values of the series.
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for calculating the highest and lowest values.
  * @param {number} signal - The signal window size for calculating the moving average of the Stochastic Oscillator.
  * @param {number} smooth - The smoothing factor for the Stochastic Oscillator.
+ * @param {Object} options - The options, { pad, mode, gaps, maType, volume }; maType sets the smoothing and signal averages (default sma).
  * @returns {Object} - The Stochastic Oscillator line and signal values.
  */
-export function stoch($high, $low, $close, window, signal, smooth) {
-    let lowest = rolling((s) => Math.min(...s), $low, window);
-    let highest = rolling((s) => Math.max(...s), $high, window);
-    let K = pointwise((h, l, c) => 100 * (c - l) / (h - l), highest, lowest, $close);
+export function stoch($high, $low, $close, window, signal, smooth, options) {
+    [$high, $low, $close] = check("stoch", options, { $high, $low, $close }, { window, signal, smooth });
+    let lowest = rollingMin($low, window);
+    let highest = rollingMax($high, window);
+    let K = pointwise((h, l, c) => (h > l ? 100 * (c - l) / (h - l) : degenerate(50, h, l, c)), highest, lowest, $close);
+    let warmup = Math.max(leadingGaps($high), leadingGaps($low), leadingGaps($close)) + window - 1;
     if (smooth > 1) {
-        K = sma(K, smooth);
+        K = smoothFrom(K, smooth, "sma", options);
+        warmup += K.warmup;
     }
-    return { line: K, signal: sma(K, signal) };
+    let D = smoothFrom(K, signal, "sma", options);
+    return { line: pad(K, warmup, options), signal: pad(D, warmup + D.warmup, options) };
 }
 
 /**
  * Calculates the Stochastic RSI (StochRSI) of a series.
+ * A window without RSI range gives 0.5.
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for calculating RSI.
  * @param {number} signal - The signal window size for calculating the moving average of StochRSI.
  * @param {number} smooth - The smoothing factor for StochRSI.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {Object} - The StochRSI line and signal values.
  */
-export function stochRsi($close, window, signal, smooth) {
-    let _rsi = rsi($close, window);
-    let extreme = rolling((s) => {
-        return { low: Math.min(...s), high: Math.max(...s) };
-    }, _rsi, window);
-    let K = pointwise((rsi, e) => (rsi - e.low) / (e.high - e.low), _rsi, extreme);
-    K[0] = 0;
+export function stochRsi($close, window, signal, smooth, options) {
+    [$close] = check("stochRsi", options, { $close }, { window, signal, smooth });
+    let _rsi = rsi($close, window, PARTIAL);
+    let low = rollingMin(_rsi, window);
+    let high = rollingMax(_rsi, window);
+    let K = pointwise((rsi, l, h) => (h > l ? (rsi - l) / (h - l) : degenerate(0.5, rsi, l, h)), _rsi, low, high);
+    let warmup = _rsi.warmup + window - 1;
     if (smooth > 1) {
-        K = sma(K, smooth);
+        K = sma(K, smooth, PARTIAL);
+        warmup += smooth - 1;
     }
-    return { line: K, signal: sma(K, signal) };
+    return { line: pad(K, warmup, options), signal: pad(sma(K, signal, PARTIAL), warmup + signal - 1, options) };
+}
+/**
+ * Calculates the TRIX of a series, the one-bar percentage change of the triple EMA, with an EMA signal line.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number} window - The window size of each EMA (default 15).
+ * @param {number} signal - The signal EMA window size (default 9).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The TRIX line and signal values.
+ */
+export function trix($close, window = 15, signal = 9, options) {
+  [$close] = check("trix", options, { $close }, { window, signal });
+  const triple = ema(ema(ema($close, window, undefined, PARTIAL), window, undefined, PARTIAL), window, undefined, PARTIAL);
+  const line = triple.map((x, i) => (i === 0 ? 0 : (100 * (x - triple[i - 1])) / triple[i - 1]));
+  const warmup = 3 * (window - 1) + 1;
+  return { line: pad(line, warmup, options), signal: pad(ema(line, signal, undefined, PARTIAL), warmup + signal - 1, options) };
+}
+
+/**
+ * Calculates the Ultimate Oscillator (UO) of a series, the 4:2:1 weighted average of the
+ * buying pressure over the true range across three windows. A window without range gives 50.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number} w1 - The short window size (default 7).
+ * @param {number} w2 - The medium window size (default 14).
+ * @param {number} w3 - The long window size (default 28).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The UO values.
+ */
+export function ultimate($high, $low, $close, w1 = 7, w2 = 14, w3 = 28, options) {
+  [$high, $low, $close] = check("ultimate", options, { $high, $low, $close }, { w1, w2, w3 });
+  const floor = $low.map((l, i) => (i === 0 ? l : Math.min(l, $close[i - 1])));
+  const bp = pointwise((c, f) => c - f, $close, floor);
+  const tr = trueRange($high, $low, $close, PARTIAL);
+  const average = (w) => pointwise(
+    (b, t) => (t > 0 ? b / t : degenerate(0.5, b, t)),
+    rollingSum(bp, w),
+    rollingSum(tr, w)
+  );
+  const result = pointwise((a, b, c) => (100 * (4 * a + 2 * b + c)) / 7, average(w1), average(w2), average(w3));
+  return pad(result, Math.max(w1, w2, w3), options);
+}
+
+/**
+ * Calculates the Vertical Horizontal Filter (VHF) of a series, the close range over a window
+ * divided by the sum of the absolute changes. A window without change gives 0.
+ * @param {number[]} $close - The close values of the series.
+ * @param {number} window - The window size for calculating VHF (default 28).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The VHF values.
+ */
+export function vhf($close, window = 28, options) {
+  [$close] = check("vhf", options, { $close }, { window });
+  const path = rollingSum($close.map((x, i) => (i === 0 ? 0 : Math.abs(x - $close[i - 1]))), window);
+  const range = pointwise((h, l) => h - l, rollingMax($close, window + 1), rollingMin($close, window + 1));
+  const result = pointwise((r, p) => (p > 0 ? r / p : degenerate(0, r, p)), range, path);
+  return pad(result, window, options);
 }
+
 /**
- * Calculates the Vertical Horizontal Filter (VI) of a series.
+ * Calculates the Vortex Indicator (VI) of a series.
+ * A window without true range gives 0 for both lines.
  * @param {number[]} $high - The high values of the series.
  * @param {number[]} $low - The low values of the series.
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for calculating VI.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {Object} - The VI plus and minus values.
  */
-export function vi($high, $low, $close, window) {
+export function vi($high, $low, $close, window, options) {
+    [$high, $low, $close] = check("vi", options, { $high, $low, $close }, { window });
     let pv = [($high[0] - $low[0]) / 2], nv = [pv[0]];
     for (let i = 1, len = $high.length; i < len; i++) {
         pv.push(Math.abs($high[i] - $low[i - 1]));
         nv.push(Math.abs($high[i - 1] - $low[i]));
     }
-    let apv = rolling((s) => s.reduce((sum, x) => {
-        return sum + x;
-    }, 0), pv, window);
-    let anv = rolling((s) => s.reduce((sum, x) => {
-        return sum + x;
-    }, 0), nv, window);
-    let atr = rolling((s) => s.reduce((sum, x) => {
-        return sum + x;
-    }, 0), trueRange($high, $low, $close), window);
-    return { plus: pointwise((a, b) => a / b, apv, atr), minus: pointwise((a, b) => a / b, anv, atr) };
+    let apv = rollingSum(pv, window);
+    let anv = rollingSum(nv, window);
+    let atr = rollingSum(trueRange($high, $low, $close, PARTIAL), window);
+    return {
+        plus: pad(pointwise((a, b) => (b > 0 ? a / b : degenerate(0, a, b)), apv, atr), window, options),
+        minus: pad(pointwise((a, b) => (b > 0 ? a / b : degenerate(0, a, b)), anv, atr), window, options),
+    };
 }
 
 /**
@@ -733,10 +2500,13 @@ export function vi($high, $low, $close, window) {
  * @param {number[]} $low - The low values of the series.
  * @param {number[]} $close - The close values of the series.
  * @param {number} window - The window size for calculating Williams %R.
+ * @param {Object} options - The options, { pad, mode, gaps }.
  * @returns {number[]} - The Williams %R values.
  */
-export function williams($high, $low, $close, window) {
-    return pointwise((x) => x - 100, stoch($high, $low, $close, window, 1, 1).line);
+export function williams($high, $low, $close, window, options) {
+    [$high, $low, $close] = check("williams", options, { $high, $low, $close }, { window });
+    let K = stoch($high, $low, $close, window, 1, 1, PARTIAL).line;
+    return pad(pointwise((x) => x - 100, K), K.warmup, options);
 }
 
 /**
@@ -758,6 +2528,230 @@ export function FibonacciRetracement(pivot1, pivot2) {
     return obj;
 }
 
+/**
+ * Default levels of the Fibonacci tools, as ratios of the swing, and bar offsets for the time zones.
+ */
+const FIB_LEVELS = {
+  retracement: [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1],
+  extension: [1.272, 1.414, 1.618, 2, 2.618],
+  projection: [0.618, 1, 1.272, 1.618, 2, 2.618],
+  timeZones: [0, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89],
+  fan: [0.382, 0.5, 0.618],
+  arcs: [0.382, 0.5, 0.618],
+};
+
+/**
+ * Reads a Fibonacci anchor point: a price, or a { index, price } point such as a zigzag swing.
+ * @param {string} fn - The calling function.
+ * @param {string} name - The point name.
+ * @param {number|Object} point - The point.
+ * @param {boolean} timed - Whether the point needs a bar index.
+ * @returns {Object} - The point { index, price }.
+ */
+function fibPoint(fn, name, point, timed) {
+  const p = typeof point === "number" ? { price: point } : point || {};
+  if (typeof p.price !== "number" || !isFinite(p.price)) {
+    throw new ValidationError(`${fn}: ${name} must be a price or a { index, price } point`);
+  }
+  if (timed && !Number.isFinite(p.index)) {
+    throw new ValidationError(`${fn}: ${name} needs a bar index`);
+  }
+  return p;
+}
+
+/**
+ * Reads a custom level set, or the default one of a Fibonacci tool.
+ * @param {string} fn - The calling function.
+ * @param {string} tool - The tool name in FIB_LEVELS.
+ * @param {Object} options - The options, { levels }.
+ * @returns {number[]} - The levels.
+ */
+function fibLevels(fn, tool, options) {
+  const levels = (options && options.levels) || FIB_LEVELS[tool];
+  if (!Array.isArray(levels) || levels.some((x) => typeof x !== "number" || !isFinite(x))) {
+    throw new ValidationError(`${fn}: levels must be an array of numbers`);
+  }
+  return levels;
+}
+
+/**
+ * Calculates the Fibonacci retracement levels of a leg from `start` to `end`, measured back
+ * from the end: level 0 is the end of the leg and level 1 its start, so an up-leg retraces down
+ * and a down-leg retraces up.
+ * @param {number|Object} start - The start of the leg, a price or a { index, price } point.
+ * @param {number|Object} end - The end of the leg.
+ * @param {Object} options - The options, { levels } (default 0, 0.236, 0.382, 0.5, 0.618, 0.786, 1).
+ * @returns {Object} - The leg direction ("up" or "down") and the levels, each { ratio, price }.
+ */
+export function fibRetracement(start, end, options) {
+  const a = fibPoint("fibRetracement", "start", start).price;
+  const b = fibPoint("fibRetracement", "end", end).price;
+  return {
+    direction: b >= a ? "up" : "down",
+    levels: fibLevels("fibRetracement", "retracement", options).map((ratio) => ({ ratio, price: b - (b - a) * ratio })),
+  };
+}
+
+/**
+ * Calculates the Fibonacci extension levels of a leg from `start` to `end`, measured from its
+ * start in the direction of the leg: level 1 is the end of the leg.
+ * @param {number|Object} start - The start of the leg, a price or a { index, price } point.
+ * @param {number|Object} end - The end of the leg.
+ * @param {Object} options - The options, { levels } (default 1.272, 1.414, 1.618, 2, 2.618).
+ * @returns {Object} - The leg direction and the levels, each { ratio, price }.
+ */
+export function fibExtension(start, end, options) {
+  const a = fibPoint("fibExtension", "start", start).price;
+  const b = fibPoint("fibExtension", "end", end).price;
+  return {
+    direction: b >= a ? "up" : "down",
+    levels: fibLevels("fibExtension", "extension", options).map((ratio) => ({ ratio, price: a + (b - a) * ratio })),
+  };
+}
+
+/**
+ * Projects an ABC move: the A-B leg, scaled by each level, is measured from the end of the
+ * B-C correction. Level 1 gives C-D equal to A-B.
+ * @param {number|Object} a - The start of the first leg, a price or a { index, price } point.
+ * @param {number|Object} b - The end of the first leg.
+ * @param {number|Object} c - The end of the correction.
+ * @param {Object} options - The options, { levels } (default 0.618, 1, 1.272, 1.618, 2, 2.618).
+ * @returns {Object} - The direction of the A-B leg and the levels, each { ratio, price }.
+ */
+export function fibProjection(a, b, c, options) {
+  const pa = fibPoint("fibProjection", "a", a).price;
+  const pb = fibPoint("fibProjection", "b", b).price;
+  const pc = fibPoint("fibProjection", "c", c).price;
+  return {
+    direction: pb >= pa ? "up" : "down",
+    levels: fibLevels("fibProjection", "projection", options).map((ratio) => ({ ratio, price: pc + (pb - pa) * ratio })),
+  };
+}
+
+/**
+ * Calculates the Fibonacci time zones from a bar: the bars a Fibonacci number of units after it.
+ * The unit is the length of the leg from `start` to `end`, or one bar without an end.
+ * @param {number|Object} start - The first bar, an index or a { index } point.
+ * @param {number|Object} end - The end of the unit leg (optional).
+ * @param {Object} options - The options, { levels } (default 0, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89).
+ * @returns {Object[]} - The time zones, each { ratio, index }.
+ */
+export function fibTimeZones(start, end, options) {
+  const at = (name, point) => {
+    const index = typeof point === "number" ? point : point && point.index;
+    if (!Number.isInteger(index)) {
+      throw new ValidationError(`fibTimeZones: ${name} must be a bar index or a { index } point`);
+    }
+    return index;
+  };
+  const first = at("start", start);
+  const unit = end === undefined || end === null ? 1 : at("end", end) - first;
+  if (unit <= 0) {
+    throw new ValidationError("fibTimeZones: end must come after start");
+  }
+  return fibLevels("fibTimeZones", "timeZones", options).map((ratio) => ({ ratio, index: first + Math.round(ratio * unit) }));
+}
+
+/**
+ * Calculates the Fibonacci fan of a leg: lines from its start through the retracement levels
+ * of the leg at its end bar.
+ * @param {Object} start - The start of the leg, a { index, price } point.
+ * @param {Object} end - The end of the leg, a { index, price } point.
+ * @param {Object} options - The options, { levels } (default 0.382, 0.5, 0.618).
+ * @returns {Object} - The leg direction and the lines, each { ratio, slope, intercept } by bar index.
+ */
+export function fibFan(start, end, options) {
+  const a = fibPoint("fibFan", "start", start, true);
+  const b = fibPoint("fibFan", "end", end, true);
+  if (b.index === a.index) {
+    throw new ValidationError("fibFan: start and end must be on different bars");
+  }
+  return {
+    direction: b.price >= a.price ? "up" : "down",
+    lines: fibLevels("fibFan", "fan", options).map((ratio) => {
+      const slope = (b.price - (b.price - a.price) * ratio - a.price) / (b.index - a.index);
+      return { ratio, slope, intercept: a.price - slope * a.index };
+    }),
+  };
+}
+
+/**
+ * Calculates the Fibonacci arcs of a leg: half circles around its end, on the retracement side,
+ * with radii of each level times the leg length. Bars and prices are made comparable by `scale`,
+ * the price of one bar, which defaults to the leg's price change per bar. An arc that spans more bars
+ * than `maxPoints` is sampled at an even step of bars, so a small scale cannot run away.
+ * @param {Object} start - The start of the leg, a { index, price } point.
+ * @param {Object} end - The end of the leg, a { index, price } point.
+ * @param {Object} options - The options, { levels, scale, maxPoints } (default levels 0.382, 0.5, 0.618,
+ * and at most 500 points per arc).
+ * @returns {Object} - The leg direction, the scale and the arcs, each { ratio, radius, points } with the
+ * radius in price and the arc price at each bar from the end on, or at each sampled bar, as { index, price }.
+ */
+export function fibArcs(start, end, options = {}) {
+  const a = fibPoint("fibArcs", "start", start, true);
+  const b = fibPoint("fibArcs", "end", end, true);
+  const bars = Math.abs(b.index - a.index);
+  const { maxPoints = 500 } = options;
+  checkNumber("fibArcs", "maxPoints", maxPoints, (x) => Number.isInteger(x) && x >= 1, "an integer of at least 1");
+  if (options.scale !== undefined) {
+    checkNumber("fibArcs", "scale", options.scale, (x) => x > 0, "positive");
+  }
+  const scale = options.scale !== undefined ? options.scale : bars ? Math.abs(b.price - a.price) / bars : 0;
+  if (!(scale > 0)) {
+    throw new ValidationError("fibArcs: the leg needs a price change over several bars, or a positive scale");
+  }
+  const length = Math.hypot(bars * scale, b.price - a.price);
+  const side = b.price >= a.price ? -1 : 1;
+  return {
+    direction: side < 0 ? "up" : "down",
+    scale,
+    arcs: fibLevels("fibArcs", "arcs", options).map((ratio) => {
+      const radius = length * ratio;
+      const points = [];
+      const step = Math.max(1, Math.ceil((Math.floor(radius / scale) + 1) / maxPoints));
+      for (let k = 0; k * scale <= radius; k += step) {
+        points.push({ index: b.index + k, price: b.price + side * Math.sqrt(Math.max(0, radius * radius - k * k * scale * scale)) });
+      }
+      return { ratio, radius, points };
+    }),
+  };
+}
+
+/**
+ * Draws the Fibonacci tools on the latest zigzag swings of a candle series: retracement, extension,
+ * fan, arcs and time zones on the last leg, and the projection of the last three swings as A, B and C.
+ * @param {Object[]|Object} candles - Array of candle objects, or an object of columns.
+ * @param {Object} options - The options.
+ * @param {number} options.percent - The zigzag percentage of the swings (default 5).
+ * @param {Object} options.levels - Custom levels by tool, { retracement, extension, projection, timeZones, fan, arcs }.
+ * @param {number} options.scale - The price of one bar for the arcs.
+ * @param {number} options.maxPoints - The most points per arc (default 500).
+ * @returns {Object} - The swings used, { a, b, c } as { index, price, type } with the last leg from b to c,
+ * and each tool's result; a and the projection are null with only two swings.
+ */
+export function fibonacci(candles, options = {}) {
+  const { percent = 5, levels = {}, scale, maxPoints } = options;
+  const raw = toColumns(candles);
+  if (!raw.high || !raw.low) {
+    throw new ValidationError("fibonacci needs the \"high\" and \"low\" columns");
+  }
+  const [high, low] = check("fibonacci", options, { high: raw.high, low: raw.low });
+  const swings = zigzagSwings({ high, low }, percent);
+  if (swings.length < 2) {
+    throw new InsufficientDataError(`fibonacci: found ${swings.length} zigzag swings of ${percent}%, needs at least 2`);
+  }
+  const [a, b, c] = swings.length > 2 ? swings.slice(-3) : [null].concat(swings);
+  return {
+    swings: { a, b, c },
+    retracement: fibRetracement(b, c, { levels: levels.retracement }),
+    extension: fibExtension(b, c, { levels: levels.extension }),
+    projection: a ? fibProjection(a, b, c, { levels: levels.projection }) : null,
+    timeZones: fibTimeZones(b, c, { levels: levels.timeZones }),
+    fan: fibFan(b, c, { levels: levels.fan }),
+    arcs: fibArcs(b, c, { levels: levels.arcs, scale, maxPoints }),
+  };
+}
+
 /**
  * Calculates the regression line value for a given x-coordinate using two points.
  * @param {number} x - The x-coordinate.
@@ -766,9 +2760,3981 @@ export function FibonacciRetracement(pivot1, pivot2) {
  * @returns {number} - The y-coordinate on the regression line.
  */
 export function regression(x, point1, point2) {
+    checkNumber("regression", "x", x, () => true, "a number");
+    [point1, point2].forEach((point, k) => {
+        if (!Array.isArray(point) || point.length !== 2 || !point.every((v) => typeof v === "number" && isFinite(v))) {
+            throw new ValidationError(`regression: point${k + 1} must be an [x, y] pair of numbers`);
+        }
+    });
+    if (point1[0] === point2[0]) {
+        throw new ValidationError("regression: point1 and point2 must have different x values");
+    }
     // find slope and y-intercept
     const slope = (point2[1] - point1[1]) / (point2[0] - point1[0]);
     const yIntercept = point1[1] - slope * point1[0];
     // the final equation will be: y = slope*x + yIntercept
     return slope * x + yIntercept;
-}
\ No newline at end of file
+}
+
+
+/**
+ * Applies the warm-up policy to a single streamed value.
+ * A stream cannot drop bars it has already emitted, so "trim" pads like "nan".
+ * @param {*} value - The partial-window value.
+ * @param {number} index - The bar index of the value.
+ * @param {number} warmup - The number of leading warm-up bars.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {*} - The padded value.
+ */
+function padValue(value, index, warmup, options) {
+  const mode = padMode(options);
+  if (index >= warmup || mode === "partial") {
+    return value;
+  }
+  return mode === "null" ? null : NaN;
+}
+
+/**
+ * Wraps a pure step function into a streaming indicator.
+ * `next` appends a new bar, `update` revises the still-forming last bar. The stream keeps
+ * the index of its first finite value, like leadingGaps(), as `first` (-1 before it).
+ * @param {Object} init - The initial state.
+ * @param {function} step - Maps (state, input) to { state, value } without mutating the state.
+ * @param {number|function} warmup - The number of leading warm-up bars, or a function of `first`
+ * giving it for indicators that start at the first finite value.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming indicator with next and update methods.
+ */
+function createStream(name, init, step, warmup = 0, options) {
+  let state = init;
+  let pending = null;
+  let index = -1;
+  let first = -1;
+  let started = false;
+  let last;
+  let current;
+  padMode(options);
+  const value = () => {
+    if (first === index && !Number.isFinite(current)) {
+      first = -1;
+    }
+    if (first < 0 && Number.isFinite(current)) {
+      first = index;
+    }
+    pending = step(state, current);
+    const bars = typeof warmup === "function" ? (first < 0 ? Infinity : warmup(first)) : warmup;
+    return padValue(pending.value, index, bars, options);
+  };
+  return {
+    next(input) {
+      started = checkInput(name, options, input, index + 1, started) || started;
+      if (pending) {
+        state = pending.state;
+        last = current;
+      }
+      index++;
+      current = fillInput(options, input, last);
+      return value();
+    },
+    update(input) {
+      if (!pending) {
+        return this.next(input);
+      }
+      checkInput(name, options, input, index, started);
+      current = fillInput(options, input, last);
+      return value();
+    },
+    get index() {
+      return index;
+    },
+    get first() {
+      return first;
+    },
+  };
+}
+
+/**
+ * Rolls a window sum one bar forward in a stream, like rollingSum(): gaps inside the window
+ * are counted so the sum is NaN while one is held and recovers once it leaves, and the sum is
+ * recomputed from the window once per window.
+ * @param {Array} ring - The last window + 1 inputs, with the new one at index % (window + 1).
+ * @param {number} index - The bar index of the new input.
+ * @param {number} window - The window size.
+ * @param {Object} state - The previous { sum, gaps }.
+ * @returns {Object} - The new { sum, gaps }, with sum NaN while a gap is in the window.
+ */
+function streamSum(ring, index, window, state) {
+  let { sum, gaps } = state;
+  const x = ring[index % (window + 1)];
+  if (Number.isFinite(x)) {
+    sum += x;
+  } else {
+    gaps++;
+  }
+  if (index >= window) {
+    const y = ring[(index - window) % (window + 1)];
+    if (Number.isFinite(y)) {
+      sum -= y;
+    } else {
+      gaps--;
+    }
+  }
+  if (!gaps && index % window === window - 1) {
+    sum = 0;
+    for (let j = index + 1 - window; j <= index; j++) {
+      sum += ring[j % (window + 1)];
+    }
+  }
+  return { sum, gaps };
+}
+
+/**
+ * Creates a streaming Simple Moving Average (SMA), matching sma().
+ * @param {number} window - The window size for the SMA.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming SMA with next(value) and update(value).
+ */
+export function createSma(window, options) {
+  checkWindow("createSma", "window", window);
+  const ring = new Array(window + 1);
+  return createStream("createSma", { n: 0, sum: 0, gaps: 0 }, (state, x) => {
+    ring[state.n % (window + 1)] = x;
+    const { sum, gaps } = streamSum(ring, state.n, window, state);
+    const value = gaps ? NaN : sum / Math.min(state.n + 1, window);
+    return { state: { n: state.n + 1, sum, gaps }, value };
+  }, window - 1, options);
+}
+
+/**
+ * Creates a streaming Exponential Moving Average (EMA), matching ema(): leading gaps are
+ * skipped and the average starts at the first finite value.
+ * @param {number} window - The window size for the EMA.
+ * @param {number} start - The initial value for the EMA.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming EMA with next(value) and update(value).
+ */
+export function createEma(window, start, options) {
+  checkWindow("createEma", "window", window);
+  const weight = 2 / (window + 1);
+  return createStream("createEma", { n: 0, sum: 0, prev: NaN }, (state, x) => {
+    let sum = state.sum;
+    let value;
+    if (state.n === 0 && !Number.isFinite(x)) {
+      return { state, value: NaN };
+    }
+    if (start && state.n === 0) {
+      value = start;
+    } else if (!start && state.n < window) {
+      sum += x;
+      value = sum / (state.n + 1);
+    } else {
+      value = x * weight + (1 - weight) * state.prev;
+    }
+    return { state: { n: state.n + 1, sum, prev: value }, value };
+  }, (first) => first + (start ? 0 : window - 1), options);
+}
+
+/**
+ * Creates a streaming Weighted Moving Average (WMA), matching wma(): the weighted sum is
+ * recomputed from the window once per window, or once a gap has made it NaN.
+ * @param {number} window - The window size for the WMA.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming WMA with next(value) and update(value).
+ */
+export function createWma(window, options) {
+  checkWindow("createWma", "window", window);
+  const ring = new Array(window + 1);
+  return createStream("createWma", { n: 0, sum: 0, gaps: 0, weighted: 0 }, (state, x) => {
+    const i = state.n;
+    ring[i % (window + 1)] = x;
+    const count = Math.min(i + 1, window);
+    let weighted = 0;
+    if (i % window === window - 1 || !Number.isFinite(state.weighted)) {
+      for (let j = i + 1 - count; j <= i; j++) {
+        weighted += ring[j % (window + 1)] * (window - (i - j));
+      }
+    } else {
+      const previous = i === 0 ? 0 : state.gaps ? NaN : state.sum;
+      weighted = state.weighted + window * x - previous;
+    }
+    const { sum, gaps } = streamSum(ring, i, window, state);
+    return { state: { n: i + 1, sum, gaps, weighted }, value: weighted / ((count * (2 * window - count + 1)) / 2) };
+  }, window - 1, options);
+}
+
+/**
+ * Creates a streaming rolling standard deviation, matching stdev(): Welford's updates,
+ * recomputed from the window once per window like rollingDeviation().
+ * @param {number} window - The window size for the SD.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming SD with next(value) and update(value).
+ */
+export function createStdev(window, options) {
+  checkWindow("createStdev", "window", window);
+  const ring = new Array(window + 1);
+  return createStream("createStdev", { n: 0, count: 0, mean: 0, m2: 0, gaps: 0 }, (state, x) => {
+    const i = state.n;
+    let { count, mean, m2, gaps } = state;
+    ring[i % (window + 1)] = x;
+    if (Number.isFinite(x)) {
+      count++;
+      const delta = x - mean;
+      mean += delta / count;
+      m2 += delta * (x - mean);
+    } else {
+      gaps++;
+    }
+    if (i >= window) {
+      const y = ring[(i - window) % (window + 1)];
+      if (!Number.isFinite(y)) {
+        gaps--;
+      } else if (--count === 0) {
+        mean = 0;
+        m2 = 0;
+      } else {
+        const delta = y - mean;
+        mean -= delta / count;
+        m2 -= delta * (y - mean);
+      }
+    }
+    if (!gaps && i % window === window - 1) {
+      mean = 0;
+      for (let j = i + 1 - window; j <= i; j++) {
+        mean += ring[j % (window + 1)];
+      }
+      mean /= window;
+      m2 = 0;
+      for (let j = i + 1 - window; j <= i; j++) {
+        m2 += (ring[j % (window + 1)] - mean) * (ring[j % (window + 1)] - mean);
+      }
+    }
+    const value = gaps ? NaN : Math.sqrt(Math.max(0, m2) / count);
+    return { state: { n: i + 1, count, mean, m2, gaps }, value };
+  }, window - 1, options);
+}
+
+/**
+ * Creates a streaming Rate of Change (ROC), matching roc().
+ * @param {number} window - The window size for calculating ROC.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming ROC with next(value) and update(value).
+ */
+export function createRoc(window, options) {
+  checkWindow("createRoc", "window", window);
+  const ring = new Array(window + 1);
+  return createStream("createRoc", { n: 0 }, (state, x) => {
+    ring[state.n % (window + 1)] = x;
+    const base = ring[Math.max(state.n - window, 0) % (window + 1)];
+    return { state: { n: state.n + 1 }, value: 100 * (x - base) / base };
+  }, window, options);
+}
+
+/**
+ * Creates a streaming Bollinger Bands (BB), matching bb().
+ * @param {number} window - The window size for the BB.
+ * @param {number} mult - The multiplier for the standard deviation in the BB.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming BB with next(close) and update(close).
+ */
+export function createBb(window, mult, options) {
+  checkWindow("createBb", "window", window);
+  const input = createStream("createBb", {}, (state, x) => ({ state, value: x }), 0, { ...options, pad: "partial" });
+  const ma = createSma(window, PARTIAL);
+  const dev = createStdev(window, PARTIAL);
+  const step = (method, value) => {
+    const x = input[method](value);
+    const middle = ma[method](x);
+    const d = dev[method](x);
+    const band = (value) => padValue(value, ma.index, window - 1, options);
+    return { lower: band(middle - d * mult), middle: band(middle), upper: band(middle + d * mult) };
+  };
+  padMode(options);
+  return {
+    next: (x) => step("next", x),
+    update: (x) => step("update", x),
+  };
+}
+
+/**
+ * Creates a streaming Moving Average Convergence Divergence (MACD), matching macd().
+ * @param {number} winshort - The short EMA window size.
+ * @param {number} winlong - The long EMA window size.
+ * @param {number} winsig - The signal EMA window size.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming MACD with next(close) and update(close).
+ */
+export function createMacd(winshort, winlong, winsig, options) {
+  checkWindow("createMacd", "winshort", winshort);
+  checkWindow("createMacd", "winlong", winlong);
+  checkWindow("createMacd", "winsig", winsig);
+  const short = createEma(winshort, undefined, PARTIAL);
+  const long = createEma(winlong, undefined, PARTIAL);
+  const sig = createEma(winsig, undefined, PARTIAL);
+  const input = createStream("createMacd", {}, (state, x) => ({ state, value: x }), 0, { ...options, pad: "partial" });
+  const step = (method, value) => {
+    const x = input[method](value);
+    const line = short[method](x) - long[method](x);
+    const signal = sig[method](line);
+    const i = short.index;
+    const warmup = input.first < 0 ? Infinity : input.first + Math.max(winshort, winlong) - 1;
+    return {
+      line: padValue(line, i, warmup, options),
+      signal: padValue(signal, i, warmup + winsig - 1, options),
+      hist: padValue(line - signal, i, warmup + winsig - 1, options),
+    };
+  };
+  padMode(options);
+  return {
+    next: (x) => step("next", x),
+    update: (x) => step("update", x),
+  };
+}
+
+/**
+ * Creates a streaming Relative Strength Index (RSI), matching rsi(): the changes start at the
+ * first finite close.
+ * @param {number} window - The window size for calculating RSI.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming RSI with next(close) and update(close).
+ */
+export function createRsi(window, options) {
+  checkWindow("createRsi", "window", window);
+  const gains = createEma(2 * window - 1, undefined, PARTIAL);
+  const loss = createEma(2 * window - 1, undefined, PARTIAL);
+  const delta = createStream("createRsi", { started: false, last: NaN }, (state, x) => {
+    const diff = x - state.last;
+    let value = [diff >= 0 ? diff : degenerate(0, diff), diff < 0 ? -diff : degenerate(0, diff)];
+    if (!state.started) {
+      value = Number.isFinite(x) ? [0, 0] : [NaN, NaN];
+    }
+    return { state: { started: state.started || Number.isFinite(x), last: x }, value };
+  }, 0, options);
+  const step = (method, x) => {
+    const [g, l] = delta[method](x);
+    const value = strengthIndex(gains[method](g), loss[method](l));
+    return padValue(value, delta.index, delta.first < 0 ? Infinity : delta.first + 2 * window - 1, options);
+  };
+  padMode(options);
+  return {
+    next: (x) => step("next", x),
+    update: (x) => step("update", x),
+  };
+}
+
+/**
+ * Creates a streaming True Range (TR), matching trueRange().
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming TR with next(candle) and update(candle).
+ */
+export function createTrueRange(options) {
+  return createStream("createTrueRange", { n: 0, close: NaN }, (state, c) => {
+    const value = state.n === 0
+      ? c.high - c.low
+      : Math.max(c.high - c.low, Math.abs(c.high - state.close), Math.abs(c.low - state.close));
+    return { state: { n: state.n + 1, close: c.close }, value };
+  }, 0, options);
+}
+
+/**
+ * Creates a streaming Average True Range (ATR), matching atr().
+ * @param {number} window - The window size for the ATR.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming ATR with next(candle) and update(candle).
+ */
+export function createAtr(window, options) {
+  checkWindow("createAtr", "window", window);
+  const tr = createTrueRange(options);
+  const smooth = createEma(2 * window - 1, undefined, options);
+  return {
+    next: (c) => smooth.next(tr.next(c)),
+    update: (c) => smooth.update(tr.update(c)),
+  };
+}
+
+/**
+ * Creates a streaming Wilder smoothing, matching wilderSmooth().
+ * @param {number} window - The window size for the Wilder smoothing.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming smoothing with next(value) and update(value).
+ */
+export function createWilderSmooth(window, options) {
+  checkWindow("createWilderSmooth", "window", window);
+  return createStream("createWilderSmooth", { n: 0, prev: 0 }, (state, x) => {
+    let value = 0;
+    if (state.n > 0) {
+      value = state.n <= window ? state.prev + x : (1 - 1 / window) * state.prev + x;
+    }
+    return { state: { n: state.n + 1, prev: value }, value };
+  }, window, options);
+}
+
+/**
+ * Creates a streaming Average Directional Index (ADX), matching adx().
+ * @param {number} window - The window size for smoothing.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming ADX with next(candle) and update(candle).
+ */
+export function createAdx(window, options) {
+  checkWindow("createAdx", "window", window);
+  const tr = createTrueRange(options);
+  const str = createWilderSmooth(window, PARTIAL);
+  const smp = createWilderSmooth(window, PARTIAL);
+  const smm = createWilderSmooth(window, PARTIAL);
+  const smooth = createEma(2 * window - 1, undefined, PARTIAL);
+  const moves = createStream("createAdx", { n: 0, high: NaN, low: NaN }, (state, c) => {
+    let value = [0, 0];
+    if (state.n > 0) {
+      const hd = c.high - state.high;
+      const ld = state.low - c.low;
+      value = [hd > ld ? Math.max(hd, 0) : degenerate(0, hd, ld), ld > hd ? Math.max(ld, 0) : degenerate(0, hd, ld)];
+    }
+    return { state: { n: state.n + 1, high: c.high, low: c.low }, value };
+  }, 0, options);
+  const step = (method, c) => {
+    const [p, m] = moves[method](c);
+    const s = str[method](tr[method](c));
+    const sp = smp[method](p);
+    const sm = smm[method](m);
+    const dip = s > 0 ? (100 * sp) / s : degenerate(0, sp, s);
+    const dim = s > 0 ? (100 * sm) / s : degenerate(0, sm, s);
+    const dx = dip + dim > 0 ? (100 * Math.abs(dip - dim)) / (dip + dim) : degenerate(0, dip, dim);
+    const i = moves.index;
+    return {
+      dip: padValue(dip, i, window, options),
+      dim: padValue(dim, i, window, options),
+      adx: padValue(i >= window ? smooth[method](dx) : NaN, i, 3 * window - 2, options),
+    };
+  };
+  padMode(options);
+  return {
+    next: (c) => step("next", c),
+    update: (c) => step("update", c),
+  };
+}
+
+/**
+ * Creates a streaming Parabolic Stop and Reverse (PSAR), matching psar().
+ * @param {number} stepfactor - The step factor for the PSAR.
+ * @param {number} maxfactor - The maximum step factor for the PSAR.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming PSAR with next(candle) and update(candle).
+ */
+export function createPsar(stepfactor, maxfactor, options) {
+  return createStream("createPsar", { n: 0 }, (state, c) => {
+    const s = { ...state, n: state.n + 1 };
+    if (state.n === 0) {
+      s.cursar = c.low;
+    } else if (state.n === 1) {
+      s.isUp = true;
+      s.factor = stepfactor;
+      s.extreme = Math.max(state.high, c.high);
+      s.cursar = Math.min(state.low, c.low);
+    } else {
+      s.cursar = state.cursar + state.factor * (state.extreme - state.cursar);
+      s.cursar = s.isUp ? Math.min(s.cursar, state.low, state.prevLow) : Math.max(s.cursar, state.high, state.prevHigh);
+      if (s.isUp ? c.low < s.cursar : c.high > s.cursar) {
+        s.isUp = !s.isUp;
+        s.cursar = state.extreme;
+        s.extreme = s.isUp ? c.high : c.low;
+        s.factor = stepfactor;
+      } else if (s.isUp ? c.high > s.extreme : c.low < s.extreme) {
+        s.extreme = s.isUp ? c.high : c.low;
+        s.factor = Math.min(s.factor + stepfactor, maxfactor);
+      }
+    }
+    s.prevHigh = state.high;
+    s.prevLow = state.low;
+    s.high = c.high;
+    s.low = c.low;
+    return { state: s, value: s.cursar };
+  }, 1, options);
+}
+
+/**
+ * Creates a streaming Volume Weighted Average Price (VWAP), matching vwap().
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming VWAP with next(candle) and update(candle).
+ */
+export function createVwap(options) {
+  return createStream("createVwap", { vtp: 0, v: 0 }, (state, c) => {
+    const tp = (c.high + c.low + c.close) / 3;
+    const vtp = state.vtp + c.volume * tp;
+    const v = state.v + c.volume;
+    return { state: { vtp, v }, value: v > 0 ? vtp / v : tp };
+  }, 0, options);
+}
+
+/**
+ * Creates a streaming On-Balance Volume (OBV), matching obv().
+ * @param {number} signal - The signal window size for calculating the moving average of OBV.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The streaming OBV with next(candle) and update(candle).
+ */
+export function createObv(signal, options) {
+  checkWindow("createObv", "signal", signal);
+  const ma = createSma(signal, options);
+  const line = createStream("createObv", { n: 0, close: NaN, obv: 0 }, (state, c) => {
+    const obv = state.n === 0 ? 0 : state.obv + Math.sign(c.close - state.close) * c.volume;
+    return { state: { n: state.n + 1, close: c.close, obv }, value: obv };
+  }, 0, options);
+  return {
+    next(c) {
+      const value = line.next(c);
+      return { line: value, signal: ma.next(value) };
+    },
+    update(c) {
+      const value = line.update(c);
+      return { line: value, signal: ma.update(value) };
+    },
+  };
+}
+
+
+const COLUMNS = ["time", "open", "high", "low", "close", "volume"];
+
+/**
+ * Converts candles into a columnar series of equal-length arrays.
+ * @param {Object[]|Object} candles - Array of {time, open, high, low, close, volume} objects, or an object of columns.
+ * @returns {Object} - The columns present in the input, keyed by name.
+ */
+export function toColumns(candles) {
+  const columns = {};
+  if (Array.isArray(candles)) {
+    const keys = candles.length ? COLUMNS.filter((k) => k in candles[0]) : [];
+    keys.forEach((k) => (columns[k] = []));
+    candles.forEach((candle, i) => {
+      keys.forEach((k) => {
+        if (!(k in candle)) {
+          throw new ValidationError(`candle ${i} is missing "${k}"`);
+        }
+        columns[k].push(candle[k]);
+      });
+    });
+    return columns;
+  }
+  if (!candles || typeof candles !== "object") {
+    throw new ValidationError("candles must be an array of candles or an object of columns");
+  }
+  let first;
+  COLUMNS.forEach((k) => {
+    if (candles[k] === undefined) {
+      return;
+    }
+    if (!Array.isArray(candles[k]) && !ArrayBuffer.isView(candles[k])) {
+      throw new ValidationError(`column "${k}" must be an array`);
+    }
+    first = first || k;
+    if (candles[k].length !== candles[first].length) {
+      throw new LengthMismatchError(
+        `column "${k}" has ${candles[k].length} values but "${first}" has ${candles[first].length}`
+      );
+    }
+    columns[k] = candles[k];
+  });
+  return columns;
+}
+
+/**
+ * The types and ranges of the indicator parameters, by parameter name.
+ */
+const PARAMETER_TYPES = {
+  window: { type: "integer", min: 1 },
+  start: { type: "number" },
+  mult: { type: "number", min: 0 },
+  stepfactor: { type: "number", min: 0, max: 1 },
+  maxfactor: { type: "number", min: 0, max: 1 },
+  fast: { type: "integer", min: 1 },
+  slow: { type: "integer", min: 1 },
+  signal: { type: "integer", min: 1 },
+  smooth: { type: "integer", min: 1 },
+  offset: { type: "number", min: 0, max: 1 },
+  sigma: { type: "number", min: 0 },
+  vfactor: { type: "number", min: 0, max: 1 },
+  zones: { type: "integer", min: 1 },
+  left: { type: "integer", min: 0 },
+  right: { type: "integer", min: 0 },
+  percent: { type: "number", min: 0 },
+  tenkan: { type: "integer", min: 1 },
+  kijun: { type: "integer", min: 1 },
+  senkou: { type: "integer", min: 1 },
+  displacement: { type: "integer", min: 1 },
+  method: { type: "string", values: ["classic", "fibonacci", "camarilla", "woodie"] },
+  anchor: { type: "integer", min: 0 },
+  timeframe: { type: "string" },
+  w1: { type: "integer", min: 1 },
+  w2: { type: "integer", min: 1 },
+  w3: { type: "integer", min: 1 },
+  w4: { type: "integer", min: 1 },
+  s1: { type: "integer", min: 1 },
+  s2: { type: "integer", min: 1 },
+  s3: { type: "integer", min: 1 },
+  s4: { type: "integer", min: 1 },
+  sig: { type: "integer", min: 1 },
+  divisor: { type: "number", min: 0 },
+  total: { type: "integer", min: 1 },
+  band: { type: "string", values: ["stderr", "stdev"] },
+  degree: { type: "integer", min: 1 },
+  doji: { type: "number", min: 0, max: 1 },
+  smallBody: { type: "number", min: 0, max: 1 },
+  longBody: { type: "number", min: 0, max: 1 },
+  shadow: { type: "number", min: 0 },
+  smallShadow: { type: "number", min: 0, max: 1 },
+  trend: { type: "integer", min: 1 },
+};
+
+const BANDS = ["lower", "middle", "upper"];
+const MACD = ["line", "signal", "hist"];
+
+/**
+ * Default thresholds of the candlestick patterns, as fractions of the bar range
+ * (high - low) unless stated otherwise.
+ * - doji: the largest body of a doji.
+ * - smallBody: the largest body of a star or harami bar, as a fraction of the range of the
+ *   long bar before it.
+ * - longBody: the smallest body of a long bar.
+ * - shadow: the smallest long shadow of a hammer, as a multiple of the body.
+ * - smallShadow: the largest short shadow of a hammer or marubozu.
+ * - trend: the SMA window deciding the prior trend of reversal bars.
+ */
+const PATTERN_OPTIONS = { doji: 0.1, smallBody: 0.3, longBody: 0.6, shadow: 2, smallShadow: 0.1, trend: 5 };
+
+const CANDLE = ["open", "high", "low", "close"];
+
+/**
+ * Registers a candlestick pattern, whose thresholds are passed in its options.
+ * @param {function} fn - The pattern detector.
+ * @param {string[]} thresholds - The PATTERN_OPTIONS it reads.
+ * @param {function} warmup - Maps the parameters to the bars it looks back.
+ * @returns {Object} - The registry entry.
+ */
+function pattern(fn, thresholds, warmup) {
+  return {
+    fn,
+    inputs: CANDLE,
+    params: thresholds.map((key) => [key, PATTERN_OPTIONS[key]]),
+    named: true,
+    pane: "oscillator",
+    bounds: [-1, 1],
+    warmup,
+  };
+}
+
+/**
+ * Input columns and named parameters (with defaults) of each indicator, in call order,
+ * with the pane it is drawn on, its outputs, its fixed bounds and its warm-up length.
+ * `ranges` overrides the parameter types of PARAMETER_TYPES, `named` passes the parameters
+ * in the options instead of in order, and `warmup` maps the parameters to the longest
+ * warm-up of the outputs under the default moving averages.
+ */
+const INDICATORS = {
+  wma: { fn: wma, inputs: ["close"], params: [["window", 9]], pane: "overlay", warmup: (p) => p.window - 1 },
+  sma: { fn: sma, inputs: ["close"], params: [["window", 20]], pane: "overlay", warmup: (p) => p.window - 1 },
+  ema: {
+    fn: ema,
+    inputs: ["close"],
+    params: [["window", 20], ["start", undefined]],
+    pane: "overlay",
+    warmup: (p) => (p.start ? 0 : p.window - 1),
+  },
+  stdev: { fn: stdev, inputs: ["close"], params: [["window", 20]], pane: "oscillator", warmup: (p) => p.window - 1 },
+  madev: { fn: madev, inputs: ["close"], params: [["window", 20]], pane: "oscillator", warmup: (p) => p.window - 1 },
+  expdev: { fn: expdev, inputs: ["close"], params: [["window", 20]], pane: "oscillator", warmup: (p) => 2 * p.window - 2 },
+  atr: {
+    fn: atr,
+    inputs: ["high", "low", "close"],
+    params: [["window", 14]],
+    pane: "oscillator",
+    warmup: (p) => 2 * p.window - 2,
+  },
+  wilderSmooth: { fn: wilderSmooth, inputs: ["close"], params: [["window", 14]], pane: "overlay", warmup: (p) => p.window },
+  typicalPrice: { fn: typicalPrice, inputs: ["high", "low", "close"], params: [], pane: "overlay", warmup: () => 0 },
+  trueRange: { fn: trueRange, inputs: ["high", "low", "close"], params: [], pane: "oscillator", warmup: () => 0 },
+  bb: {
+    fn: bb,
+    inputs: ["close"],
+    params: [["window", 20], ["mult", 2]],
+    pane: "overlay",
+    outputs: BANDS,
+    warmup: (p) => p.window - 1,
+  },
+  dema: { fn: dema, inputs: ["close"], params: [["window", 20]], pane: "overlay", warmup: (p) => 2 * p.window - 2 },
+  ebb: {
+    fn: ebb,
+    inputs: ["close"],
+    params: [["window", 20], ["mult", 2]],
+    pane: "overlay",
+    outputs: BANDS,
+    warmup: (p) => 2 * p.window - 2,
+  },
+  keltner: {
+    fn: keltner,
+    inputs: ["high", "low", "close"],
+    params: [["window", 20], ["mult", 2]],
+    pane: "overlay",
+    outputs: BANDS,
+    warmup: (p) => 2 * p.window - 2,
+  },
+  psar: {
+    fn: psar,
+    inputs: ["high", "low"],
+    params: [["stepfactor", 0.02], ["maxfactor", 0.2]],
+    pane: "overlay",
+    warmup: () => 1,
+  },
+  tema: { fn: tema, inputs: ["close"], params: [["window", 20]], pane: "overlay", warmup: (p) => 3 * p.window - 3 },
+  rma: { fn: rma, inputs: ["close"], params: [["window", 14]], pane: "overlay", warmup: (p) => p.window - 1 },
+  smma: { fn: smma, inputs: ["close"], params: [["window", 14]], pane: "overlay", warmup: (p) => p.window - 1 },
+  hma: {
+    fn: hma,
+    inputs: ["close"],
+    params: [["window", 9]],
+    pane: "overlay",
+    warmup: (p) => p.window + Math.max(1, Math.floor(Math.sqrt(p.window))) - 2,
+  },
+  kama: {
+    fn: kama,
+    inputs: ["close"],
+    params: [["window", 10], ["fast", 2], ["slow", 30]],
+    pane: "overlay",
+    warmup: (p) => p.window,
+  },
+  zlema: {
+    fn: zlema,
+    inputs: ["close"],
+    params: [["window", 20]],
+    pane: "overlay",
+    warmup: (p) => Math.floor((p.window - 1) / 2) + p.window - 1,
+  },
+  alma: {
+    fn: alma,
+    inputs: ["close"],
+    params: [["window", 9], ["offset", 0.85], ["sigma", 6]],
+    pane: "overlay",
+    warmup: (p) => p.window - 1,
+  },
+  t3: {
+    fn: t3,
+    inputs: ["close"],
+    params: [["window", 5], ["vfactor", 0.7]],
+    pane: "overlay",
+    warmup: (p) => 6 * (p.window - 1),
+  },
+  vwma: { fn: vwma, inputs: ["close", "volume"], params: [["window", 20]], pane: "overlay", warmup: (p) => p.window - 1 },
+  vbp: {
+    fn: vbp,
+    inputs: ["close", "volume"],
+    params: [["zones", 12], ["left", 0], ["right", undefined]],
+    pane: "overlay",
+    outputs: ["bottom", "top", "volumes"],
+    warmup: () => 0,
+  },
+  vwap: { fn: vwap, inputs: ["high", "low", "close", "volume"], params: [], pane: "overlay", warmup: () => 0 },
+  zigzag: {
+    fn: zigzag,
+    inputs: ["time", "high", "low"],
+    params: [["percent", 5]],
+    pane: "overlay",
+    outputs: ["time", "price"],
+    warmup: () => 0,
+  },
+  donchian: {
+    fn: donchian,
+    inputs: ["high", "low"],
+    params: [["window", 20]],
+    pane: "overlay",
+    outputs: BANDS,
+    warmup: (p) => p.window - 1,
+  },
+  envelopes: {
+    fn: envelopes,
+    inputs: ["close"],
+    params: [["window", 20], ["percent", 2.5]],
+    pane: "overlay",
+    outputs: BANDS,
+    warmup: (p) => p.window - 1,
+  },
+  ichimoku: {
+    fn: ichimoku,
+    inputs: ["high", "low", "close"],
+    params: [["tenkan", 9], ["kijun", 26], ["senkou", 52], ["displacement", 26]],
+    pane: "overlay",
+    outputs: ["conversion", "base", "spanA", "spanB", "lagging", "ahead"],
+    warmup: (p) => Math.max(p.tenkan, p.kijun, p.senkou) + p.displacement - 2,
+  },
+  supertrend: {
+    fn: supertrend,
+    inputs: ["high", "low", "close"],
+    params: [["window", 10], ["mult", 3]],
+    pane: "overlay",
+    outputs: ["line", "direction"],
+    warmup: (p) => 2 * p.window - 2,
+  },
+  chandelier: {
+    fn: chandelier,
+    inputs: ["high", "low", "close"],
+    params: [["window", 22], ["mult", 3]],
+    pane: "overlay",
+    outputs: ["long", "short"],
+    warmup: (p) => 2 * p.window - 2,
+  },
+  pivotPoints: {
+    fn: pivotPoints,
+    inputs: ["high", "low", "close"],
+    params: [["method", "classic"]],
+    pane: "overlay",
+    outputs: ["pivot", "r1", "s1", "r2", "s2", "r3", "s3", "r4", "s4"],
+    warmup: () => 0,
+  },
+  anchoredVwap: {
+    fn: anchoredVwap,
+    inputs: ["high", "low", "close", "volume"],
+    params: [["anchor", 0]],
+    pane: "overlay",
+    warmup: (p) => Math.min(...[].concat(p.anchor)),
+  },
+  sessionVwap: {
+    fn: sessionVwap,
+    inputs: ["time", "high", "low", "close", "volume"],
+    params: [["timeframe", "1d"]],
+    pane: "overlay",
+    warmup: () => 0,
+  },
+  adl: { fn: adl, inputs: ["high", "low", "close", "volume"], params: [], pane: "oscillator", warmup: () => 0 },
+  adx: {
+    fn: adx,
+    inputs: ["high", "low", "close"],
+    params: [["window", 14]],
+    pane: "oscillator",
+    outputs: ["dip", "dim", "adx"],
+    bounds: [0, 100],
+    warmup: (p) => 3 * p.window - 2,
+  },
+  bbp: {
+    fn: bbp,
+    inputs: ["close"],
+    params: [["window", 20], ["mult", 2]],
+    pane: "oscillator",
+    warmup: (p) => p.window - 1,
+  },
+  cci: {
+    fn: cci,
+    inputs: ["high", "low", "close"],
+    params: [["window", 20], ["mult", 0.015]],
+    pane: "oscillator",
+    warmup: (p) => p.window - 1,
+  },
+  cho: {
+    fn: cho,
+    inputs: ["high", "low", "close", "volume"],
+    params: [["fast", 3], ["slow", 10]],
+    pane: "oscillator",
+    warmup: (p) => Math.max(p.fast, p.slow) - 1,
+  },
+  fi: { fn: fi, inputs: ["close", "volume"], params: [["window", 13]], pane: "oscillator", warmup: (p) => p.window },
+  kst: {
+    fn: kst,
+    inputs: ["close"],
+    params: [["w1", 10], ["w2", 15], ["w3", 20], ["w4", 30], ["s1", 10], ["s2", 10], ["s3", 10], ["s4", 15], ["sig", 9]],
+    pane: "oscillator",
+    outputs: ["line", "signal"],
+    warmup: (p) => Math.max(p.w1 + p.s1, p.w2 + p.s2, p.w3 + p.s3, p.w4 + p.s4) + p.sig - 2,
+  },
+  macd: {
+    fn: macd,
+    inputs: ["close"],
+    params: [["fast", 12], ["slow", 26], ["signal", 9]],
+    pane: "oscillator",
+    outputs: MACD,
+    warmup: (p) => Math.max(p.fast, p.slow) + p.signal - 2,
+  },
+  mfi: {
+    fn: mfi,
+    inputs: ["high", "low", "close", "volume"],
+    params: [["window", 14]],
+    pane: "oscillator",
+    bounds: [0, 100],
+    warmup: (p) => p.window,
+  },
+  obv: {
+    fn: obv,
+    inputs: ["close", "volume"],
+    params: [["signal", 10]],
+    pane: "oscillator",
+    outputs: ["line", "signal"],
+    warmup: (p) => p.signal - 1,
+  },
+  roc: { fn: roc, inputs: ["close"], params: [["window", 12]], pane: "oscillator", warmup: (p) => p.window },
+  rsi: { fn: rsi, inputs: ["close"], params: [["window", 14]], pane: "oscillator", bounds: [0, 100], warmup: (p) => 2 * p.window - 1 },
+  stoch: {
+    fn: stoch,
+    inputs: ["high", "low", "close"],
+    params: [["window", 14], ["signal", 3], ["smooth", 3]],
+    pane: "oscillator",
+    outputs: ["line", "signal"],
+    bounds: [0, 100],
+    warmup: (p) => p.window + p.smooth + p.signal - 3,
+  },
+  stochRsi: {
+    fn: stochRsi,
+    inputs: ["close"],
+    params: [["window", 14], ["signal", 3], ["smooth", 3]],
+    pane: "oscillator",
+    outputs: ["line", "signal"],
+    bounds: [0, 1],
+    warmup: (p) => 3 * p.window + p.smooth + p.signal - 4,
+  },
+  vi: {
+    fn: vi,
+    inputs: ["high", "low", "close"],
+    params: [["window", 14]],
+    pane: "oscillator",
+    outputs: ["plus", "minus"],
+    warmup: (p) => p.window,
+  },
+  aroon: {
+    fn: aroon,
+    inputs: ["high", "low"],
+    params: [["window", 25]],
+    pane: "oscillator",
+    outputs: ["up", "down", "oscillator"],
+    bounds: [-100, 100],
+    warmup: (p) => p.window,
+  },
+  awesome: {
+    fn: awesome,
+    inputs: ["high", "low"],
+    params: [["fast", 5], ["slow", 34]],
+    pane: "oscillator",
+    warmup: (p) => Math.max(p.fast, p.slow) - 1,
+  },
+  accelerator: {
+    fn: accelerator,
+    inputs: ["high", "low"],
+    params: [["fast", 5], ["slow", 34], ["signal", 5]],
+    pane: "oscillator",
+    warmup: (p) => Math.max(p.fast, p.slow) + p.signal - 2,
+  },
+  choppiness: {
+    fn: choppiness,
+    inputs: ["high", "low", "close"],
+    params: [["window", 14]],
+    ranges: { window: { min: 2 } },
+    pane: "oscillator",
+    bounds: [0, 100],
+    warmup: (p) => p.window - 1,
+  },
+  cmf: {
+    fn: cmf,
+    inputs: ["high", "low", "close", "volume"],
+    params: [["window", 20]],
+    pane: "oscillator",
+    bounds: [-1, 1],
+    warmup: (p) => p.window - 1,
+  },
+  cmo: { fn: cmo, inputs: ["close"], params: [["window", 9]], pane: "oscillator", bounds: [-100, 100], warmup: (p) => p.window },
+  elderRay: {
+    fn: elderRay,
+    inputs: ["high", "low", "close"],
+    params: [["window", 13]],
+    pane: "oscillator",
+    outputs: ["bull", "bear"],
+    warmup: (p) => p.window - 1,
+  },
+  eom: {
+    fn: eom,
+    inputs: ["high", "low", "volume"],
+    params: [["window", 14], ["divisor", 10000]],
+    pane: "oscillator",
+    warmup: (p) => p.window,
+  },
+  massIndex: {
+    fn: massIndex,
+    inputs: ["high", "low"],
+    params: [["window", 9], ["total", 25]],
+    pane: "oscillator",
+    warmup: (p) => 2 * p.window + p.total - 3,
+  },
+  ppo: {
+    fn: ppo,
+    inputs: ["close"],
+    params: [["fast", 12], ["slow", 26], ["signal", 9]],
+    pane: "oscillator",
+    outputs: MACD,
+    warmup: (p) => Math.max(p.fast, p.slow) + p.signal - 2,
+  },
+  pvo: {
+    fn: pvo,
+    inputs: ["volume"],
+    params: [["fast", 12], ["slow", 26], ["signal", 9]],
+    pane: "oscillator",
+    outputs: MACD,
+    warmup: (p) => Math.max(p.fast, p.slow) + p.signal - 2,
+  },
+  trix: {
+    fn: trix,
+    inputs: ["close"],
+    params: [["window", 15], ["signal", 9]],
+    pane: "oscillator",
+    outputs: ["line", "signal"],
+    warmup: (p) => 3 * p.window + p.signal - 3,
+  },
+  ultimate: {
+    fn: ultimate,
+    inputs: ["high", "low", "close"],
+    params: [["w1", 7], ["w2", 14], ["w3", 28]],
+    pane: "oscillator",
+    bounds: [0, 100],
+    warmup: (p) => Math.max(p.w1, p.w2, p.w3),
+  },
+  vhf: { fn: vhf, inputs: ["close"], params: [["window", 28]], pane: "oscillator", bounds: [0, 1], warmup: (p) => p.window },
+  williams: {
+    fn: williams,
+    inputs: ["high", "low", "close"],
+    params: [["window", 14]],
+    pane: "oscillator",
+    bounds: [-100, 0],
+    warmup: (p) => p.window - 1,
+  },
+  lsma: { fn: lsma, inputs: ["close"], params: [["window", 14]], pane: "overlay", warmup: (p) => p.window - 1 },
+  linregForecast: {
+    fn: linregForecast,
+    inputs: ["close"],
+    params: [["window", 14], ["offset", 1]],
+    ranges: { offset: { type: "integer", min: undefined, max: undefined } },
+    pane: "overlay",
+    warmup: (p) => p.window - 1,
+  },
+  linregSlope: { fn: linregSlope, inputs: ["close"], params: [["window", 14]], pane: "oscillator", warmup: (p) => p.window - 1 },
+  linregAngle: {
+    fn: linregAngle,
+    inputs: ["close"],
+    params: [["window", 14]],
+    pane: "oscillator",
+    bounds: [-90, 90],
+    warmup: (p) => p.window - 1,
+  },
+  linregR2: {
+    fn: linregR2,
+    inputs: ["close"],
+    params: [["window", 14]],
+    pane: "oscillator",
+    bounds: [0, 1],
+    warmup: (p) => p.window - 1,
+  },
+  linregChannel: {
+    fn: linregChannel,
+    inputs: ["close"],
+    params: [["window", 100], ["mult", 2], ["band", "stderr"]],
+    pane: "overlay",
+    outputs: BANDS,
+    warmup: (p) => p.window - 1,
+  },
+  polyRegression: {
+    fn: polyRegression,
+    inputs: ["close"],
+    params: [["window", 20], ["degree", 2]],
+    pane: "overlay",
+    warmup: (p) => Math.max(p.window - 1, p.degree),
+  },
+  returns: { fn: returns, inputs: ["close"], params: [], pane: "oscillator", warmup: () => 1 },
+  logReturns: { fn: logReturns, inputs: ["close"], params: [], pane: "oscillator", warmup: () => 1 },
+  doji: pattern(doji, ["doji", "trend"], (p) => p.trend),
+  hammer: pattern(hammer, ["smallBody", "shadow", "smallShadow", "trend"], (p) => p.trend),
+  shootingStar: pattern(shootingStar, ["smallBody", "shadow", "smallShadow", "trend"], (p) => p.trend),
+  marubozu: pattern(marubozu, ["longBody", "smallShadow"], () => 0),
+  engulfing: pattern(engulfing, [], () => 1),
+  harami: pattern(harami, ["smallBody", "longBody"], () => 1),
+  piercing: pattern(piercing, ["longBody"], () => 1),
+  morningStar: pattern(morningStar, ["smallBody", "longBody"], () => 2),
+  threeSoldiers: pattern(threeSoldiers, ["longBody"], () => 2),
+};
+
+/**
+ * The exports the registry leaves out, by kind. They do not map candle columns and
+ * parameters to one value per bar, so describe(), on() and evaluate() do not offer them.
+ */
+const NOT_INDICATORS = {
+  statistic: ["mean", "sd", "cov", "cor", "mad", "mae", "pointwise", "rolling", "movingAverage", "linreg", "polyfit", "regression"],
+  metric: [
+    "cumulativeReturn", "cagr", "volatility", "sharpe", "sortino", "drawdown", "maxDrawdown", "calmar",
+    "beta", "alpha", "rollingBeta", "rollingAlpha", "valueAtRisk", "expectedShortfall",
+  ],
+  signal: ["above", "below", "crossOver", "crossUnder", "risingFor", "fallingFor", "barsSince", "valueWhen", "and", "or", "not"],
+  stream: [
+    "createSma", "createEma", "createWma", "createStdev", "createRoc", "createBb", "createMacd", "createRsi",
+    "createTrueRange", "createAtr", "createWilderSmooth", "createAdx", "createPsar", "createVwap", "createObv",
+  ],
+  analysis: [
+    "candlePatterns", "pivots", "divergence", "supportResistance", "trendlines", "volumeProfile", "sessionProfiles", "marketProfile",
+    "fibonacci", "fibRetracement", "fibExtension", "fibProjection", "fibTimeZones", "fibFan", "fibArcs", "FibonacciRetracement",
+  ],
+  data: ["toColumns", "parseCsv", "parseJsonl", "toCsv", "toJsonl", "resample", "mtf", "flattenResults"],
+  backtest: ["backtest", "optimize", "walkForward", "screen"],
+  registry: ["on", "describe", "parseExpression", "evaluate", "setValidation"],
+  error: ["ValidationError", "LengthMismatchError", "InvalidWindowError", "InsufficientDataError", "InvalidValueError"],
+};
+
+/**
+ * Looks up an own key of a table, so user-given names such as "constructor" or "toString"
+ * are unknown instead of reaching Object.prototype.
+ * @param {Object} table - The table, such as INDICATORS or the columns.
+ * @param {string} name - The name.
+ * @returns {*} - The entry, or undefined.
+ */
+function own(table, name) {
+  return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : undefined;
+}
+
+/**
+ * Calls an indicator against columns with named parameters.
+ * A single-input indicator reads `options.source` instead of close when given,
+ * and `options.pad`, `options.mode`, `options.gaps`, `options.maType` and
+ * `options.signalMaType` are passed on, with the volume column for vwma.
+ * @param {string} name - The indicator name.
+ * @param {Object} columns - The input columns.
+ * @param {Object} options - The named parameters.
+ * @returns {*} - The indicator result.
+ */
+function callIndicator(name, columns, options) {
+  const spec = INDICATORS[name];
+  const { source, pad: padding, mode, gaps, maType, signalMaType, ...params } = options;
+  const known = spec.params.map(([key]) => key);
+  Object.keys(params).forEach((key) => {
+    if (!known.includes(key)) {
+      throw new ValidationError(`${name} has no parameter "${key}" (expected ${known.join(", ") || "none"})`);
+    }
+  });
+  if (source !== undefined && spec.inputs.length !== 1) {
+    throw new ValidationError(`${name} reads ${spec.inputs.join(", ")} and does not take a source`);
+  }
+  const inputs = (source !== undefined ? [source] : spec.inputs).map((col) => {
+    if (!own(columns, col)) {
+      throw new ValidationError(`${name} needs the "${col}" column`);
+    }
+    return columns[col];
+  });
+  const args = spec.params.map(([key, value]) => (params[key] !== undefined ? params[key] : value));
+  const shared = { pad: padding, mode, gaps, maType, signalMaType, volume: columns.volume };
+  if (spec.named) {
+    const named = {};
+    spec.params.forEach(([key], k) => (named[key] = args[k]));
+    return spec.fn(...inputs, { ...named, ...shared });
+  }
+  return spec.fn(...inputs, ...args, shared);
+}
+
+/**
+ * Binds a candle series so each indicator can be called with named parameters.
+ * @param {Object[]|Object} candles - Array of candle objects, or an object of columns.
+ * @returns {Object} - The columns, their length and one method per indicator.
+ * @example
+ * vt.on(candles).macd({ fast: 12, slow: 26, signal: 9 });
+ * vt.on(candles).sma({ window: 50, source: "high" });
+ */
+export function on(candles) {
+  const columns = toColumns(candles);
+  const first = Object.keys(columns)[0];
+  const frame = { columns, length: first ? columns[first].length : 0 };
+  Object.keys(INDICATORS).forEach((name) => {
+    frame[name] = (options = {}) => callIndicator(name, columns, options);
+  });
+  return frame;
+}
+
+
+/**
+ * Describes an indicator for building user interfaces: its input columns, its parameters with
+ * their types, ranges and defaults, its output keys (null for a single series), the pane it is
+ * drawn on ("overlay" on the price, or "oscillator" below it), its fixed bounds (null when
+ * unbounded) and its warm-up length for given parameters.
+ * @param {string} name - The indicator name; all indicators when omitted.
+ * @returns {Object} - The description { name, inputs, params, outputs, pane, bounds, warmup },
+ * or the descriptions keyed by name.
+ * @example
+ * vt.describe("rsi").bounds; // { min: 0, max: 100 }
+ * vt.describe("macd").warmup({ slow: 50 }); // 57
+ */
+export function describe(name) {
+  if (name === undefined) {
+    const result = {};
+    Object.keys(INDICATORS).forEach((key) => (result[key] = describe(key)));
+    return result;
+  }
+  const spec = own(INDICATORS, name);
+  if (!spec) {
+    const kind = Object.keys(NOT_INDICATORS).find((key) => NOT_INDICATORS[key].includes(name));
+    throw new ValidationError(kind ? `"${name}" is a ${kind} export, not an indicator` : `unknown indicator "${name}"`);
+  }
+  const defaults = {};
+  spec.params.forEach(([key, value]) => (defaults[key] = value));
+  return {
+    name,
+    inputs: spec.inputs.slice(),
+    params: spec.params.map(([key, value]) => {
+      const param = { name: key, ...PARAMETER_TYPES[key], ...(spec.ranges && spec.ranges[key]), default: value };
+      Object.keys(param).forEach((k) => param[k] === undefined && k !== "default" && delete param[k]);
+      return param;
+    }),
+    outputs: spec.outputs ? spec.outputs.slice() : null,
+    pane: spec.pane,
+    bounds: spec.bounds ? { min: spec.bounds[0], max: spec.bounds[1] } : null,
+    warmup: (params = {}) => {
+      const values = { ...defaults };
+      Object.keys(params).forEach((key) => params[key] !== undefined && (values[key] = params[key]));
+      return spec.warmup(values);
+    },
+  };
+}
+
+
+/**
+ * Splits an indicator expression into tokens.
+ * @param {string} text - The expression.
+ * @returns {Object[]} - The tokens, each { type: "number" | "string" | "name" | "punct", value, at }.
+ */
+function tokenize(text) {
+  const pattern = /\s*(?:(-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)|([A-Za-z_$][\w$]*)|"([^"]*)"|'([^']*)'|([(),.=]))/gy;
+  const tokens = [];
+  let match;
+  pattern.lastIndex = 0;
+  while (pattern.lastIndex < text.length && !/^\s*$/.test(text.slice(pattern.lastIndex))) {
+    const at = pattern.lastIndex;
+    match = pattern.exec(text);
+    if (!match) {
+      throw new ValidationError(`expression: unexpected "${text.slice(at).trim()[0]}" at ${at} in "${text}"`);
+    }
+    if (match[1] !== undefined) {
+      tokens.push({ type: "number", value: Number(match[1]), at });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: "name", value: match[2], at });
+    } else if (match[3] !== undefined || match[4] !== undefined) {
+      tokens.push({ type: "string", value: match[3] !== undefined ? match[3] : match[4], at });
+    } else {
+      tokens.push({ type: "punct", value: match[5], at });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses an indicator expression into its JSON spec.
+ * A call takes its input series first (a column, or a nested call), then its parameters
+ * in the order of the indicator, or by name as `name=value`. Inputs left out default to
+ * the indicator's columns, and `.key` selects an output of a multi-output result.
+ * @param {string} text - The expression, e.g. "ema(rsi(close,14),9)" or "macd(close,12,26,9).hist".
+ * @returns {Object|string} - The spec { fn, input, args, field }, or a column name.
+ * @example
+ * vt.parseExpression("bb(close,20,mult=2).upper");
+ * // { fn: "bb", input: "close", args: { window: 20, mult: 2 }, field: "upper" }
+ */
+export function parseExpression(text) {
+  if (typeof text !== "string") {
+    throw new ValidationError(`expression must be a string, got ${typeof text}`);
+  }
+  const tokens = tokenize(text);
+  let k = 0;
+  const fail = (what) => {
+    const token = tokens[k];
+    throw new ValidationError(
+      `expression: expected ${what} ${token ? `at ${token.at}, got "${token.value}"` : "before the end"} in "${text}"`
+    );
+  };
+  const accept = (value) => (tokens[k] && tokens[k].type === "punct" && tokens[k].value === value ? tokens[k++] : null);
+  const expect = (value) => accept(value) || fail(`"${value}"`);
+
+  const value = () => {
+    const token = tokens[k];
+    if (!token || token.type === "punct") {
+      fail("a value");
+    }
+    k++;
+    if (token.type !== "name") {
+      return token.value;
+    }
+    if (!accept("(")) {
+      return token.value;
+    }
+    const spec = own(INDICATORS, token.value);
+    if (!spec) {
+      throw new ValidationError(`expression: unknown indicator "${token.value}" in "${text}"`);
+    }
+    const inputs = [];
+    const args = {};
+    let positional = 0;
+    let closed = false;
+    const set = (key, arg) => {
+      if (own(args, key) !== undefined) {
+        throw new ValidationError(`expression: ${token.value} is given "${key}" twice in "${text}"`);
+      }
+      args[key] = arg;
+    };
+    while (tokens[k] && !(closed = Boolean(accept(")")))) {
+      if (inputs.length || positional || Object.keys(args).length) {
+        expect(",");
+      }
+      if (tokens[k] && tokens[k].type === "name" && tokens[k + 1] && tokens[k + 1].value === "=") {
+        const key = tokens[k].value;
+        k += 2;
+        set(key, value());
+        continue;
+      }
+      const arg = value();
+      if (typeof arg === "object" || (typeof arg === "string" && tokens[k - 1].type === "name")) {
+        if (positional || Object.keys(args).length) {
+          throw new ValidationError(`expression: ${token.value} takes its input series before its parameters in "${text}"`);
+        }
+        inputs.push(arg);
+      } else {
+        if (positional >= spec.params.length) {
+          throw new ValidationError(`expression: ${token.value} takes at most ${spec.params.length} parameters in "${text}"`);
+        }
+        set(spec.params[positional++][0], arg);
+      }
+    }
+    if (!closed) {
+      fail("\")\"");
+    }
+    const call = { fn: token.value };
+    if (inputs.length) {
+      call.input = inputs.length === 1 ? inputs[0] : inputs;
+    }
+    call.args = args;
+    const fields = [];
+    while (accept(".")) {
+      const field = tokens[k];
+      if (!field || field.type !== "name") {
+        fail("an output name");
+      }
+      fields.push(field.value);
+      k++;
+    }
+    if (fields.length) {
+      call.field = fields.join(".");
+    }
+    return call;
+  };
+
+  const result = value();
+  if (k < tokens.length) {
+    fail("the end");
+  }
+  if (typeof result !== "object" && !(typeof result === "string" && tokens.length === 1 && tokens[0].type === "name")) {
+    throw new ValidationError(`expression: "${text}" is not a series`);
+  }
+  return result;
+}
+
+/**
+ * Resolves an expression or spec into a call tree, with the defaults filled in and a
+ * key that is equal for equal calls.
+ * @param {string|Object} expression - The expression, spec or column name.
+ * @returns {Object} - The column { column, key }, or the call { fn, inputs, args, field, key }.
+ */
+function resolveExpression(expression) {
+  if (typeof expression === "string") {
+    const parsed = /^[A-Za-z_$][\w$]*$/.test(expression.trim()) ? expression.trim() : parseExpression(expression);
+    return typeof parsed === "string" ? { column: parsed, key: parsed } : resolveExpression(parsed);
+  }
+  if (!expression || typeof expression !== "object" || typeof expression.fn !== "string") {
+    throw new ValidationError("expression must be a string or a spec { fn, input, args, field }");
+  }
+  const spec = own(INDICATORS, expression.fn);
+  if (!spec) {
+    throw new ValidationError(`expression: unknown indicator "${expression.fn}"`);
+  }
+  const given = expression.input === undefined ? spec.inputs : [].concat(expression.input);
+  if (given.length !== spec.inputs.length) {
+    throw new ValidationError(
+      `${expression.fn} reads ${spec.inputs.length} series (${spec.inputs.join(", ")}), got ${given.length}`
+    );
+  }
+  const inputs = given.map(resolveExpression);
+  const args = { ...expression.args };
+  const known = spec.params.map(([key]) => key).concat(["maType", "signalMaType"]);
+  Object.keys(args).forEach((key) => {
+    if (!known.includes(key)) {
+      throw new ValidationError(`${expression.fn} has no parameter "${key}" (expected ${known.join(", ")})`);
+    }
+  });
+  spec.params.forEach(([key, value]) => {
+    if (args[key] === undefined && value !== undefined) {
+      args[key] = value;
+    }
+  });
+  const ordered = known.filter((key) => args[key] !== undefined).map((key) => `${key}=${JSON.stringify(args[key])}`);
+  const key = `${expression.fn}(${inputs.map((x) => x.key).concat(ordered).join(",")})`;
+  return { fn: expression.fn, inputs, args, field: expression.field, key };
+}
+
+/**
+ * Evaluates indicator expressions or JSON specs against a candle series.
+ * Nested calls are computed once per evaluation: equal calls, such as the ema(close,12)
+ * shared by two expressions, share one result. Inner calls are padded with NaN, which the
+ * averages and oscillators reading them skip, and the options apply to the outermost call.
+ * A field selects one of the outputs the registry lists for the indicator.
+ * Cached results are keyed by the call and its effective options.
+ * @param {string|Object} expression - An expression, a spec { fn, input, args, field },
+ * or an object of them keyed by name.
+ * @param {Object[]|Object} candles - Array of candle objects, or an object of columns.
+ * @param {Object} options - The options, { pad, mode, gaps, maType, signalMaType, cache }; `cache` is a Map
+ * that keeps results between calls on the same candles.
+ * @returns {*} - The result, or the results keyed by name.
+ * @example
+ * vt.evaluate("ema(rsi(close,14),9)", candles);
+ * vt.evaluate({ fn: "bb", args: { window: 20, mult: 2 }, input: "close", field: "upper" }, candles);
+ * vt.evaluate({ fast: "ema(close,12)", hist: "macd(close,12,26,9).hist" }, candles);
+ */
+export function evaluate(expression, candles, options = {}) {
+  const columns = toColumns(candles);
+  const { cache = new Map(), pad: padding, ...shared } = options;
+  if (!(cache instanceof Map)) {
+    throw new ValidationError(`evaluate: cache must be a Map, got ${cache === null ? "null" : typeof cache}`);
+  }
+  const run = (node, outer) => {
+    if (node.column) {
+      if (!own(columns, node.column)) {
+        throw new ValidationError(`expression needs the "${node.column}" column`);
+      }
+      return columns[node.column];
+    }
+    const { maType, signalMaType, mode = validation.mode, gaps = validation.gaps } = shared;
+    const call = { maType, signalMaType, mode, gaps, ...node.args, pad: outer ? padding || "nan" : "nan" };
+    const key = [node.key, call.pad, call.maType, call.signalMaType, call.mode, call.gaps].join("|");
+    if (!cache.has(key)) {
+      const inputs = {};
+      INDICATORS[node.fn].inputs.forEach((name, k) => (inputs[name] = run(node.inputs[k], false)));
+      cache.set(key, callIndicator(node.fn, { ...columns, ...inputs }, call));
+    }
+    let result = cache.get(key);
+    if (node.field) {
+      const outputs = INDICATORS[node.fn].outputs || [];
+      node.field.split(".").forEach((name, k) => {
+        const nested = result && typeof result === "object" && !Array.isArray(result);
+        const known = k === 0 ? outputs.includes(name) : nested && own(result, name) !== undefined;
+        if (!known) {
+          throw new ValidationError(`${node.fn} has no output "${node.field}"${outputs.length ? ` (expected ${outputs.join(", ")})` : ""}`);
+        }
+        result = result[name];
+      });
+    }
+    return result;
+  };
+  if (expression && typeof expression === "object" && !("fn" in expression)) {
+    const result = {};
+    Object.keys(expression).forEach((name) => (result[name] = run(resolveExpression(expression[name]), true)));
+    return result;
+  }
+  return run(resolveExpression(expression), true);
+}
+
+/**
+ * The tests of the screener conditions, by operator, mapping (left, right) to a signal.
+ */
+const CONDITION_TESTS = {
+  ">": (f, g) => above(f, g),
+  "<": (f, g) => below(f, g),
+  ">=": (f, g) => signal(">=", f.length, (i) => operandAt(f, i) >= operandAt(g, i)),
+  "<=": (f, g) => signal("<=", f.length, (i) => operandAt(f, i) <= operandAt(g, i)),
+  above: (f, g) => above(f, g),
+  below: (f, g) => below(f, g),
+  "crosses above": (f, g) => crossOver(f, g),
+  "crosses below": (f, g) => crossUnder(f, g),
+  rising: (f, n = 1) => risingFor(f, n),
+  falling: (f, n = 1) => fallingFor(f, n),
+};
+
+/**
+ * Reads an operand of a screener condition: a number, an indicator with its defaults and an
+ * optional output key (`rsi`, `adx.adx`, `bb.upper`), a column, or an expression.
+ * @param {string|number|Object} operand - The operand.
+ * @returns {number|string|Object} - The number, or the expression or spec to evaluate.
+ */
+function conditionOperand(operand) {
+  if (typeof operand !== "string") {
+    return operand;
+  }
+  const text = operand.trim();
+  if (text !== "" && !Number.isNaN(Number(text))) {
+    return Number(text);
+  }
+  const match = /^([A-Za-z_$][\w$]*)((?:\.[A-Za-z_$][\w$]*)*)$/.exec(text);
+  if (match && own(INDICATORS, match[1])) {
+    return match[2] ? { fn: match[1], field: match[2].slice(1) } : { fn: match[1] };
+  }
+  return text;
+}
+
+/**
+ * Parses a screener condition such as "rsi < 30", "close crosses above bb.upper" or "obv rising 3".
+ * @param {string|Object} condition - The condition text, or { left, op, right, name }.
+ * @returns {Object} - The condition { name, left, op, right, labels }, with the operand texts as `labels`.
+ */
+function parseCondition(condition) {
+  const label = (x) => (typeof x === "object" ? JSON.stringify(x) : String(x).trim());
+  if (condition && typeof condition === "object") {
+    const { left, op, right, name } = condition;
+    if (!own(CONDITION_TESTS, op)) {
+      throw new ValidationError(`condition operator must be one of ${Object.keys(CONDITION_TESTS).join(", ")}, got "${op}"`);
+    }
+    const text = name || [left, op, right].filter((x) => x !== undefined).map(label).join(" ");
+    return { name: text, left: conditionOperand(left), op, right: conditionOperand(right), labels: [label(left), label(right)] };
+  }
+  const text = String(condition).trim();
+  const match =
+    /^(.+?)\s+(crosses\s+above|crosses\s+below|above|below|rising|falling)(?:\s+(.+))?$/.exec(text) ||
+    /^(.+?)\s*(<=|>=|<|>)\s*(.+)$/.exec(text);
+  if (!match) {
+    throw new ValidationError(`cannot read the condition "${text}", expected e.g. "rsi < 30" or "close crosses above bb.upper"`);
+  }
+  const op = match[2].replace(/\s+/, " ");
+  const right = match[3] === undefined ? undefined : conditionOperand(match[3]);
+  if ((op === "rising" || op === "falling") && right !== undefined && typeof right !== "number") {
+    throw new ValidationError(`condition "${text}": ${op} takes a number of bars`);
+  }
+  if (op !== "rising" && op !== "falling" && right === undefined) {
+    throw new ValidationError(`condition "${text}": ${op} needs a right-hand side`);
+  }
+  return { name: text, left: conditionOperand(match[1]), op, right, labels: [label(match[1]), label(match[3])] };
+}
+
+/**
+ * Screens many instruments with indicator conditions, evaluated on the latest bar or over the
+ * last `lookback` bars. Each instrument is computed and released in turn, sharing indicator results
+ * between its conditions, so thousands of instruments fit in one process. An instrument whose data
+ * fails validation (e.g. too short for a window) is reported in `errors` instead of stopping the screen.
+ * Matches are ranked by the number of conditions met, then by `rank`, then by the most recent trigger.
+ * @param {Object} universe - The candles of each instrument, keyed by symbol.
+ * @param {Array} conditions - The conditions: text such as "rsi < 30", "adx.adx > 25", "close above bb.upper"
+ * or "obv rising 3", or { left, op, right, name } objects with expressions or specs as operands.
+ * @param {Object} options - The options.
+ * @param {number} options.lookback - The number of latest bars a condition may be met on (default 1).
+ * @param {string} options.match - "all" (default) for instruments meeting every condition, or "any".
+ * @param {string|Object} options.rank - An expression whose latest value ranks the matches.
+ * @param {string} options.order - The rank order, "desc" (default) or "asc".
+ * @param {number} options.history - Compute on the latest `history` bars only, to save time on long series.
+ * @param {number} options.limit - The number of matches to return.
+ * @returns {Object} - The ranked matches, each { symbol, score, rank, conditions } where each condition met
+ * reports { name, index, time, barsAgo, values }, and the errors, each { symbol, error }.
+ * @example
+ * vt.screen(universe, ["rsi < 30", "close above bb.lower", "obv rising 3"], { lookback: 5, rank: "adx().adx" });
+ */
+export function screen(universe, conditions, options = {}) {
+  const { lookback = 1, match = "all", rank, order = "desc", history, limit, ...shared } = options;
+  checkWindow("screen", "lookback", lookback);
+  if (history !== undefined) {
+    checkWindow("screen", "history", history);
+  }
+  if (match !== "all" && match !== "any") {
+    throw new ValidationError(`match must be all or any, got "${match}"`);
+  }
+  if (order !== "desc" && order !== "asc") {
+    throw new ValidationError(`order must be desc or asc, got "${order}"`);
+  }
+  const parsed = [].concat(conditions).map(parseCondition);
+  const ranking = conditionOperand(rank);
+  const matches = [];
+  const errors = [];
+  Object.keys(universe).forEach((symbol) => {
+    try {
+      let columns = toColumns(universe[symbol]);
+      const first = Object.keys(columns)[0];
+      const len = first ? columns[first].length : 0;
+      const skip = history !== undefined ? Math.max(0, len - history) : 0;
+      if (skip) {
+        const recent = {};
+        Object.keys(columns).forEach((k) => (recent[k] = columns[k].slice(skip)));
+        columns = recent;
+      }
+      const cache = new Map();
+      const series = (operand) =>
+        typeof operand === "number" ? operand : oscillatorLine(evaluate(operand, columns, { ...shared, cache }));
+      const met = [];
+      parsed.forEach(({ name, left, op, right, labels }) => {
+        const f = series(left);
+        const g = op === "rising" || op === "falling" ? right : series(right);
+        const flags = CONDITION_TESTS[op](f, g);
+        for (let i = flags.length - 1; i >= Math.max(0, flags.length - lookback); i--) {
+          if (flags[i]) {
+            const values = { [labels[0]]: f[i] };
+            if (typeof g !== "number" && g !== undefined) {
+              values[labels[1]] = g[i];
+            }
+            const time = columns.time ? columns.time[i] : undefined;
+            met.push({ name, index: i + skip, time, barsAgo: flags.length - 1 - i, values });
+            break;
+          }
+        }
+      });
+      if (match === "all" ? met.length === parsed.length : met.length > 0) {
+        const ranked = ranking === undefined ? undefined : finite(series(ranking)).pop();
+        matches.push({ symbol, score: met.length, rank: ranked, conditions: met });
+      }
+    } catch (e) {
+      if (!(e instanceof ValidationError)) {
+        throw e;
+      }
+      errors.push({ symbol, error: e.message });
+    }
+  });
+  const recency = (m) => Math.min(...m.conditions.map((c) => c.barsAgo));
+  const rankValue = (m) => (m.rank === undefined || Number.isNaN(m.rank) ? -Infinity : order === "desc" ? m.rank : -m.rank);
+  matches.sort((a, b) => b.score - a.score || rankValue(b) - rankValue(a) || recency(a) - recency(b) || (a.symbol < b.symbol ? -1 : 1));
+  return { matches: limit !== undefined ? matches.slice(0, limit) : matches, errors };
+}
+
+
+/**
+ * Turns declarative entry/exit rules into a strategy callback.
+ * Each rule is a boolean series (e.g. built from indicator outputs) or a function of (i, context).
+ * @param {Object} rules - The rules, { longEntry, longExit, shortEntry, shortExit }.
+ * @returns {function} - The strategy callback.
+ */
+function ruleStrategy(rules) {
+  const test = (rule, i, context) => {
+    if (!rule) {
+      return false;
+    }
+    return Boolean(typeof rule === "function" ? rule(i, context) : rule[i]);
+  };
+  return (i, context) => {
+    const side = context.position;
+    let target = side;
+    if ((side > 0 && test(rules.longExit, i, context)) || (side < 0 && test(rules.shortExit, i, context))) {
+      target = 0;
+    }
+    if (side <= 0 && test(rules.longEntry, i, context)) {
+      target = 1;
+    } else if (side >= 0 && test(rules.shortEntry, i, context)) {
+      target = -1;
+    }
+    return target;
+  };
+}
+
+/**
+ * Simulates a strategy over a candle series.
+ * The strategy is asked for a target position (1 long, -1 short, 0 flat, undefined to hold)
+ * at the close of each bar, and the order is filled at the open of the next bar. The context
+ * holds the position, equity, cash and the columns up to the current bar, so a callback cannot
+ * read ahead; rule series are built by the caller and must not look ahead either.
+ * @param {Object[]|Object} candles - Array of candle objects, or an object of columns.
+ * @param {function|Object} strategy - A callback (i, context) or declarative rules { longEntry, longExit, shortEntry, shortExit }.
+ * @param {Object} options - The options.
+ * @param {number} options.capital - The initial capital (default 10000).
+ * @param {number} options.size - The fraction of equity committed per position (default 1).
+ * @param {number} options.units - A fixed position size in units, overriding size.
+ * @param {number} options.commission - The commission as a fraction of traded value (default 0).
+ * @param {number} options.slippage - The adverse slippage as a fraction of the fill price (default 0).
+ * @returns {Object} - The closed trades, the open trade, the equity curve and the per-bar positions.
+ */
+export function backtest(candles, strategy, options = {}) {
+  const columns = toColumns(candles);
+  if (!columns.close) {
+    throw new ValidationError("backtest needs the \"close\" column");
+  }
+  const { capital = 10000, size = 1, units, commission = 0, slippage = 0 } = options;
+  checkNumber("backtest", "capital", capital, (x) => x > 0, "positive");
+  checkNumber("backtest", "size", size, (x) => x > 0, "positive");
+  if (units !== undefined) {
+    checkNumber("backtest", "units", units, (x) => x > 0, "positive");
+  }
+  checkNumber("backtest", "commission", commission, (x) => x >= 0 && x < 1, "at least 0 and below 1");
+  checkNumber("backtest", "slippage", slippage, (x) => x >= 0 && x < 1, "at least 0 and below 1");
+  const decide = typeof strategy === "function" ? strategy : ruleStrategy(strategy);
+  const [$open, $close] = check("backtest", options, { $open: columns.open || columns.close, $close: columns.close });
+  const $time = columns.time || [];
+  const trades = [];
+  const equity = [];
+  const positions = [];
+  let cash = capital;
+  let quantity = 0;
+  let side = 0;
+  let trade = null;
+  let pending;
+
+  const fill = (i, target) => {
+    if (trade) {
+      const price = $open[i] * (side > 0 ? 1 - slippage : 1 + slippage);
+      const fee = Math.abs(quantity) * price * commission;
+      cash += quantity * price - fee;
+      trade.exitIndex = i;
+      trade.exitTime = $time[i];
+      trade.exitPrice = price;
+      trade.commission += fee;
+      trade.pnl = side * trade.quantity * (price - trade.entryPrice) - trade.commission;
+      trade.return = trade.pnl / (trade.quantity * trade.entryPrice);
+      trades.push(trade);
+      trade = null;
+      quantity = 0;
+    }
+    side = target;
+    if (side !== 0) {
+      const price = $open[i] * (side > 0 ? 1 + slippage : 1 - slippage);
+      const amount = units !== undefined ? units : (cash * size) / (price * (1 + commission));
+      const fee = amount * price * commission;
+      quantity = side * amount;
+      cash -= quantity * price + fee;
+      trade = {
+        side: side > 0 ? "long" : "short",
+        entryIndex: i,
+        entryTime: $time[i],
+        entryPrice: price,
+        quantity: amount,
+        commission: fee,
+      };
+    }
+  };
+
+  for (let i = 0, len = $close.length; i < len; i++) {
+    if (pending !== undefined && pending !== side) {
+      fill(i, pending);
+    }
+    pending = undefined;
+    positions.push(side);
+    equity.push(cash + quantity * $close[i]);
+    let seen;
+    const context = {
+      position: side,
+      equity: equity[i],
+      cash,
+      get columns() {
+        return seen || (seen = Object.fromEntries(Object.keys(columns).map((k) => [k, columns[k].slice(0, i + 1)])));
+      },
+    };
+    const target = decide(i, context);
+    if (target !== undefined && target !== null) {
+      if (typeof target !== "number" || Number.isNaN(target)) {
+        throw new ValidationError(`backtest: the strategy returned ${String(target)} at bar ${i}, expected 1, -1, 0 or undefined`);
+      }
+      pending = Math.sign(target);
+    }
+  }
+  return { trades, openTrade: trade, equity, positions };
+}
+
+
+/**
+ * Reads an operand of a signal at a bar: a series value, or a constant threshold.
+ * Values that are not finite numbers, such as warm-up padding, read as NaN so every comparison fails.
+ * @param {number[]|number} operand - The series or threshold.
+ * @param {number} i - The bar index.
+ * @returns {number} - The operand value.
+ */
+function operandAt(operand, i) {
+  const x = typeof operand === "number" ? operand : operand[i];
+  return typeof x === "number" && isFinite(x) ? x : NaN;
+}
+
+/**
+ * Checks the operands of a signal and returns the length of its series.
+ * @param {string} fn - The signal name.
+ * @param {...(number[]|number)} operands - The series or thresholds; at least one must be a series.
+ * @returns {number} - The series length.
+ */
+function signalLength(fn, ...operands) {
+  const serieses = operands.filter((x) => typeof x !== "number");
+  serieses.forEach((x) => {
+    if (!Array.isArray(x) && !ArrayBuffer.isView(x)) {
+      throw new ValidationError(`${fn}: operands must be series or numbers`);
+    }
+  });
+  if (!serieses.length) {
+    throw new ValidationError(`${fn}: needs at least one series`);
+  }
+  checkLengths(fn, ...serieses);
+  return serieses[0].length;
+}
+
+/**
+ * Builds a boolean signal series and attaches its events, the bars where it turns true.
+ * @param {string} type - The event type.
+ * @param {number} len - The series length.
+ * @param {function} test - Maps a bar index to whether the signal is on.
+ * @returns {boolean[]} - The per-bar signal, carrying its events as `events`, each { index, type }.
+ */
+function signal(type, len, test) {
+  const result = new Array(len);
+  const events = [];
+  for (let i = 0; i < len; i++) {
+    result[i] = Boolean(test(i));
+    if (result[i] && !(i > 0 && result[i - 1])) {
+      events.push({ index: i, type });
+    }
+  }
+  result.events = events;
+  return result;
+}
+
+/**
+ * Flags the bars where a series crosses above another series or a threshold:
+ * it is above on this bar and was at or below on the previous one.
+ * @param {number[]} f - The crossing series.
+ * @param {number[]|number} g - The series or threshold crossed.
+ * @returns {boolean[]} - The signal, with its `events`.
+ */
+export function crossOver(f, g) {
+  const len = signalLength("crossOver", f, g);
+  return signal("crossOver", len, (i) => i > 0 && operandAt(f, i) > operandAt(g, i) && operandAt(f, i - 1) <= operandAt(g, i - 1));
+}
+
+/**
+ * Flags the bars where a series crosses below another series or a threshold:
+ * it is below on this bar and was at or above on the previous one.
+ * @param {number[]} f - The crossing series.
+ * @param {number[]|number} g - The series or threshold crossed.
+ * @returns {boolean[]} - The signal, with its `events`.
+ */
+export function crossUnder(f, g) {
+  const len = signalLength("crossUnder", f, g);
+  return signal("crossUnder", len, (i) => i > 0 && operandAt(f, i) < operandAt(g, i) && operandAt(f, i - 1) >= operandAt(g, i - 1));
+}
+
+/**
+ * Flags the bars where a series is above another series or a threshold.
+ * @param {number[]} f - The series.
+ * @param {number[]|number} g - The series or threshold compared with.
+ * @returns {boolean[]} - The signal, with its `events` where it turns true.
+ */
+export function above(f, g) {
+  const len = signalLength("above", f, g);
+  return signal("above", len, (i) => operandAt(f, i) > operandAt(g, i));
+}
+
+/**
+ * Flags the bars where a series is below another series or a threshold.
+ * @param {number[]} f - The series.
+ * @param {number[]|number} g - The series or threshold compared with.
+ * @returns {boolean[]} - The signal, with its `events` where it turns true.
+ */
+export function below(f, g) {
+  const len = signalLength("below", f, g);
+  return signal("below", len, (i) => operandAt(f, i) < operandAt(g, i));
+}
+
+/**
+ * Flags the bars where a series has risen on each of the last `n` bars.
+ * @param {number[]} series - The input series.
+ * @param {number} n - The number of rising bars (default 1).
+ * @returns {boolean[]} - The signal, with its `events` where it turns true.
+ */
+export function risingFor(series, n = 1) {
+  const len = signalLength("risingFor", series);
+  checkWindow("risingFor", "n", n);
+  let run = 0;
+  return signal("risingFor", len, (i) => {
+    run = i > 0 && operandAt(series, i) > operandAt(series, i - 1) ? run + 1 : 0;
+    return run >= n;
+  });
+}
+
+/**
+ * Flags the bars where a series has fallen on each of the last `n` bars.
+ * @param {number[]} series - The input series.
+ * @param {number} n - The number of falling bars (default 1).
+ * @returns {boolean[]} - The signal, with its `events` where it turns true.
+ */
+export function fallingFor(series, n = 1) {
+  const len = signalLength("fallingFor", series);
+  checkWindow("fallingFor", "n", n);
+  let run = 0;
+  return signal("fallingFor", len, (i) => {
+    run = i > 0 && operandAt(series, i) < operandAt(series, i - 1) ? run + 1 : 0;
+    return run >= n;
+  });
+}
+
+/**
+ * Counts the bars since a condition was last true: 0 on a bar where it is true, NaN before it first is.
+ * @param {Array} condition - The per-bar condition, such as a signal or pattern flags.
+ * @returns {number[]} - The bar counts.
+ */
+export function barsSince(condition) {
+  signalLength("barsSince", condition);
+  let last = -1;
+  return Array.from(condition, (on, i) => {
+    last = on ? i : last;
+    return last < 0 ? NaN : i - last;
+  });
+}
+
+/**
+ * Reads a series at the bar where a condition was last true, or the `occurrence`-th time before that.
+ * NaN until the condition has been true `occurrence + 1` times.
+ * @param {Array} condition - The per-bar condition, such as a signal or pattern flags.
+ * @param {number[]} series - The series to read.
+ * @param {number} occurrence - The occurrence, 0 for the latest (default 0).
+ * @returns {number[]} - The series values at the occurrences.
+ */
+export function valueWhen(condition, series, occurrence = 0) {
+  signalLength("valueWhen", condition, series);
+  if (!Number.isInteger(occurrence) || occurrence < 0) {
+    throw new ValidationError(`valueWhen: occurrence must be a non-negative integer, got ${occurrence}`);
+  }
+  const hits = [];
+  return Array.from(condition, (on, i) => {
+    if (on) {
+      hits.push(i);
+    }
+    const k = hits.length - 1 - occurrence;
+    return k < 0 ? NaN : series[hits[k]];
+  });
+}
+
+/**
+ * Combines signals bar by bar: true where all of them are.
+ * @param {...Array} conditions - The signals, or any per-bar truthy series.
+ * @returns {boolean[]} - The combined signal, with its `events` where it turns true.
+ */
+export function and(...conditions) {
+  const len = signalLength("and", ...conditions);
+  return signal("and", len, (i) => conditions.every((c) => c[i]));
+}
+
+/**
+ * Combines signals bar by bar: true where any of them is.
+ * @param {...Array} conditions - The signals, or any per-bar truthy series.
+ * @returns {boolean[]} - The combined signal, with its `events` where it turns true.
+ */
+export function or(...conditions) {
+  const len = signalLength("or", ...conditions);
+  return signal("or", len, (i) => conditions.some((c) => c[i]));
+}
+
+/**
+ * Negates a signal bar by bar.
+ * @param {Array} condition - The signal, or any per-bar truthy series.
+ * @returns {boolean[]} - The negated signal, with its `events` where it turns true.
+ */
+export function not(condition) {
+  const len = signalLength("not", condition);
+  return signal("not", len, (i) => !condition[i]);
+}
+
+
+/**
+ * Keeps the finite values of a series, so metrics skip warm-up padding and gaps.
+ * @param {number[]} series - The input series.
+ * @returns {number[]} - The finite values.
+ */
+function finite(series) {
+  return Array.from(series).filter((x) => typeof x === "number" && isFinite(x));
+}
+
+/**
+ * Calculates the quantile of a series with linear interpolation.
+ * @param {number[]} series - The input series.
+ * @param {number} q - The quantile, between 0 and 1.
+ * @returns {number} - The quantile value.
+ */
+function quantile(series, q) {
+  const sorted = finite(series).sort((a, b) => a - b);
+  if (!sorted.length) {
+    return NaN;
+  }
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Approximates the inverse of the standard normal cumulative distribution (Acklam).
+ * @param {number} p - The probability, between 0 and 1.
+ * @returns {number} - The standard normal quantile.
+ */
+function normInv(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+  if (p < low || p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(p < low ? p : 1 - p));
+    const x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return p < low ? x : -x;
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Calculates the simple returns of a price or equity series.
+ * @param {number[]} series - The input series.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The simple returns.
+ */
+export function returns(series, options) {
+  [series] = check("returns", options, { series });
+  const result = [];
+  for (let i = 0, len = series.length; i < len; i++) {
+    result.push(i === 0 ? NaN : series[i] / series[i - 1] - 1);
+  }
+  return pad(result, 1, options);
+}
+
+/**
+ * Calculates the logarithmic returns of a price or equity series.
+ * @param {number[]} series - The input series.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The log returns.
+ */
+export function logReturns(series, options) {
+  [series] = check("logReturns", options, { series });
+  const result = [];
+  for (let i = 0, len = series.length; i < len; i++) {
+    result.push(i === 0 ? NaN : Math.log(series[i] / series[i - 1]));
+  }
+  return pad(result, 1, options);
+}
+
+/**
+ * Calculates the cumulative return of a price or equity series.
+ * @param {number[]} series - The input series.
+ * @param {Object} options - The options, { mode, gaps }; lenient by default.
+ * @returns {number} - The cumulative return.
+ */
+export function cumulativeReturn(series, options) {
+  [series] = check("cumulativeReturn", { mode: "lenient", ...options }, { series });
+  const values = finite(series);
+  return values[values.length - 1] / values[0] - 1;
+}
+
+/**
+ * Calculates the Compound Annual Growth Rate (CAGR) of a price or equity series.
+ * @param {number[]} series - The input series.
+ * @param {number} periodsPerYear - The number of bars per year (default 252).
+ * @param {Object} options - The options, { mode, gaps }; lenient by default.
+ * @returns {number} - The CAGR.
+ */
+export function cagr(series, periodsPerYear = 252, options) {
+  checkNumber("cagr", "periodsPerYear", periodsPerYear, (x) => x > 0, "positive");
+  [series] = check("cagr", { mode: "lenient", ...options }, { series });
+  const values = finite(series);
+  return Math.pow(values[values.length - 1] / values[0], periodsPerYear / (values.length - 1)) - 1;
+}
+
+/**
+ * Calculates the annualized volatility of a returns series.
+ * @param {number[]} series - The returns series.
+ * @param {number} periodsPerYear - The number of bars per year (default 252).
+ * @param {Object} options - The options, { mode, gaps }; lenient by default.
+ * @returns {number} - The annualized volatility.
+ */
+export function volatility(series, periodsPerYear = 252, options) {
+  checkNumber("volatility", "periodsPerYear", periodsPerYear, (x) => x > 0, "positive");
+  [series] = check("volatility", { mode: "lenient", ...options }, { series });
+  return sd(finite(series), PARTIAL) * Math.sqrt(periodsPerYear);
+}
+
+/**
+ * Calculates the annualized Sharpe ratio of a returns series.
+ * @param {number[]} series - The returns series.
+ * @param {number} riskFree - The risk-free return per bar (default 0).
+ * @param {number} periodsPerYear - The number of bars per year (default 252).
+ * @param {Object} options - The options, { mode, gaps }; lenient by default.
+ * @returns {number} - The Sharpe ratio.
+ */
+export function sharpe(series, riskFree = 0, periodsPerYear = 252, options) {
+  checkNumber("sharpe", "riskFree", riskFree, () => true, "a number");
+  checkNumber("sharpe", "periodsPerYear", periodsPerYear, (x) => x > 0, "positive");
+  [series] = check("sharpe", { mode: "lenient", ...options }, { series });
+  const excess = finite(series).map((r) => r - riskFree);
+  return (mean(excess, PARTIAL) / sd(excess, PARTIAL)) * Math.sqrt(periodsPerYear);
+}
+
+/**
+ * Calculates the annualized Sortino ratio of a returns series.
+ * @param {number[]} series - The returns series.
+ * @param {number} target - The target return per bar (default 0).
+ * @param {number} periodsPerYear - The number of bars per year (default 252).
+ * @param {Object} options - The options, { mode, gaps }; lenient by default.
+ * @returns {number} - The Sortino ratio.
+ */
+export function sortino(series, target = 0, periodsPerYear = 252, options) {
+  checkNumber("sortino", "target", target, () => true, "a number");
+  checkNumber("sortino", "periodsPerYear", periodsPerYear, (x) => x > 0, "positive");
+  [series] = check("sortino", { mode: "lenient", ...options }, { series });
+  const excess = finite(series).map((r) => r - target);
+  const downside = Math.sqrt(mean(excess.map((x) => (x < 0 ? x * x : 0)), PARTIAL));
+  return (mean(excess, PARTIAL) / downside) * Math.sqrt(periodsPerYear);
+}
+
+/**
+ * Calculates the drawdown of a price or equity series from its running peak.
+ * Non-finite values, such as warm-up padding, give NaN and leave the peak unchanged.
+ * @param {number[]} series - The input series.
+ * @param {Object} options - The options, { mode, gaps }; lenient by default.
+ * @returns {number[]} - The drawdown at each bar, as a positive fraction of the peak.
+ */
+export function drawdown(series, options) {
+  [series] = check("drawdown", { mode: "lenient", ...options }, { series });
+  let peak = -Infinity;
+  return Array.from(series, (x) => {
+    if (typeof x !== "number" || !isFinite(x)) {
+      return NaN;
+    }
+    peak = Math.max(peak, x);
+    return 1 - x / peak;
+  });
+}
+
+/**
+ * Calculates the maximum drawdown of a price or equity series and its duration.
+ * @param {number[]} series - The input series.
+ * @param {Object} options - The options, { mode, gaps }; lenient by default.
+ * @returns {Object} - The drawdown (positive fraction), the peak, trough and recovery indices,
+ * and the duration in bars from the peak to the recovery (or the end of the series).
+ */
+export function maxDrawdown(series, options) {
+  [series] = check("maxDrawdown", { mode: "lenient", ...options }, { series });
+  const dd = drawdown(series, PARTIAL);
+  let trough = -1;
+  dd.forEach((x, i) => {
+    if (x > 0 && (trough < 0 || x > dd[trough])) {
+      trough = i;
+    }
+  });
+  if (trough < 0) {
+    return { drawdown: 0, peak: -1, trough: -1, recovery: -1, duration: 0 };
+  }
+  let peak = trough;
+  while (peak > 0 && dd[peak] !== 0) {
+    peak--;
+  }
+  let recovery = dd.findIndex((x, i) => i > trough && x === 0);
+  const duration = (recovery < 0 ? dd.length - 1 : recovery) - peak;
+  return { drawdown: dd[trough], peak, trough, recovery, duration };
+}
+
+/**
+ * Calculates the Calmar ratio of a price or equity series.
+ * @param {number[]} series - The input series.
+ * @param {number} periodsPerYear - The number of bars per year (default 252).
+ * @param {Object} options - The options, { mode, gaps }; lenient by default.
+ * @returns {number} - The CAGR divided by the maximum drawdown.
+ */
+export function calmar(series, periodsPerYear = 252, options) {
+  [series] = check("calmar", { mode: "lenient", ...options }, { series });
+  return cagr(series, periodsPerYear, PARTIAL) / maxDrawdown(finite(series), PARTIAL).drawdown;
+}
+
+/**
+ * Pairs two series and keeps the bars where both are finite.
+ * @param {number[]} f - The first input series.
+ * @param {number[]} g - The second input series.
+ * @returns {number[][]} - The finite values of f and g.
+ */
+function finitePairs(f, g) {
+  const pairs = pointwise((a, b) => [a, b], f, g).filter(([a, b]) => isFinite(a) && isFinite(b) && a !== null && b !== null);
+  return [pairs.map((p) => p[0]), pairs.map((p) => p[1])];
+}
+
+/**
+ * Calculates the beta of a returns series against a benchmark.
+ * @param {number[]} series - The returns series.
+ * @param {number[]} benchmark - The benchmark returns series.
+ * @param {Object} options - The options, { mode, gaps }; lenient by default.
+ * @returns {number} - The beta.
+ */
+export function beta(series, benchmark, options) {
+  [series, benchmark] = check("beta", { mode: "lenient", ...options }, { series, benchmark });
+  const [r, b] = finitePairs(series, benchmark);
+  return cov(r, b) / cov(b, b);
+}
+
+/**
+ * Calculates the annualized Jensen's alpha of a returns series against a benchmark.
+ * @param {number[]} series - The returns series.
+ * @param {number[]} benchmark - The benchmark returns series.
+ * @param {number} riskFree - The risk-free return per bar (default 0).
+ * @param {number} periodsPerYear - The number of bars per year (default 252).
+ * @param {Object} options - The options, { mode, gaps }; lenient by default.
+ * @returns {number} - The alpha.
+ */
+export function alpha(series, benchmark, riskFree = 0, periodsPerYear = 252, options) {
+  checkNumber("alpha", "riskFree", riskFree, () => true, "a number");
+  checkNumber("alpha", "periodsPerYear", periodsPerYear, (x) => x > 0, "positive");
+  [series, benchmark] = check("alpha", { mode: "lenient", ...options }, { series, benchmark });
+  const [r, b] = finitePairs(series, benchmark);
+  return (mean(r, PARTIAL) - riskFree - beta(r, b, PARTIAL) * (mean(b, PARTIAL) - riskFree)) * periodsPerYear;
+}
+
+/**
+ * Calculates the beta of a returns series against a benchmark using a rolling window.
+ * @param {number[]} series - The returns series.
+ * @param {number[]} benchmark - The benchmark returns series.
+ * @param {number} window - The window size.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The rolling beta values.
+ */
+export function rollingBeta(series, benchmark, window, options) {
+  [series, benchmark] = check("rollingBeta", options, { series, benchmark }, { window });
+  const pairs = pointwise((a, b) => [a, b], series, benchmark);
+  const result = rolling((s) => beta(s.map((p) => p[0]), s.map((p) => p[1]), PARTIAL), pairs, window);
+  return pad(result, window - 1, options);
+}
+
+/**
+ * Calculates the annualized alpha of a returns series against a benchmark using a rolling window.
+ * @param {number[]} series - The returns series.
+ * @param {number[]} benchmark - The benchmark returns series.
+ * @param {number} window - The window size.
+ * @param {number} riskFree - The risk-free return per bar (default 0).
+ * @param {number} periodsPerYear - The number of bars per year (default 252).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The rolling alpha values.
+ */
+export function rollingAlpha(series, benchmark, window, riskFree = 0, periodsPerYear = 252, options) {
+  [series, benchmark] = check("rollingAlpha", options, { series, benchmark }, { window });
+  const pairs = pointwise((a, b) => [a, b], series, benchmark);
+  const result = rolling(
+    (s) => alpha(s.map((p) => p[0]), s.map((p) => p[1]), riskFree, periodsPerYear, PARTIAL),
+    pairs,
+    window
+  );
+  return pad(result, window - 1, options);
+}
+
+/**
+ * Calculates the Value at Risk (VaR) of a returns series.
+ * @param {number[]} series - The returns series.
+ * @param {number} confidence - The confidence level (default 0.95).
+ * @param {string} method - "historical" (default) or "parametric" (normal distribution).
+ * @param {Object} options - The options, { mode, gaps }; lenient by default.
+ * @returns {number} - The VaR, as a positive loss per bar.
+ */
+export function valueAtRisk(series, confidence = 0.95, method = "historical", options) {
+  checkNumber("valueAtRisk", "confidence", confidence, (x) => x > 0 && x < 1, "between 0 and 1");
+  [series] = check("valueAtRisk", { mode: "lenient", ...options }, { series });
+  const values = finite(series);
+  if (method === "parametric") {
+    return -(mean(values, PARTIAL) + normInv(1 - confidence) * sd(values, PARTIAL));
+  }
+  if (method !== "historical") {
+    throw new ValidationError(`method must be "historical" or "parametric", got "${method}"`);
+  }
+  return -quantile(values, 1 - confidence);
+}
+
+/**
+ * Calculates the Expected Shortfall (conditional VaR) of a returns series.
+ * @param {number[]} series - The returns series.
+ * @param {number} confidence - The confidence level (default 0.95).
+ * @param {Object} options - The options, { mode, gaps }; lenient by default.
+ * @returns {number} - The mean loss beyond the historical VaR, as a positive number.
+ */
+export function expectedShortfall(series, confidence = 0.95, options) {
+  checkNumber("expectedShortfall", "confidence", confidence, (x) => x > 0 && x < 1, "between 0 and 1");
+  [series] = check("expectedShortfall", { mode: "lenient", ...options }, { series });
+  const threshold = quantile(series, 1 - confidence);
+  return -mean(finite(series).filter((r) => r <= threshold), PARTIAL);
+}
+
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32), so random searches can be repeated.
+ * @param {number} seed - The seed.
+ * @returns {function} - Returns the next number in [0, 1).
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * The objectives a search can maximize, by name, over the metrics of a run.
+ */
+const OBJECTIVES = {
+  return: (m) => m.return,
+  cagr: (m) => m.cagr,
+  sharpe: (m) => m.sharpe,
+  sortino: (m) => m.sortino,
+  calmar: (m) => m.calmar,
+  hitRate: (m) => m.hitRate,
+  profitFactor: (m) => m.profitFactor,
+  drawdown: (m) => -m.maxDrawdown,
+};
+
+/**
+ * Measures a backtest from a bar on: the return, risk ratios, maximum drawdown and trade statistics.
+ * @param {Object} result - The backtest result.
+ * @param {number} from - The first measured bar.
+ * @param {number} periodsPerYear - The number of bars per year.
+ * @returns {Object} - The metrics { return, cagr, sharpe, sortino, calmar, maxDrawdown, trades, hitRate, profitFactor }.
+ */
+function runMetrics(result, from, periodsPerYear) {
+  const equity = result.equity.slice(from);
+  const trades = result.trades.filter((t) => t.entryIndex >= from);
+  const changes = returns(equity, PARTIAL);
+  const wins = trades.filter((t) => t.pnl > 0);
+  const gains = wins.reduce((sum, t) => sum + t.pnl, 0);
+  const losses = trades.reduce((sum, t) => sum + Math.min(t.pnl, 0), 0);
+  const drawn = maxDrawdown(equity).drawdown;
+  const annual = equity.length > 1 ? cagr(equity, periodsPerYear) : 0;
+  return {
+    return: equity.length ? equity[equity.length - 1] / equity[0] - 1 : 0,
+    cagr: annual,
+    sharpe: sharpe(changes, 0, periodsPerYear),
+    sortino: sortino(changes, 0, periodsPerYear),
+    calmar: drawn > 0 ? annual / drawn : NaN,
+    maxDrawdown: drawn,
+    trades: trades.length,
+    hitRate: trades.length ? wins.length / trades.length : NaN,
+    profitFactor: losses < 0 ? gains / -losses : NaN,
+  };
+}
+
+/**
+ * Lists the values of one dimension of a parameter space.
+ * @param {string} name - The parameter name.
+ * @param {*} range - The values: an array, { min, max, step }, or a fixed value.
+ * @returns {Array|null} - The values, or null for a continuous range without step.
+ */
+function spaceValues(name, range) {
+  if (Array.isArray(range)) {
+    if (!range.length) {
+      throw new ValidationError(`parameter "${name}" has no values`);
+    }
+    return range;
+  }
+  if (!range || typeof range !== "object") {
+    return [range];
+  }
+  const { min, max } = range;
+  if (typeof min !== "number" || typeof max !== "number" || !(min <= max)) {
+    throw new ValidationError(`parameter "${name}" needs numbers min <= max, got ${min} and ${max}`);
+  }
+  const step = range.step !== undefined ? range.step : Number.isInteger(min) && Number.isInteger(max) ? 1 : undefined;
+  if (step === undefined) {
+    return null;
+  }
+  if (!(step > 0)) {
+    throw new ValidationError(`parameter "${name}" needs a positive step, got ${step}`);
+  }
+  const values = [];
+  for (let k = 0; min + k * step <= max + step * 1e-9; k++) {
+    values.push(Number((min + k * step).toPrecision(12)));
+  }
+  return values;
+}
+
+/**
+ * Backtests the strategy built from a parameter set, trading from a bar on.
+ * @param {Object} columns - The columns.
+ * @param {function} build - Builds a strategy from (params, columns).
+ * @param {Object} params - The parameters.
+ * @param {number} from - The first bar the strategy may trade on; earlier bars only warm indicators up.
+ * @param {Object} options - The search options, { backtest, periodsPerYear }.
+ * @returns {Object} - The metrics of the run.
+ */
+function runStrategy(columns, build, params, from, options) {
+  const strategy = build(params, columns);
+  const decide = typeof strategy === "function" ? strategy : ruleStrategy(strategy);
+  const result = backtest(columns, (i, context) => (i < from ? 0 : decide(i, context)), options.backtest);
+  return runMetrics(result, from, options.periodsPerYear || 252);
+}
+
+/**
+ * Lists the parameter sets of a search.
+ * @param {Object} space - The parameter space.
+ * @param {Object} options - The search options, { method, samples, seed, constraint, maxRuns }.
+ * @returns {Object[]} - The parameter sets.
+ */
+function searchSpace(space, options) {
+  const { method = "grid", samples = 100, seed = 1, constraint, maxRuns = 10000 } = options;
+  if (method !== "grid" && method !== "random") {
+    throw new ValidationError(`method must be grid or random, got "${method}"`);
+  }
+  const names = Object.keys(space || {});
+  const values = names.map((name) => spaceValues(name, space[name]));
+  const allowed = (params) => !constraint || constraint(params);
+  let sets = [];
+  if (method === "grid") {
+    names.forEach((name, k) => {
+      if (!values[k]) {
+        throw new ValidationError(`grid search needs a step for parameter "${name}"`);
+      }
+    });
+    const total = values.reduce((product, v) => product * v.length, 1);
+    if (total > maxRuns) {
+      throw new ValidationError(`the grid has ${total} parameter sets, more than maxRuns ${maxRuns}`);
+    }
+    sets = [{}];
+    names.forEach((name, k) => {
+      sets = [].concat(...sets.map((params) => values[k].map((value) => ({ ...params, [name]: value }))));
+    });
+    return sets.filter(allowed);
+  }
+  checkWindow("optimize", "samples", samples);
+  if (samples > maxRuns) {
+    throw new ValidationError(`${samples} samples are more than maxRuns ${maxRuns}`);
+  }
+  const random = seededRandom(seed);
+  const seen = new Set();
+  for (let draw = 0; sets.length < samples && draw < samples * 20; draw++) {
+    const params = {};
+    names.forEach((name, k) => {
+      const range = space[name];
+      params[name] = values[k]
+        ? values[k][Math.floor(random() * values[k].length)]
+        : range.min + random() * (range.max - range.min);
+    });
+    const key = JSON.stringify(params);
+    if (!seen.has(key) && allowed(params)) {
+      seen.add(key);
+      sets.push(params);
+    }
+  }
+  return sets;
+}
+
+/**
+ * Runs and scores one parameter set.
+ * @param {Object} columns - The columns.
+ * @param {function} build - Builds a strategy from (params, columns).
+ * @param {Object} params - The parameters.
+ * @param {number} from - The first bar the strategy may trade on.
+ * @param {Object} options - The search options.
+ * @returns {Object} - The run { params, score, metrics } or { params, score: NaN, error }.
+ */
+function scoreRun(columns, build, params, from, options) {
+  const { objective = "return" } = options;
+  const score = typeof objective === "function" ? objective : OBJECTIVES[objective];
+  if (!score) {
+    throw new ValidationError(`objective must be a function or one of ${Object.keys(OBJECTIVES).join(", ")}, got "${objective}"`);
+  }
+  try {
+    const metrics = runStrategy(columns, build, params, from, options);
+    return { params, score: score(metrics), metrics };
+  } catch (e) {
+    if (!(e instanceof ValidationError)) {
+      throw e;
+    }
+    return { params, score: NaN, error: e.message };
+  }
+}
+
+/**
+ * Sorts runs by descending score, with runs that could not be scored last.
+ * @param {Object[]} runs - The runs.
+ * @returns {Object[]} - The sorted runs.
+ */
+function rankRuns(runs) {
+  const value = (run) => (Number.isNaN(run.score) ? -Infinity : run.score);
+  return runs.sort((a, b) => value(b) - value(a));
+}
+
+/**
+ * Searches a parameter space for the best strategy, by grid or by seeded random search.
+ * Each parameter set is built into a strategy with `build(params, columns)`, which returns a
+ * backtest strategy (a callback or { longEntry, longExit, shortEntry, shortExit } rules), and scored
+ * by the objective. Parameter sets whose strategy fails validation are scored NaN with their `error`.
+ * @param {Object[]|Object} candles - Array of candle objects, or an object of columns.
+ * @param {function} build - Builds a strategy from (params, columns).
+ * @param {Object} space - The values of each parameter: an array, { min, max, step }, or a fixed value.
+ * A range without step takes every integer between integer bounds, and any number in random search otherwise.
+ * @param {Object} options - The options.
+ * @param {string} options.method - "grid" (default) or "random".
+ * @param {number} options.samples - The number of random parameter sets (default 100).
+ * @param {number} options.seed - The random seed (default 1).
+ * @param {string|function} options.objective - return (default), cagr, sharpe, sortino, calmar, hitRate,
+ * profitFactor, drawdown, or a function of the metrics; higher is better.
+ * @param {function} options.constraint - Skips parameter sets for which it returns false, e.g. (p) => p.fast < p.slow.
+ * @param {Object} options.backtest - The backtest options, { capital, size, units, commission, slippage }.
+ * @param {number} options.periodsPerYear - The number of bars per year (default 252).
+ * @param {number} options.maxRuns - The largest number of runs allowed (default 10000).
+ * @returns {Object[]} - The runs by descending score, each { params, score, metrics }.
+ * @example
+ * vt.optimize(candles, (p, c) => {
+ *   const m = vt.macd(c.close, p.fast, p.slow, p.signal);
+ *   return { longEntry: vt.crossOver(m.line, m.signal), longExit: vt.crossUnder(m.line, m.signal) };
+ * }, { fast: { min: 8, max: 16, step: 2 }, slow: [21, 26, 34], signal: 9 }, { objective: "sharpe" });
+ */
+export function optimize(candles, build, space, options = {}) {
+  const columns = toColumns(candles);
+  const runs = searchSpace(space, options).map((params) => scoreRun(columns, build, params, 0, options));
+  return rankRuns(runs);
+}
+
+/**
+ * Runs a walk-forward analysis: the parameters are optimized on each in-sample window and
+ * then traded, unchanged, on the out-of-sample window that follows it. The out-of-sample run
+ * warms its indicators up on the in-sample bars but only trades on its own.
+ * @param {Object[]|Object} candles - Array of candle objects, or an object of columns.
+ * @param {function} build - Builds a strategy from (params, columns).
+ * @param {Object} space - The parameter space, as for optimize.
+ * @param {Object} options - The options of optimize and:
+ * @param {number} options.train - The number of in-sample bars.
+ * @param {number} options.test - The number of out-of-sample bars.
+ * @param {number} options.step - The number of bars between folds (default test).
+ * @param {boolean} options.anchored - Whether every in-sample window starts at the first bar (default false).
+ * @returns {Object} - The folds, each { train: [from, to], test: [from, to], params, inSample, outOfSample, runs },
+ * where inSample and outOfSample are { score, metrics }, and the summary { inSample, outOfSample, efficiency }
+ * of the mean scores, the efficiency being their ratio.
+ */
+export function walkForward(candles, build, space, options = {}) {
+  const columns = toColumns(candles);
+  const first = Object.keys(columns)[0];
+  const len = first ? columns[first].length : 0;
+  const { train, test, step = test, anchored = false } = options;
+  checkWindow("walkForward", "train", train);
+  checkWindow("walkForward", "test", test);
+  checkWindow("walkForward", "step", step);
+  if (train + test > len) {
+    throw new InsufficientDataError(`walkForward: train of ${train} and test of ${test} are longer than the ${len} bars`);
+  }
+  const slice = (from, to) => {
+    const result = {};
+    Object.keys(columns).forEach((k) => (result[k] = columns[k].slice(from, to)));
+    return result;
+  };
+  const sets = searchSpace(space, options);
+  const folds = [];
+  for (let start = 0; start + train + test <= len; start += step) {
+    const trainFrom = anchored ? 0 : start;
+    const trainTo = start + train;
+    const testTo = trainTo + test;
+    const inSample = slice(trainFrom, trainTo);
+    const runs = rankRuns(sets.map((params) => scoreRun(inSample, build, params, 0, options)));
+    const best = runs[0];
+    const outOfSample = best && !Number.isNaN(best.score) ? scoreRun(slice(trainFrom, testTo), build, best.params, trainTo - trainFrom, options) : null;
+    folds.push({
+      train: [trainFrom, trainTo],
+      test: [trainTo, testTo],
+      params: best ? best.params : null,
+      inSample: best ? { score: best.score, metrics: best.metrics } : null,
+      outOfSample: outOfSample ? { score: outOfSample.score, metrics: outOfSample.metrics } : null,
+      runs,
+    });
+  }
+  const average = (key) => mean(finite(folds.map((f) => (f[key] ? f[key].score : NaN))), PARTIAL);
+  const summary = { inSample: average("inSample"), outOfSample: average("outOfSample") };
+  summary.efficiency = summary.inSample !== 0 ? summary.outOfSample / summary.inSample : NaN;
+  return { folds, summary };
+}
+
+const TIMEFRAME_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Converts a timeframe such as "15m", "4h" or "1d" into milliseconds. The span must be finite and positive.
+ * @param {number|string} timeframe - The timeframe, in milliseconds or as a string.
+ * @returns {number} - The timeframe in milliseconds.
+ */
+function parseTimeframe(timeframe) {
+  const match = typeof timeframe === "number" ? null : /^(\d+(?:\.\d+)?)(ms|s|m|h|d|w)$/.exec(String(timeframe));
+  const span = match ? Number(match[1]) * TIMEFRAME_UNITS[match[2]] : timeframe;
+  if (typeof span !== "number" || !Number.isFinite(span) || span <= 0) {
+    throw new ValidationError(`invalid timeframe "${timeframe}", expected positive milliseconds or e.g. "15m", "4h", "1d"`);
+  }
+  return span;
+}
+
+/**
+ * Assigns each bar to a time bucket of the given timeframe.
+ * Buckets are aligned to `options.offset` from the epoch, or to the first bar of each
+ * session when `options.session` maps a time to a session key; they never span sessions.
+ * @param {number[]} $time - The time values of the series, in milliseconds.
+ * @param {number} span - The bucket length in milliseconds.
+ * @param {Object} options - The options, { offset, session }.
+ * @returns {Object} - The bucket index of each bar, and the start time and the bars `from`..`to`
+ * (exclusive) of each bucket.
+ */
+function assignBuckets($time, span, options = {}) {
+  const { offset = 0, session } = options;
+  const index = [];
+  const start = [];
+  const from = [];
+  const to = [];
+  let key;
+  let origin = offset;
+  let sessionKey;
+  for (let i = 0, len = $time.length; i < len; i++) {
+    const t = Number($time[i]);
+    if (session) {
+      const s = session(t);
+      if (i === 0 || s !== sessionKey) {
+        sessionKey = s;
+        origin = t;
+        key = undefined;
+      }
+    }
+    const k = Math.floor((t - origin) / span);
+    if (k !== key) {
+      key = k;
+      start.push(origin + k * span);
+      from.push(i);
+      to.push(i);
+    }
+    index.push(start.length - 1);
+    to[to.length - 1] = i + 1;
+  }
+  return { index, start, from, to };
+}
+
+/**
+ * Resamples candles to a higher timeframe.
+ * Open is the first open, high the highest high, low the lowest low, close the last close
+ * and volume the total volume of each bucket. The last bucket is flagged incomplete when the
+ * base series ends before the bucket does. The columns are checked like an indicator's inputs:
+ * gaps throw in strict mode, and in lenient mode a high, low or volume aggregated over a gap
+ * is NaN with `gaps: "propagate"`, or uses the previous value with `gaps: "fill"`.
+ * @param {Object[]|Object} candles - Array of candle objects, or an object of columns, with a time column in milliseconds.
+ * @param {number|string} timeframe - The target timeframe, in milliseconds or as e.g. "1h".
+ * @param {Object} options - The options.
+ * @param {number} options.offset - The bucket alignment offset from the epoch in milliseconds (default 0).
+ * @param {function} options.session - Maps a time to a session key; buckets restart at each session's first bar.
+ * @param {string} options.mode - The validation mode, "strict" or "lenient".
+ * @param {string} options.gaps - The gap policy in lenient mode, "propagate" or "fill".
+ * @returns {Object} - The resampled columns plus `complete`, a flag per bucket.
+ */
+export function resample(candles, timeframe, options = {}) {
+  const columns = { ...toColumns(candles) };
+  if (!columns.time) {
+    throw new ValidationError("resample needs the \"time\" column");
+  }
+  const span = parseTimeframe(timeframe);
+  const $time = columns.time;
+  const { index, start } = assignBuckets($time, span, options);
+  const result = { time: start.slice() };
+  const fields = COLUMNS.filter((k) => k !== "time" && columns[k]);
+  const checked = check("resample", options, Object.fromEntries(fields.map((k) => [k, columns[k]])));
+  fields.forEach((k, j) => (columns[k] = checked[j]));
+  fields.forEach((k) => (result[k] = []));
+  for (let i = 0, len = $time.length; i < len; i++) {
+    const b = index[i];
+    const first = i === 0 || index[i - 1] !== b;
+    fields.forEach((k) => {
+      const x = columns[k][i];
+      if (first) {
+        result[k][b] = x;
+      } else if (k === "high") {
+        result[k][b] = Math.max(result[k][b], x);
+      } else if (k === "low") {
+        result[k][b] = Math.min(result[k][b], x);
+      } else if (k === "close") {
+        result[k][b] = x;
+      } else if (k === "volume") {
+        result[k][b] += x;
+      }
+    });
+  }
+  result.complete = start.map(() => true);
+  if ($time.length) {
+    let step = Infinity;
+    for (let i = 1, len = $time.length; i < len; i++) {
+      const d = $time[i] - $time[i - 1];
+      step = d > 0 && d < step ? d : step;
+    }
+    const last = start.length - 1;
+    const end = Number($time[$time.length - 1]) + (isFinite(step) ? step : 0);
+    result.complete[last] = end >= start[last] + span;
+  }
+  return result;
+}
+
+/**
+ * Computes an indicator on a higher timeframe and forward-fills it onto the base series.
+ * A bucket's value becomes visible on the base bar that closes the bucket, and an incomplete
+ * last bucket is never shown, so there is no look-ahead.
+ * @param {Object[]|Object} candles - Array of candle objects, or an object of columns, with a time column in milliseconds.
+ * @param {number|string} timeframe - The higher timeframe, in milliseconds or as e.g. "4h".
+ * @param {function|string} compute - A function of the resampled on() frame returning an index-aligned result,
+ * or an indicator name called with `options.params`.
+ * @param {Object} options - The resample options plus `params` for a named indicator.
+ * @returns {number[]|Object} - The indicator values aligned to the base bars.
+ * @example
+ * vt.mtf(candles, "1h", (frame) => frame.adx({ window: 14 }));
+ * vt.mtf(candles, "4h", "rsi", { params: { window: 14 } });
+ */
+export function mtf(candles, timeframe, compute, options = {}) {
+  const { params = {}, ...resampleOptions } = options;
+  const columns = toColumns(candles);
+  const higher = resample(columns, timeframe, resampleOptions);
+  const frame = on(higher);
+  const result = typeof compute === "function" ? compute(frame) : frame[compute](params);
+  const { index } = assignBuckets(columns.time, parseTimeframe(timeframe), resampleOptions);
+  const visible = [];
+  let latest = -1;
+  for (let i = 0, len = index.length; i < len; i++) {
+    const b = index[i];
+    const closes = i === len - 1 ? higher.complete[b] : index[i + 1] !== b;
+    if (closes) {
+      latest = b;
+    }
+    visible.push(latest);
+  }
+  const align = (values) => visible.map((b) => (b < 0 ? NaN : values[b]));
+  if (Array.isArray(result) || ArrayBuffer.isView(result)) {
+    return align(result);
+  }
+  const aligned = {};
+  Object.keys(result).forEach((k) => {
+    aligned[k] = Array.isArray(result[k]) || ArrayBuffer.isView(result[k]) ? align(result[k]) : result[k];
+  });
+  return aligned;
+}
+
+
+/**
+ * Measures the body and shadows of each bar.
+ * @param {number[]} $open - The open values of the series.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @returns {Object[]} - The body, range, upper and lower shadow, body top and bottom and color of each bar.
+ */
+function candleShapes($open, $high, $low, $close) {
+  return pointwise((o, h, l, c) => ({
+    body: Math.abs(c - o),
+    range: h - l,
+    upper: h - Math.max(o, c),
+    lower: Math.min(o, c) - l,
+    top: Math.max(o, c),
+    bottom: Math.min(o, c),
+    mid: (o + c) / 2,
+    bullish: c > o,
+    bearish: c < o,
+  }), $open, $high, $low, $close);
+}
+
+/**
+ * Runs a pattern detector over each bar once enough bars are available.
+ * @param {string} name - The pattern name.
+ * @param {number[]} $open - The open values of the series.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {Object} options - The pattern thresholds and { pad }.
+ * @param {number} lookback - The number of earlier bars the detector reads.
+ * @param {function} detect - Maps (bar shapes, index, thresholds, trend) to 1, -1 or 0.
+ * @returns {number[]} - The pattern flags.
+ */
+function detectPattern(name, $open, $high, $low, $close, options, lookback, detect) {
+  [$open, $high, $low, $close] = check(name, options, { $open, $high, $low, $close });
+  const o = { ...PATTERN_OPTIONS, ...options };
+  checkWindow(name, "trend", o.trend);
+  const shapes = candleShapes($open, $high, $low, $close);
+  const ma = sma($close, o.trend, PARTIAL);
+  const trend = (i) => ($close[i] > ma[i] ? 1 : $close[i] < ma[i] ? -1 : 0);
+  const result = shapes.map((_, i) => (i < lookback ? 0 : detect(shapes, i, o, trend)));
+  return pad(result, lookback, options);
+}
+
+/**
+ * Detects doji bars: +1 after a downtrend, -1 after an uptrend.
+ * @param {number[]} $open - The open values of the series.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {Object} options - The thresholds { doji, trend } and { pad }.
+ * @returns {number[]} - The pattern flags.
+ */
+export function doji($open, $high, $low, $close, options) {
+  return detectPattern("doji", $open, $high, $low, $close, options, (options && options.trend) || PATTERN_OPTIONS.trend, (s, i, o, trend) => {
+    if (s[i].range <= 0 || s[i].body > o.doji * s[i].range) {
+      return 0;
+    }
+    return -trend(i - 1);
+  });
+}
+
+/**
+ * Detects hammers (+1, after a downtrend) and hanging men (-1, after an uptrend).
+ * @param {number[]} $open - The open values of the series.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {Object} options - The thresholds { smallBody, shadow, smallShadow, trend } and { pad }.
+ * @returns {number[]} - The pattern flags.
+ */
+export function hammer($open, $high, $low, $close, options) {
+  return detectPattern("hammer", $open, $high, $low, $close, options, (options && options.trend) || PATTERN_OPTIONS.trend, (s, i, o, trend) => {
+    const b = s[i];
+    if (b.range <= 0 || b.body > o.smallBody * b.range || b.lower < o.shadow * b.body || b.upper > o.smallShadow * b.range) {
+      return 0;
+    }
+    return -trend(i - 1);
+  });
+}
+
+/**
+ * Detects inverted hammers (+1, after a downtrend) and shooting stars (-1, after an uptrend).
+ * @param {number[]} $open - The open values of the series.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {Object} options - The thresholds { smallBody, shadow, smallShadow, trend } and { pad }.
+ * @returns {number[]} - The pattern flags.
+ */
+export function shootingStar($open, $high, $low, $close, options) {
+  return detectPattern("shootingStar", $open, $high, $low, $close, options, (options && options.trend) || PATTERN_OPTIONS.trend, (s, i, o, trend) => {
+    const b = s[i];
+    if (b.range <= 0 || b.body > o.smallBody * b.range || b.upper < o.shadow * b.body || b.lower > o.smallShadow * b.range) {
+      return 0;
+    }
+    return -trend(i - 1);
+  });
+}
+
+/**
+ * Detects marubozu bars, long bodies without shadows: +1 bullish, -1 bearish.
+ * @param {number[]} $open - The open values of the series.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {Object} options - The thresholds { longBody, smallShadow } and { pad }.
+ * @returns {number[]} - The pattern flags.
+ */
+export function marubozu($open, $high, $low, $close, options) {
+  return detectPattern("marubozu", $open, $high, $low, $close, options, 0, (s, i, o) => {
+    const b = s[i];
+    if (b.range <= 0 || b.body < o.longBody * b.range || b.upper > o.smallShadow * b.range || b.lower > o.smallShadow * b.range) {
+      return 0;
+    }
+    return b.bullish ? 1 : -1;
+  });
+}
+
+/**
+ * Detects engulfing bars, whose body covers the opposite-colored previous body: +1 bullish, -1 bearish.
+ * @param {number[]} $open - The open values of the series.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The pattern flags.
+ */
+export function engulfing($open, $high, $low, $close, options) {
+  return detectPattern("engulfing", $open, $high, $low, $close, options, 1, (s, i) => {
+    const prev = s[i - 1];
+    const b = s[i];
+    if (b.top < prev.top || b.bottom > prev.bottom || b.body <= prev.body) {
+      return 0;
+    }
+    return prev.bearish && b.bullish ? 1 : prev.bullish && b.bearish ? -1 : 0;
+  });
+}
+
+/**
+ * Detects harami bars, a small body inside the opposite-colored previous long body: +1 bullish, -1 bearish.
+ * The body is small when it is at most smallBody times the range of the long bar.
+ * @param {number[]} $open - The open values of the series.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {Object} options - The thresholds { smallBody, longBody } and { pad }.
+ * @returns {number[]} - The pattern flags.
+ */
+export function harami($open, $high, $low, $close, options) {
+  return detectPattern("harami", $open, $high, $low, $close, options, 1, (s, i, o) => {
+    const prev = s[i - 1];
+    const b = s[i];
+    if (prev.body < o.longBody * prev.range || b.body > o.smallBody * prev.range || b.top > prev.top || b.bottom < prev.bottom) {
+      return 0;
+    }
+    return prev.bearish && b.bullish ? 1 : prev.bullish && b.bearish ? -1 : 0;
+  });
+}
+
+/**
+ * Detects piercing lines (+1) and dark cloud covers (-1): a bar opening beyond the previous
+ * long bar and closing past the middle of its body.
+ * @param {number[]} $open - The open values of the series.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {Object} options - The thresholds { longBody } and { pad }.
+ * @returns {number[]} - The pattern flags.
+ */
+export function piercing($open, $high, $low, $close, options) {
+  return detectPattern("piercing", $open, $high, $low, $close, options, 1, (s, i, o) => {
+    const prev = s[i - 1];
+    if (prev.body < o.longBody * prev.range) {
+      return 0;
+    }
+    if (prev.bearish && s[i].bullish && $open[i] < $close[i - 1] && $close[i] > prev.mid && $close[i] < $open[i - 1]) {
+      return 1;
+    }
+    if (prev.bullish && s[i].bearish && $open[i] > $close[i - 1] && $close[i] < prev.mid && $close[i] > $open[i - 1]) {
+      return -1;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Detects morning stars (+1) and evening stars (-1): a long bar, a small-bodied bar beyond it,
+ * and an opposite bar closing past the middle of the first body. The star's body is small when it
+ * is at most smallBody times the range of the first bar.
+ * @param {number[]} $open - The open values of the series.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {Object} options - The thresholds { smallBody, longBody } and { pad }.
+ * @returns {number[]} - The pattern flags.
+ */
+export function morningStar($open, $high, $low, $close, options) {
+  return detectPattern("morningStar", $open, $high, $low, $close, options, 2, (s, i, o) => {
+    const first = s[i - 2];
+    const star = s[i - 1];
+    const last = s[i];
+    if (first.body < o.longBody * first.range || star.body > o.smallBody * first.range) {
+      return 0;
+    }
+    if (first.bearish && last.bullish && star.top < first.bottom && $close[i] > first.mid) {
+      return 1;
+    }
+    if (first.bullish && last.bearish && star.bottom > first.top && $close[i] < first.mid) {
+      return -1;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Detects three white soldiers (+1) and three black crows (-1): three long bars of one color,
+ * each opening inside the previous body and closing beyond it.
+ * @param {number[]} $open - The open values of the series.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {Object} options - The thresholds { longBody } and { pad }.
+ * @returns {number[]} - The pattern flags.
+ */
+export function threeSoldiers($open, $high, $low, $close, options) {
+  return detectPattern("threeSoldiers", $open, $high, $low, $close, options, 2, (s, i, o) => {
+    const bars = [s[i - 2], s[i - 1], s[i]];
+    if (bars.some((b) => b.body < o.longBody * b.range)) {
+      return 0;
+    }
+    const inside = (j) => $open[j] >= s[j - 1].bottom && $open[j] <= s[j - 1].top;
+    if (!inside(i - 1) || !inside(i)) {
+      return 0;
+    }
+    if (bars.every((b) => b.bullish) && $close[i] > $close[i - 1] && $close[i - 1] > $close[i - 2]) {
+      return 1;
+    }
+    if (bars.every((b) => b.bearish) && $close[i] < $close[i - 1] && $close[i - 1] < $close[i - 2]) {
+      return -1;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Detects every candlestick pattern over a candle series.
+ * @param {Object[]|Object} candles - Array of candle objects, or an object of columns.
+ * @param {Object} options - The pattern thresholds and { pad }.
+ * @returns {Object} - The flags of each pattern, keyed by pattern name.
+ */
+export function candlePatterns(candles, options) {
+  const { open, high, low, close } = toColumns(candles);
+  if (!open || !high || !low || !close) {
+    throw new ValidationError("candlePatterns needs the \"open\", \"high\", \"low\" and \"close\" columns");
+  }
+  const detectors = { doji, hammer, shootingStar, marubozu, engulfing, harami, piercing, morningStar, threeSoldiers };
+  const result = {};
+  Object.keys(detectors).forEach((name) => {
+    result[name] = detectors[name](open, high, low, close, options);
+  });
+  return result;
+}
+
+
+/**
+ * Finds the swing highs and lows of a series.
+ * With `percent`, a swing is confirmed once the series retraces that percentage of the
+ * previous swing, as in zigzag(); otherwise a bar is a swing when it is the extreme of the
+ * `window` bars on either side (a fractal), confirmed `window` bars later.
+ * @param {number[]} series - The input series.
+ * @param {Object} options - The options, { window } (default 5) or { percent }.
+ * @returns {Object[]} - The pivots in order, each { index, value, type: "high" | "low", confirmed }.
+ */
+export function pivots(series, options = {}) {
+  const { window = 5, percent } = options;
+  [series] = check("pivots", { mode: "lenient", ...options }, { series }, percent === undefined ? { window } : {});
+  const result = [];
+  const ok = (x) => typeof x === "number" && isFinite(x);
+  if (percent !== undefined) {
+    let start = 0;
+    while (start < series.length && !ok(series[start])) {
+      start++;
+    }
+    let lowest = series[start];
+    let highest = series[start];
+    let lowIndex = start;
+    let highIndex = start;
+    let isUp = false;
+    for (let i = start + 1, len = series.length; i < len; i++) {
+      const x = series[i];
+      if (!ok(x)) {
+        continue;
+      }
+      if (isUp) {
+        if (x > highest) {
+          highest = x;
+          highIndex = i;
+        } else if (x < lowest + (highest - lowest) * (100 - percent) / 100) {
+          result.push({ index: highIndex, value: highest, type: "high", confirmed: i });
+          isUp = false;
+          lowest = x;
+          lowIndex = i;
+        }
+      } else {
+        if (x < lowest) {
+          lowest = x;
+          lowIndex = i;
+        } else if (x > lowest + (highest - lowest) * percent / 100) {
+          result.push({ index: lowIndex, value: lowest, type: "low", confirmed: i });
+          isUp = true;
+          highest = x;
+          highIndex = i;
+        }
+      }
+    }
+    return result;
+  }
+  for (let i = window, len = series.length; i + window < len; i++) {
+    const x = series[i];
+    if (!ok(x)) {
+      continue;
+    }
+    let high = true;
+    let low = true;
+    for (let j = i - window; j <= i + window && (high || low); j++) {
+      if (j === i) {
+        continue;
+      }
+      if (!ok(series[j])) {
+        high = low = false;
+        break;
+      }
+      high = high && (j < i ? x > series[j] : x >= series[j]);
+      low = low && (j < i ? x < series[j] : x <= series[j]);
+    }
+    if (high || low) {
+      result.push({ index: i, value: x, type: high ? "high" : "low", confirmed: i + window });
+    }
+  }
+  return result;
+}
+
+/**
+ * Picks the oscillator line of a multi-output result: `options.key`, else hist, else line.
+ * @param {number[]|Object} oscillator - An oscillator output.
+ * @param {string} key - The output key to read.
+ * @returns {number[]} - The oscillator series.
+ */
+function oscillatorLine(oscillator, key) {
+  if (Array.isArray(oscillator) || ArrayBuffer.isView(oscillator)) {
+    return oscillator;
+  }
+  const name = key || ["hist", "line"].find((k) => Array.isArray(oscillator[k])) ||
+    Object.keys(oscillator).find((k) => Array.isArray(oscillator[k]));
+  if (!name || !oscillator[name]) {
+    throw new ValidationError(`oscillator has no "${key}" output`);
+  }
+  return oscillator[name];
+}
+
+/**
+ * Finds regular and hidden divergences between price and an oscillator.
+ * Consecutive price swings of one type are compared with the oscillator swings of the same
+ * type found within `tolerance` bars of them:
+ * - regular bullish: lower price low, higher oscillator low.
+ * - hidden bullish: higher price low, lower oscillator low.
+ * - regular bearish: higher price high, lower oscillator high.
+ * - hidden bearish: lower price high, higher oscillator high.
+ * @param {number[]} price - The price series, usually the close.
+ * @param {number[]|Object} oscillator - An oscillator output such as rsi(), macd() or stochRsi().
+ * @param {Object} options - The options.
+ * @param {string} options.key - The oscillator output to read (default hist, then line).
+ * @param {number} options.window - The fractal window of the swings (default 5).
+ * @param {number} options.percent - Use zigzag-style swings with this retracement percentage instead.
+ * @param {number} options.tolerance - The largest gap in bars between a price and an oscillator swing (default window).
+ * @param {number} options.maxBars - The largest distance in bars between two compared swings (default 60).
+ * @returns {Object[]} - The divergences, each { type, direction, start, end, oscStart, oscEnd, confirmed, strength },
+ * where strength is the relative price change plus the oscillator change as a fraction of its range.
+ */
+export function divergence(price, oscillator, options = {}) {
+  const { key, window = 5, percent, maxBars = 60 } = options;
+  const tolerance = options.tolerance !== undefined ? options.tolerance : window;
+  const [osc] = check("divergence", { mode: "lenient", ...options }, { osc: oscillatorLine(oscillator, key), price });
+  const swings = { window, percent };
+  const pricePivots = pivots(price, swings);
+  const oscPivots = pivots(osc, swings);
+  const [lowest, highest] = extent(osc);
+  const oscRange = highest - lowest || 1;
+  const oscByType = {
+    low: oscPivots.filter((o) => o.type === "low"),
+    high: oscPivots.filter((o) => o.type === "high"),
+  };
+  const nearest = (p) => {
+    // the pivots are in index order, so only those within the tolerance are scanned
+    const candidates = oscByType[p.type];
+    let lo = 0;
+    let hi = candidates.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (candidates[mid].index < p.index - tolerance) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    let best = null;
+    for (let k = lo; k < candidates.length && candidates[k].index <= p.index + tolerance; k++) {
+      const gap = Math.abs(candidates[k].index - p.index);
+      if (!best || gap < Math.abs(best.index - p.index)) {
+        best = candidates[k];
+      }
+    }
+    return best;
+  };
+  const result = [];
+  ["low", "high"].forEach((type) => {
+    const swingsOfType = pricePivots.filter((p) => p.type === type);
+    for (let i = 1; i < swingsOfType.length; i++) {
+      const p1 = swingsOfType[i - 1];
+      const p2 = swingsOfType[i];
+      const o1 = nearest(p1);
+      const o2 = nearest(p2);
+      if (p2.index - p1.index > maxBars || !o1 || !o2 || o1 === o2) {
+        continue;
+      }
+      const priceUp = p2.value > p1.value;
+      const oscUp = o2.value > o1.value;
+      if (priceUp === oscUp || p2.value === p1.value || o2.value === o1.value) {
+        continue;
+      }
+      const regular = type === "low" ? !priceUp : priceUp;
+      result.push({
+        type: regular ? "regular" : "hidden",
+        direction: type === "low" ? "bullish" : "bearish",
+        start: p1.index,
+        end: p2.index,
+        oscStart: o1.index,
+        oscEnd: o2.index,
+        confirmed: Math.max(p2.confirmed, o2.confirmed),
+        strength: Math.abs(p2.value - p1.value) / Math.abs(p1.value) + Math.abs(o2.value - o1.value) / oscRange,
+      });
+    }
+  });
+  return result.sort((a, b) => a.end - b.end || a.start - b.start);
+}
+
+
+/**
+ * Finds the breaks and retests of a level or line after a given bar.
+ * A break is a close beyond the level by more than the tolerance; a retest is a later bar
+ * whose range comes back within the tolerance while closing on the broken side.
+ * @param {number[]} $high - The high values of the series.
+ * @param {number[]} $low - The low values of the series.
+ * @param {number[]} $close - The close values of the series.
+ * @param {function} levelAt - Maps a bar index to the level price.
+ * @param {number} from - The first bar to scan.
+ * @param {number} tolerance - The tolerance as a fraction of the level.
+ * @returns {Object[]} - The events, each { index, type: "break" | "retest", direction: "up" | "down" }.
+ */
+function levelEvents($high, $low, $close, levelAt, from, tolerance) {
+  const events = [];
+  let side = 0;
+  let broken = 0;
+  for (let i = Math.max(from, 0), len = $close.length; i < len; i++) {
+    const level = levelAt(i);
+    const band = Math.abs(level) * tolerance;
+    const now = $close[i] > level + band ? 1 : $close[i] < level - band ? -1 : 0;
+    if (now !== 0 && side !== 0 && now !== side) {
+      events.push({ index: i, type: "break", direction: now > 0 ? "up" : "down" });
+      broken = now;
+    } else if (broken !== 0 && now === broken) {
+      const touched = broken > 0 ? $low[i] <= level + band : $high[i] >= level - band;
+      if (touched) {
+        events.push({ index: i, type: "retest", direction: broken > 0 ? "up" : "down" });
+        broken = 0;
+      }
+    }
+    side = now !== 0 ? now : side;
+  }
+  return events;
+}
+
+/**
+ * Finds the zigzag swings of a candle series as bar indices.
+ * @param {Object} columns - The candle columns.
+ * @param {number} percent - The zigzag percentage.
+ * @returns {Object[]} - The swings, each { index, price, type: "high" | "low" }.
+ */
+function zigzagSwings(columns, percent) {
+  const { high, low } = columns;
+  const swings = zigzag(high.map((_, i) => i), high, low, percent, PARTIAL);
+  return swings.time.map((index, k) => ({
+    index,
+    price: swings.price[k],
+    type: swings.price[k] === high[index] && swings.price[k] !== low[index] ? "high" : "low",
+  }));
+}
+
+/**
+ * Finds support and resistance levels by clustering zigzag swing highs and lows.
+ * Each level is scored by its touches, weighted by the share of volume traded at its
+ * price in vbp() relative to an even spread: score = touches * (0.5 + 0.5 * relativeVolume).
+ * @param {Object[]|Object} candles - Array of candle objects, or an object of columns.
+ * @param {Object} options - The options.
+ * @param {number} options.percent - The zigzag percentage of the swings (default 30).
+ * @param {number} options.tolerance - The clustering and touch tolerance as a fraction of price (default 0.005).
+ * @param {number} options.minTouches - The fewest swings making a level (default 2).
+ * @param {number} options.zones - The number of vbp() zones for volume weighting (default 24).
+ * @returns {Object[]} - The levels by descending score, each { price, type, score, touches, events }.
+ */
+export function supportResistance(candles, options = {}) {
+  const { percent = 30, tolerance = 0.005, minTouches = 2, zones = 24 } = options;
+  const raw = toColumns(candles);
+  if (!raw.high || !raw.low || !raw.close) {
+    throw new ValidationError("supportResistance needs the \"high\", \"low\" and \"close\" columns");
+  }
+  const [high, low, close, volume] = check("supportResistance", options, {
+    high: raw.high, low: raw.low, close: raw.close, ...(raw.volume && { volume: raw.volume }),
+  });
+  const columns = { high, low, close };
+  const swings = zigzagSwings(columns, percent).sort((a, b) => a.price - b.price);
+  const clusters = [];
+  swings.forEach((swing) => {
+    const last = clusters[clusters.length - 1];
+    if (last && swing.price <= mean(last.map((s) => s.price), PARTIAL) * (1 + tolerance)) {
+      last.push(swing);
+    } else {
+      clusters.push([swing]);
+    }
+  });
+  const [bottom, top] = extent(close);
+  const profile = volume && top > bottom ? vbp(close, volume, zones, 0, undefined, PARTIAL) : null;
+  const last = close[close.length - 1];
+  return clusters
+    .filter((cluster) => cluster.length >= minTouches)
+    .map((cluster) => {
+      const price = mean(cluster.map((s) => s.price), PARTIAL);
+      let relativeVolume = 1;
+      if (profile) {
+        const zone = Math.floor((Math.min(Math.max(price, bottom), top) - bottom) / (top - bottom) * (zones - 1));
+        relativeVolume = profile.volumes[zone] * zones;
+      }
+      const touches = cluster.map(({ index, price }) => ({ index, price })).sort((a, b) => a.index - b.index);
+      return {
+        price,
+        type: price <= last ? "support" : "resistance",
+        score: touches.length * (0.5 + 0.5 * relativeVolume),
+        touches,
+        events: levelEvents(high, low, close, () => price, touches[0].index, tolerance),
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Finds trendlines through zigzag swing lows (support) and swing highs (resistance).
+ * Every pair of swings of one type spans a candidate line; a candidate is kept when no close
+ * between its two swings crosses it beyond the tolerance, and it is scored by the swings of
+ * that type lying on it from its first swing up to its first break.
+ * @param {Object[]|Object} candles - Array of candle objects, or an object of columns.
+ * @param {Object} options - The options.
+ * @param {number} options.percent - The zigzag percentage of the swings (default 30).
+ * @param {number} options.tolerance - The touch tolerance as a fraction of price (default 0.005).
+ * @param {number} options.minTouches - The fewest swings on a line (default 2).
+ * @param {number} options.limit - The most lines returned per type (default 5).
+ * @returns {Object[]} - The lines by descending score, each { type, slope, intercept, start, end, score, touches, events },
+ * where the line price at bar x is slope * x + intercept.
+ */
+export function trendlines(candles, options = {}) {
+  const { percent = 30, tolerance = 0.005, minTouches = 2, limit = 5 } = options;
+  const raw = toColumns(candles);
+  if (!raw.high || !raw.low || !raw.close) {
+    throw new ValidationError("trendlines needs the \"high\", \"low\" and \"close\" columns");
+  }
+  const [high, low, close] = check("trendlines", options, { high: raw.high, low: raw.low, close: raw.close });
+  const swings = zigzagSwings({ high, low, close }, percent);
+  const result = [];
+  ["low", "high"].forEach((type) => {
+    const points = swings.filter((s) => s.type === type);
+    const lines = [];
+    for (let a = 0; a < points.length; a++) {
+      for (let b = a + 1; b < points.length; b++) {
+        const p1 = [points[a].index, points[a].price];
+        const p2 = [points[b].index, points[b].price];
+        const at = (x) => regression(x, p1, p2);
+        let valid = true;
+        for (let i = p1[0]; i <= p2[0] && valid; i++) {
+          const level = at(i);
+          valid = type === "low" ? close[i] >= level * (1 - tolerance) : close[i] <= level * (1 + tolerance);
+        }
+        if (!valid) {
+          continue;
+        }
+        const events = levelEvents(high, low, close, at, p2[0] + 1, tolerance);
+        const firstBreak = events.length ? events[0].index : close.length;
+        const touches = points
+          .filter((s) => s.index >= p1[0] && s.index < firstBreak)
+          .filter((s) => Math.abs(s.price - at(s.index)) <= Math.abs(at(s.index)) * tolerance)
+          .map(({ index, price }) => ({ index, price }));
+        if (touches.length < minTouches) {
+          continue;
+        }
+        const slope = (p2[1] - p1[1]) / (p2[0] - p1[0]);
+        lines.push({
+          type: type === "low" ? "support" : "resistance",
+          slope,
+          intercept: p1[1] - slope * p1[0],
+          start: { index: p1[0], price: p1[1] },
+          end: { index: p2[0], price: p2[1] },
+          score: touches.length,
+          touches,
+          events,
+        });
+      }
+    }
+    lines.sort((x, y) => y.score - x.score || y.end.index - x.end.index);
+    result.push(...lines.slice(0, limit));
+  });
+  return result.sort((x, y) => y.score - x.score);
+}
+
+
+/**
+ * Fits an ordinary least-squares line to a series.
+ * @param {number[]} series - The input series (y values).
+ * @param {number[]} x - The x values (default the bar offsets 0, 1, 2, ...).
+ * @param {Object} options - The options, { mode, gaps }.
+ * @returns {Object} - The slope, intercept, r2 (coefficient of determination) and
+ * stderr (standard error of the estimate) of the fit.
+ */
+export function linreg(series, x, options) {
+  let xs = x || Array.from(series || [], (_, i) => i);
+  [series, xs] = check("linreg", options, { series, x: xs }, { points: 2 });
+  const n = series.length;
+  const Ex = mean(xs, PARTIAL);
+  const Ey = mean(series, PARTIAL);
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - Ex) * (xs[i] - Ex);
+    sxy += (xs[i] - Ex) * (series[i] - Ey);
+    syy += (series[i] - Ey) * (series[i] - Ey);
+  }
+  const slope = sxy / sxx;
+  const intercept = Ey - slope * Ex;
+  const ssres = Math.max(syy - slope * sxy, 0);
+  return {
+    slope,
+    intercept,
+    r2: syy === 0 ? 1 : 1 - ssres / syy,
+    stderr: n > 2 ? Math.sqrt(ssres / (n - 2)) : NaN,
+  };
+}
+
+/**
+ * Calculates a rolling least-squares fit, with x the bar offset inside each window.
+ * @param {string} name - The indicator name.
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size for the regression.
+ * @param {function} operation - Maps (fit, window length) to the output value.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The output values.
+ */
+function rollingLinreg(name, series, window, operation, options) {
+  [series] = check(name, options, { series }, { window });
+  return pad(rolling((s) => operation(linreg(s, undefined, PARTIAL), s.length), series, window), window - 1, options);
+}
+
+/**
+ * Calculates the Linear Regression indicator (least-squares moving average) of a series:
+ * the value of each window's fitted line at its last bar.
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size for the regression.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The linear regression values.
+ */
+export function lsma(series, window, options) {
+  return rollingLinreg("lsma", series, window, (fit, len) => fit.intercept + fit.slope * (len - 1), options);
+}
+
+/**
+ * Calculates the Linear Regression Forecast (time series forecast) of a series: the value
+ * of each window's fitted line `offset` bars past its last bar.
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size for the regression.
+ * @param {number} offset - The number of bars to project forward (default 1).
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The forecast values.
+ */
+export function linregForecast(series, window, offset = 1, options) {
+  return rollingLinreg("linregForecast", series, window, (fit, len) => fit.intercept + fit.slope * (len - 1 + offset), options);
+}
+
+/**
+ * Calculates the Linear Regression Slope of a series using a rolling window.
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size for the regression.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The slope values, in price per bar.
+ */
+export function linregSlope(series, window, options) {
+  return rollingLinreg("linregSlope", series, window, (fit) => fit.slope, options);
+}
+
+/**
+ * Calculates the Linear Regression Angle of a series using a rolling window.
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size for the regression.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The angle values, in degrees.
+ */
+export function linregAngle(series, window, options) {
+  return rollingLinreg("linregAngle", series, window, (fit) => (Math.atan(fit.slope) * 180) / Math.PI, options);
+}
+
+/**
+ * Calculates the coefficient of determination (r²) of a series using a rolling window.
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size for the regression.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The r² values.
+ */
+export function linregR2(series, window, options) {
+  return rollingLinreg("linregR2", series, window, (fit) => fit.r2, options);
+}
+
+/**
+ * Calculates the Linear Regression Channel of a series: the linear regression indicator
+ * with bands at `mult` standard errors of the estimate, or `mult` standard deviations of the series.
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size for the regression.
+ * @param {number} mult - The multiplier of the band width.
+ * @param {string} band - "stderr" (default) or "stdev".
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {Object} - The channel lower, middle and upper values.
+ */
+export function linregChannel(series, window, mult, band = "stderr", options) {
+  [series] = check("linregChannel", options, { series }, { window });
+  if (band !== "stderr" && band !== "stdev") {
+    throw new ValidationError(`band must be "stderr" or "stdev", got "${band}"`);
+  }
+  const middle = lsma(series, window, PARTIAL);
+  const width = band === "stderr" ? rollingLinreg("linregChannel", series, window, (fit) => fit.stderr, PARTIAL) : stdev(series, window, PARTIAL);
+  const upper = pointwise((a, b) => a + b * mult, middle, width);
+  const lower = pointwise((a, b) => a - b * mult, middle, width);
+  return {
+    lower: pad(lower, window - 1, options),
+    middle: pad(middle, window - 1, options),
+    upper: pad(upper, window - 1, options),
+  };
+}
+
+/**
+ * Fits a least-squares polynomial to a series.
+ * @param {number[]} series - The input series (y values).
+ * @param {number} degree - The polynomial degree.
+ * @param {number[]} x - The x values (default the bar offsets 0, 1, 2, ...).
+ * @param {Object} options - The options, { mode, gaps }.
+ * @returns {Object} - The coefficients (constant term first), r2 and the fitted values.
+ */
+export function polyfit(series, degree, x, options) {
+  checkNumber("polyfit", "degree", degree, (d) => Number.isInteger(d) && d >= 0, "an integer of at least 0");
+  let xs = x || Array.from(series || [], (_, i) => i);
+  [series, xs] = check("polyfit", options, { series, x: xs }, { points: degree + 1 });
+  const Ex = mean(xs, PARTIAL);
+  const [first, last] = extent(xs);
+  const scale = Math.max(last - Ex, Ex - first) || 1;
+  const u = xs.map((v) => (v - Ex) / scale);
+  const m = degree + 1;
+  // normal equations in the centered and scaled u = (x - Ex) / scale
+  const A = [];
+  for (let r = 0; r < m; r++) {
+    A.push(new Array(m + 1).fill(0));
+    for (let i = 0; i < u.length; i++) {
+      for (let c = 0; c < m; c++) {
+        A[r][c] += Math.pow(u[i], r + c);
+      }
+      A[r][m] += series[i] * Math.pow(u[i], r);
+    }
+  }
+  for (let c = 0; c < m; c++) {
+    let best = c;
+    for (let r = c + 1; r < m; r++) {
+      best = Math.abs(A[r][c]) > Math.abs(A[best][c]) ? r : best;
+    }
+    [A[c], A[best]] = [A[best], A[c]];
+    for (let r = 0; r < m; r++) {
+      if (r !== c) {
+        const f = A[r][c] / A[c][c];
+        for (let k = c; k <= m; k++) {
+          A[r][k] -= f * A[c][k];
+        }
+      }
+    }
+  }
+  const b = A.map((row, r) => row[m] / row[r]);
+  // expand sum(b_k * ((x - Ex) / scale)^k) into powers of x
+  const coefficients = new Array(m).fill(0);
+  for (let k = 0; k < m; k++) {
+    for (let j = 0; j <= k; j++) {
+      let binomial = 1;
+      for (let t = 0; t < j; t++) {
+        binomial = (binomial * (k - t)) / (t + 1);
+      }
+      coefficients[j] += (b[k] / Math.pow(scale, k)) * binomial * Math.pow(-Ex, k - j);
+    }
+  }
+  const fitted = u.map((v) => b.reduce((sum, bk, k) => sum + bk * Math.pow(v, k), 0));
+  const Ey = mean(series, PARTIAL);
+  let ssres = 0;
+  let sstot = 0;
+  for (let i = 0; i < u.length; i++) {
+    ssres += (series[i] - fitted[i]) * (series[i] - fitted[i]);
+    sstot += (series[i] - Ey) * (series[i] - Ey);
+  }
+  return { coefficients, r2: sstot === 0 ? 1 : 1 - ssres / sstot, fitted };
+}
+
+/**
+ * Calculates the Polynomial Regression indicator of a series: the value of each window's
+ * fitted polynomial at its last bar.
+ * @param {number[]} series - The input series.
+ * @param {number} window - The window size for the regression.
+ * @param {number} degree - The polynomial degree.
+ * @param {Object} options - The options, { pad, mode, gaps }.
+ * @returns {number[]} - The polynomial regression values.
+ */
+export function polyRegression(series, window, degree, options) {
+  [series] = check("polyRegression", options, { series }, { window });
+  const result = rolling((s) => (s.length > degree ? polyfit(s, degree, undefined, PARTIAL).fitted[s.length - 1] : NaN), series, window);
+  return pad(result, Math.max(window - 1, degree), options);
+}
+
+/**
+ * The field names read for each column when no mapping is given, compared case-insensitively.
+ */
+const COLUMN_ALIASES = {
+  time: ["time", "timestamp", "date", "datetime", "ts", "t", "open_time", "opentime"],
+  open: ["open", "o"],
+  high: ["high", "h"],
+  low: ["low", "l"],
+  close: ["close", "c", "last", "price"],
+  volume: ["volume", "v", "vol"],
+};
+
+const ISO_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+/**
+ * Reads a UTC offset such as "+03:30" or "-0500" in milliseconds.
+ * @param {string} text - The offset.
+ * @returns {number} - The offset in milliseconds, or NaN when the text is not an offset.
+ */
+function parseOffset(text) {
+  if (/^(UTC|GMT|Z)$/i.test(text)) {
+    return 0;
+  }
+  const match = /^(?:UTC|GMT)?([+-])(\d{2}):?(\d{2})$/i.exec(text);
+  return match ? (match[1] === "-" ? -1 : 1) * (Number(match[2]) * 3600000 + Number(match[3]) * 60000) : NaN;
+}
+
+/**
+ * Finds the UTC offset of a timezone at an instant.
+ * @param {string} timezone - "UTC", an offset such as "+03:30", or an IANA name such as "America/New_York".
+ * @param {number} time - The instant in milliseconds.
+ * @returns {number} - The offset in milliseconds.
+ */
+function zoneOffset(timezone, time) {
+  const offset = parseOffset(timezone);
+  if (!Number.isNaN(offset)) {
+    return offset;
+  }
+  let format;
+  try {
+    format = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+  } catch (e) {
+    throw new ValidationError(`unknown timezone "${timezone}"`);
+  }
+  const parts = {};
+  format.formatToParts(new Date(time)).forEach((part) => (parts[part.type] = Number(part.value)));
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock time, given as if it were UTC, into an instant in a timezone.
+ * @param {number} wall - The wall-clock time in milliseconds.
+ * @param {string} timezone - The timezone.
+ * @returns {number} - The instant in milliseconds.
+ */
+function fromWallTime(wall, timezone) {
+  return wall - zoneOffset(timezone, wall - zoneOffset(timezone, wall));
+}
+
+/**
+ * Builds a reader for a time pattern made of YYYY, MM, DD, HH, mm, ss and SSS,
+ * e.g. "DD/MM/YYYY HH:mm".
+ * @param {string} format - The pattern.
+ * @returns {function} - Maps a text to its wall-clock time in milliseconds, or NaN when it does not match.
+ */
+function timePattern(format) {
+  const fields = [];
+  const source = format
+    .split(/(YYYY|SSS|MM|DD|HH|mm|ss)/)
+    .map((part, k) => {
+      if (k % 2) {
+        fields.push(part);
+        return part === "YYYY" ? "(\\d{4})" : part === "SSS" ? "(\\d{1,3})" : "(\\d{1,2})";
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  const pattern = new RegExp(`^${source}$`);
+  return (text) => {
+    const match = pattern.exec(text);
+    if (!match) {
+      return NaN;
+    }
+    const value = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0, SSS: 0 };
+    fields.forEach((field, k) => (value[field] = Number(match[k + 1])));
+    return Date.UTC(value.YYYY, value.MM - 1, value.DD, value.HH, value.mm, value.ss, value.SSS);
+  };
+}
+
+/**
+ * Builds a reader for the time values of a data file.
+ * @param {string} format - "auto", "ms", "s", "iso" or a pattern such as "YYYY-MM-DD HH:mm".
+ * @param {string} timezone - The timezone of times that do not carry one.
+ * @returns {function} - Maps a time value to milliseconds, or NaN when it cannot be read.
+ */
+function timeReader(format, timezone) {
+  const pattern = /YYYY/.test(format) ? timePattern(format) : null;
+  if (!pattern && !["auto", "ms", "s", "iso"].includes(format)) {
+    throw new ValidationError(`timeFormat must be auto, ms, s, iso or a pattern such as "YYYY-MM-DD HH:mm", got "${format}"`);
+  }
+  zoneOffset(timezone, 0);
+  return (value) => {
+    const text = String(value).trim();
+    if (pattern) {
+      const wall = pattern(text);
+      return Number.isNaN(wall) ? NaN : fromWallTime(wall, timezone);
+    }
+    if (format !== "iso" && text !== "" && !Number.isNaN(Number(text))) {
+      const number = Number(text);
+      return format === "s" || (format === "auto" && Math.abs(number) < 1e11) ? number * 1000 : number;
+    }
+    const match = format !== "ms" && format !== "s" && ISO_TIME.exec(text);
+    if (!match) {
+      return NaN;
+    }
+    const [, Y, M, D, h = 0, m = 0, s = 0, ms = "0"] = match;
+    const wall = Date.UTC(Y, M - 1, D, h, m, s, Number(ms.padEnd(3, "0")));
+    return match[8] ? wall - parseOffset(match[8]) : fromWallTime(wall, timezone);
+  };
+}
+
+/**
+ * Matches the fields of a data file to the columns.
+ * @param {string[]} fields - The field names of the file.
+ * @param {Object} mapping - The field name or index of each column, overriding the aliases.
+ * @returns {Object} - The field index of each column found.
+ */
+function mapFields(fields, mapping = {}) {
+  const names = fields.map((field) => String(field).trim().toLowerCase());
+  const index = {};
+  COLUMNS.forEach((column) => {
+    const given = mapping[column];
+    if (typeof given === "number") {
+      index[column] = given;
+    } else if (given !== undefined) {
+      const k = names.indexOf(String(given).trim().toLowerCase());
+      if (k < 0) {
+        throw new ValidationError(`the "${column}" field "${given}" is not in the data`);
+      }
+      index[column] = k;
+    } else {
+      const k = names.findIndex((name) => COLUMN_ALIASES[column].includes(name));
+      if (k >= 0) {
+        index[column] = k;
+      }
+    }
+  });
+  if (index.close === undefined) {
+    throw new ValidationError(`no close field among ${fields.join(", ")}; map it with the columns option`);
+  }
+  return index;
+}
+
+/**
+ * Converts parsed records into columns, sorted by time with duplicate times removed.
+ * @param {Array[]} records - The records, each [line, values by column].
+ * @param {Object} options - The options, { timeFormat, timezone, sort, dedupe }.
+ * @returns {Object} - The columns.
+ */
+function recordsToColumns(records, options) {
+  const { timeFormat = "auto", timezone = "UTC", sort = true, dedupe = "last" } = options;
+  if (![false, "first", "last"].includes(dedupe)) {
+    throw new ValidationError(`dedupe must be first, last or false, got "${dedupe}"`);
+  }
+  const readTime = timeReader(timeFormat, timezone);
+  const rows = records.map(([line, values]) => {
+    const row = {};
+    Object.keys(values).forEach((column) => {
+      const value = values[column];
+      if (column === "time") {
+        row.time = readTime(value);
+        if (Number.isNaN(row.time)) {
+          throw new InvalidValueError(`line ${line}: cannot read the time "${value}"`);
+        }
+      } else if (value === "" || value === null || value === undefined) {
+        row[column] = NaN;
+      } else {
+        row[column] = Number(value);
+        if (Number.isNaN(row[column])) {
+          throw new InvalidValueError(`line ${line}: ${column} "${value}" is not a number`);
+        }
+      }
+    });
+    return row;
+  });
+  const timed = rows.length && "time" in rows[0];
+  if (timed && sort) {
+    rows.sort((a, b) => a.time - b.time);
+  }
+  let kept = rows;
+  if (timed && dedupe) {
+    const last = new Map();
+    rows.forEach((row, k) => (dedupe === "first" && last.has(row.time) ? null : last.set(row.time, k)));
+    kept = rows.filter((row, k) => last.get(row.time) === k);
+  }
+  const columns = {};
+  COLUMNS.forEach((column) => {
+    if (rows.length && column in rows[0]) {
+      columns[column] = kept.map((row) => row[column]);
+    }
+  });
+  return columns;
+}
+
+/**
+ * Splits a CSV line into fields, honouring double-quoted fields with "" escapes.
+ * @param {string} line - The line.
+ * @param {string} delimiter - The field delimiter.
+ * @returns {string[]} - The fields.
+ */
+function splitCsvLine(line, delimiter) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === "\"" && line[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (ch === "\"") {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === "\"") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Parses OHLCV candles from CSV text into columns.
+ * Fields are matched to columns by header name (time/timestamp/date, open/o, high/h, low/l,
+ * close/c, volume/v and similar, in any case) unless mapped with `columns`. Empty values read as NaN.
+ * @param {string} text - The CSV text.
+ * @param {Object} options - The options.
+ * @param {Object} options.columns - The field name (or index) of each column, e.g. { time: "Date", close: "Adj Close" }.
+ * @param {string} options.delimiter - The field delimiter (default: the most frequent of , ; and tab in the header).
+ * @param {boolean} options.header - Whether the first line names the fields (default true); without it the
+ * fields are time, open, high, low, close, volume unless mapped by index.
+ * @param {string} options.timeFormat - "auto" (default: epoch seconds or milliseconds, or ISO 8601), "ms", "s",
+ * "iso" or a pattern such as "DD/MM/YYYY HH:mm".
+ * @param {string} options.timezone - The timezone of times without one: "UTC" (default), an offset such as
+ * "+03:30", or an IANA name such as "America/New_York".
+ * @param {boolean} options.sort - Whether to sort the candles by time (default true).
+ * @param {string|boolean} options.dedupe - Which candle to keep of those with the same time, "first" or "last"
+ * (default), or false to keep all.
+ * @returns {Object} - The columns, with times in milliseconds.
+ */
+export function parseCsv(text, options = {}) {
+  const { header = true } = options;
+  const lines = String(text).split(/\r?\n/).map((line, k) => [k + 1, line]).filter(([, line]) => line.trim() !== "");
+  if (!lines.length) {
+    return {};
+  }
+  const delimiter = options.delimiter || [",", ";", "\t"].reduce((best, d) =>
+    lines[0][1].split(d).length > lines[0][1].split(best).length ? d : best
+  );
+  const fields = header ? splitCsvLine(lines[0][1], delimiter) : COLUMNS.slice();
+  const index = mapFields(fields, options.columns);
+  const records = lines.slice(header ? 1 : 0).map(([line, content]) => {
+    const values = splitCsvLine(content, delimiter);
+    const record = {};
+    Object.keys(index).forEach((column) => (record[column] = values[index[column]]));
+    return [line, record];
+  });
+  return recordsToColumns(records, options);
+}
+
+/**
+ * Parses OHLCV candles from JSON lines, one candle object (or [time, open, high, low, close, volume]
+ * array) per line, into columns. Takes the options of parseCsv except `delimiter` and `header`.
+ * @param {string} text - The JSON lines.
+ * @param {Object} options - The options, { columns, timeFormat, timezone, sort, dedupe }.
+ * @returns {Object} - The columns, with times in milliseconds.
+ */
+export function parseJsonl(text, options = {}) {
+  let index;
+  const records = [];
+  String(text).split(/\r?\n/).forEach((content, k) => {
+    if (content.trim() === "") {
+      return;
+    }
+    let value;
+    try {
+      value = JSON.parse(content);
+    } catch (e) {
+      throw new InvalidValueError(`line ${k + 1}: ${e.message}`);
+    }
+    if (!value || typeof value !== "object") {
+      throw new InvalidValueError(`line ${k + 1}: expected a candle object or array`);
+    }
+    const fields = Array.isArray(value) ? COLUMNS : Object.keys(value);
+    index = index || mapFields(fields, options.columns);
+    const record = {};
+    Object.keys(index).forEach((column) => {
+      record[column] = Array.isArray(value) ? value[index[column]] : value[fields[index[column]]];
+    });
+    records.push([k + 1, record]);
+  });
+  return recordsToColumns(records, options);
+}
+
+/**
+ * Flattens indicator results into columns aligned to the bars. Multi-output results become
+ * prefixed columns, such as bb_upper, and trimmed outputs are padded back to the bars with NaN.
+ * Values that are not series, or series that do not line up with the bars (such as ichimoku's
+ * `ahead`), are left out.
+ * @param {Object|Array} results - The results keyed by name, a multi-output result, or a single series.
+ * @param {Object} options - The options.
+ * @param {number[]} options.time - The bar times, written first as `time`; without them the bars are
+ * the longest series.
+ * @param {string} options.separator - The separator between a prefix and an output key (default "_").
+ * @returns {Object} - The aligned columns, keyed by column name.
+ */
+export function flattenResults(results, options = {}) {
+  const { time, separator = "_" } = options;
+  const leaves = [];
+  const walk = (value, name) => {
+    if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+      leaves.push([name, value]);
+    } else if (value && typeof value === "object") {
+      Object.keys(value).forEach((key) => walk(value[key], name ? `${name}${separator}${key}` : key));
+    }
+  };
+  walk(Array.isArray(results) || ArrayBuffer.isView(results) ? { value: results } : results, "");
+  const len = time ? time.length : Math.max(0, ...leaves.map(([, values]) => values.length));
+  const columns = time ? { time: Array.from(time) } : {};
+  leaves.forEach(([name, values]) => {
+    const skip = len - values.length;
+    if (skip === 0 || (skip > 0 && values.warmup === skip)) {
+      columns[name] = new Array(skip).fill(NaN).concat(Array.from(values));
+    }
+  });
+  return columns;
+}
+
+/**
+ * Formats a time value for export.
+ * @param {number} time - The time in milliseconds.
+ * @param {string} format - "ms" (default), "s" or "iso".
+ * @returns {number|string|null} - The formatted time.
+ */
+function formatTime(time, format) {
+  if (typeof time !== "number" || !isFinite(time)) {
+    return null;
+  }
+  return format === "iso" ? new Date(time).toISOString() : format === "s" ? time / 1000 : time;
+}
+
+/**
+ * Writes indicator results as CSV aligned to the bars, one row per bar with a header line.
+ * Missing values are written as empty fields.
+ * @param {Object|Array} results - The results keyed by name, a multi-output result, or a single series.
+ * @param {Object} options - The options of flattenResults and { delimiter, timeFormat }, with
+ * `timeFormat` "ms" (default), "s" or "iso".
+ * @returns {string} - The CSV text.
+ * @example
+ * vt.toCsv({ rsi: vt.rsi(close, 14), bb: vt.bb(close, 20, 2) }, { time, timeFormat: "iso" });
+ * // time,rsi,bb_lower,bb_middle,bb_upper
+ */
+export function toCsv(results, options = {}) {
+  const { delimiter = ",", timeFormat = "ms" } = options;
+  const columns = flattenResults(results, options);
+  const names = Object.keys(columns);
+  const quote = (value) => {
+    const text = value === null || value === undefined || Number.isNaN(value) ? "" : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+  };
+  const len = names.length ? columns[names[0]].length : 0;
+  const lines = [names.map(quote).join(delimiter)];
+  for (let i = 0; i < len; i++) {
+    lines.push(names.map((name) => quote(name === "time" ? formatTime(columns.time[i], timeFormat) : columns[name][i])).join(delimiter));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Writes indicator results as JSON lines aligned to the bars, one object per bar.
+ * Missing values are written as null.
+ * @param {Object|Array} results - The results keyed by name, a multi-output result, or a single series.
+ * @param {Object} options - The options of flattenResults and { timeFormat }, "ms" (default), "s" or "iso".
+ * @returns {string} - The JSON lines.
+ */
+export function toJsonl(results, options = {}) {
+  const { timeFormat = "ms" } = options;
+  const columns = flattenResults(results, options);
+  const names = Object.keys(columns);
+  const len = names.length ? columns[names[0]].length : 0;
+  const lines = [];
+  for (let i = 0; i < len; i++) {
+    const row = {};
+    names.forEach((name) => {
+      const value = name === "time" ? formatTime(columns.time[i], timeFormat) : columns[name][i];
+      row[name] = typeof value === "number" && !isFinite(value) ? null : value;
+    });
+    lines.push(JSON.stringify(row));
+  }
+  return lines.length ? lines.join("\n") + "\n" : "";
+}